@@ -0,0 +1,318 @@
+// Crop calendars and thresholds for the rule-based agronomy engine. Day counts
+// are days after planting (transplanting for tobacco) under typical Zimbabwean
+// conditions; agronomists can tune them here without touching the rules.
+const { envNumber, envInteger } = require('../utils/env');
+
+const CROP_CALENDARS = {
+  maize: {
+    name: 'Maize',
+    aliases: ['corn', 'white maize', 'yellow maize', 'seed maize'],
+    daysToMaturity: 140,
+    basalWindow: 14,
+    topDressingWindow: [28, 56],
+    weedCriticalPeriod: [14, 56],
+    reproductiveFrom: 65
+  },
+  wheat: {
+    name: 'Wheat',
+    aliases: ['winter wheat', 'bread wheat', 'durum wheat'],
+    daysToMaturity: 120,
+    basalWindow: 10,
+    topDressingWindow: [21, 42],
+    weedCriticalPeriod: [14, 42],
+    reproductiveFrom: 60
+  },
+  barley: {
+    name: 'Barley',
+    aliases: ['malting barley'],
+    daysToMaturity: 115,
+    basalWindow: 10,
+    topDressingWindow: [21, 42],
+    weedCriticalPeriod: [14, 42],
+    reproductiveFrom: 55
+  },
+  tobacco: {
+    name: 'Tobacco',
+    aliases: ['flue-cured tobacco', 'virginia tobacco', 'burley tobacco'],
+    daysToMaturity: 120,
+    basalWindow: 7,
+    topDressingWindow: [21, 42],
+    weedCriticalPeriod: [7, 42],
+    reproductiveFrom: 60
+  },
+  soybean: {
+    name: 'Soybean',
+    aliases: ['soybeans', 'soya', 'soya bean', 'soya beans'],
+    daysToMaturity: 120,
+    basalWindow: 14,
+    // Nodulated soybean fixes its own nitrogen
+    topDressingWindow: null,
+    weedCriticalPeriod: [14, 42],
+    reproductiveFrom: 50
+  },
+  cotton: {
+    name: 'Cotton',
+    aliases: ['seed cotton'],
+    daysToMaturity: 165,
+    basalWindow: 14,
+    topDressingWindow: [42, 70],
+    weedCriticalPeriod: [14, 63],
+    reproductiveFrom: 60
+  },
+  sorghum: {
+    name: 'Sorghum',
+    aliases: ['grain sorghum', 'red sorghum', 'white sorghum'],
+    daysToMaturity: 120,
+    basalWindow: 14,
+    topDressingWindow: [28, 49],
+    weedCriticalPeriod: [14, 42],
+    reproductiveFrom: 60
+  },
+  default: {
+    name: 'Crop',
+    aliases: [],
+    daysToMaturity: 120,
+    basalWindow: 14,
+    topDressingWindow: [28, 56],
+    weedCriticalPeriod: [14, 49],
+    reproductiveFrom: 60
+  }
+};
+
+// Recorded growth stage text -> crop phase, first match wins
+const GROWTH_PHASES = [
+  { phase: 'harvested', keywords: ['harvested', 'post-harvest', 'post harvest', 'fallow'] },
+  { phase: 'maturity', keywords: ['matur', 'harvest', 'senescen', 'dry down', 'ripen', 'physiological'] },
+  { phase: 'reproductive', keywords: ['flower', 'tassel', 'silk', 'heading', 'anthesis', 'grain fill', 'pod', 'boll', 'reproductive', 'dough', 'milk', 'topping'] },
+  { phase: 'vegetative', keywords: ['vegetative', 'tiller', 'leaf', 'knee', 'jointing', 'booting', 'square', 'stem elongation', 'rosette'] },
+  { phase: 'establishment', keywords: ['plant', 'sow', 'germinat', 'emerge', 'seedling', 'transplant'] }
+];
+
+const PHASE_LABELS = {
+  establishment: 'establishment',
+  vegetative: 'vegetative growth',
+  reproductive: 'reproductive growth',
+  maturity: 'maturity',
+  harvested: 'post-harvest'
+};
+
+// Growing degree day models: daily GDD = ((min(tmax, cap) + max(tmin, base)) / 2) - base,
+// accumulated from planting. Stage thresholds are cumulative GDD for a
+// medium-season variety; `phase` links each stage to the crop phases above.
+const PHENOLOGY = {
+  maize: {
+    baseTemp: 10,
+    capTemp: 30,
+    stages: [
+      { name: 'Emergence', gdd: 60, phase: 'establishment' },
+      { name: 'Early vegetative (V6)', gdd: 260, phase: 'vegetative' },
+      { name: 'Late vegetative (V12)', gdd: 480, phase: 'vegetative' },
+      { name: 'Tasseling', gdd: 700, phase: 'reproductive' },
+      { name: 'Silking', gdd: 780, phase: 'reproductive' },
+      { name: 'Grain fill (dough)', gdd: 1000, phase: 'reproductive' },
+      { name: 'Dent', gdd: 1220, phase: 'reproductive' },
+      { name: 'Physiological maturity', gdd: 1450, phase: 'maturity' }
+    ]
+  },
+  wheat: {
+    baseTemp: 0,
+    capTemp: 30,
+    stages: [
+      { name: 'Emergence', gdd: 120, phase: 'establishment' },
+      { name: 'Tillering', gdd: 350, phase: 'vegetative' },
+      { name: 'Stem elongation', gdd: 700, phase: 'vegetative' },
+      { name: 'Heading', gdd: 1100, phase: 'reproductive' },
+      { name: 'Flowering', gdd: 1250, phase: 'reproductive' },
+      { name: 'Grain fill', gdd: 1400, phase: 'reproductive' },
+      { name: 'Physiological maturity', gdd: 2000, phase: 'maturity' }
+    ]
+  },
+  barley: {
+    baseTemp: 0,
+    capTemp: 30,
+    stages: [
+      { name: 'Emergence', gdd: 110, phase: 'establishment' },
+      { name: 'Tillering', gdd: 300, phase: 'vegetative' },
+      { name: 'Stem elongation', gdd: 600, phase: 'vegetative' },
+      { name: 'Heading', gdd: 950, phase: 'reproductive' },
+      { name: 'Grain fill', gdd: 1200, phase: 'reproductive' },
+      { name: 'Physiological maturity', gdd: 1650, phase: 'maturity' }
+    ]
+  },
+  tobacco: {
+    baseTemp: 10,
+    capTemp: 32,
+    stages: [
+      { name: 'Establishment after transplanting', gdd: 150, phase: 'establishment' },
+      { name: 'Rapid growth', gdd: 450, phase: 'vegetative' },
+      { name: 'Flowering and topping', gdd: 850, phase: 'reproductive' },
+      { name: 'Leaf ripening and reaping', gdd: 1200, phase: 'maturity' }
+    ]
+  },
+  soybean: {
+    baseTemp: 10,
+    capTemp: 30,
+    stages: [
+      { name: 'Emergence', gdd: 90, phase: 'establishment' },
+      { name: 'Vegetative (V3)', gdd: 250, phase: 'vegetative' },
+      { name: 'Flowering (R1)', gdd: 500, phase: 'reproductive' },
+      { name: 'Pod set (R3)', gdd: 750, phase: 'reproductive' },
+      { name: 'Seed fill (R5)', gdd: 1000, phase: 'reproductive' },
+      { name: 'Physiological maturity (R7)', gdd: 1350, phase: 'maturity' }
+    ]
+  },
+  cotton: {
+    baseTemp: 15.6,
+    capTemp: 35,
+    stages: [
+      { name: 'Emergence', gdd: 30, phase: 'establishment' },
+      { name: 'First square', gdd: 280, phase: 'vegetative' },
+      { name: 'First flower', gdd: 610, phase: 'reproductive' },
+      { name: 'Peak bloom', gdd: 850, phase: 'reproductive' },
+      { name: 'First open boll', gdd: 1220, phase: 'maturity' }
+    ]
+  },
+  sorghum: {
+    baseTemp: 10,
+    capTemp: 32,
+    stages: [
+      { name: 'Emergence', gdd: 70, phase: 'establishment' },
+      { name: 'Five-leaf', gdd: 250, phase: 'vegetative' },
+      { name: 'Booting', gdd: 650, phase: 'vegetative' },
+      { name: 'Flowering', gdd: 800, phase: 'reproductive' },
+      { name: 'Soft dough', gdd: 1050, phase: 'reproductive' },
+      { name: 'Physiological maturity', gdd: 1350, phase: 'maturity' }
+    ]
+  },
+  default: {
+    baseTemp: 10,
+    capTemp: 30,
+    stages: [
+      { name: 'Emergence', gdd: 70, phase: 'establishment' },
+      { name: 'Vegetative growth', gdd: 300, phase: 'vegetative' },
+      { name: 'Flowering', gdd: 800, phase: 'reproductive' },
+      { name: 'Physiological maturity', gdd: 1400, phase: 'maturity' }
+    ]
+  }
+};
+
+// Variety maturity class -> multiplier on the stage thresholds, first match
+// wins. Covers maturity words and the SC hybrid numbering used by local seed houses.
+const VARIETY_MATURITY = [
+  { pattern: /ultra[- ]?early|very early|\bsc ?[34]\d\d\b/i, factor: 0.85 },
+  { pattern: /early|short[- ]season|\bsc ?5\d\d\b/i, factor: 0.92 },
+  { pattern: /late|long[- ]season|\bsc ?7\d\d\b/i, factor: 1.1 }
+];
+
+const IRRIGATED_METHODS = ['Center Pivot', 'Drip', 'Sprinkler', 'Flood', 'Furrow'];
+
+// Crop water use (FAO-56): crop coefficients applied to reference ET0 at the
+// start (`ini`), peak (`mid`) and end of the season, maximum rooting depth (m)
+// and the fraction of available water that can be used before stress sets in.
+const CROP_WATER = {
+  maize: { kc: { ini: 0.3, mid: 1.2, end: 0.6 }, maxRootDepth: 1.0, depletionFraction: 0.55 },
+  wheat: { kc: { ini: 0.4, mid: 1.15, end: 0.4 }, maxRootDepth: 1.2, depletionFraction: 0.55 },
+  barley: { kc: { ini: 0.3, mid: 1.15, end: 0.25 }, maxRootDepth: 1.0, depletionFraction: 0.55 },
+  tobacco: { kc: { ini: 0.5, mid: 1.1, end: 0.8 }, maxRootDepth: 0.8, depletionFraction: 0.5 },
+  soybean: { kc: { ini: 0.4, mid: 1.15, end: 0.5 }, maxRootDepth: 0.9, depletionFraction: 0.5 },
+  cotton: { kc: { ini: 0.35, mid: 1.18, end: 0.6 }, maxRootDepth: 1.2, depletionFraction: 0.65 },
+  sorghum: { kc: { ini: 0.3, mid: 1.05, end: 0.55 }, maxRootDepth: 1.2, depletionFraction: 0.55 },
+  default: { kc: { ini: 0.35, mid: 1.1, end: 0.6 }, maxRootDepth: 1.0, depletionFraction: 0.5 }
+};
+
+// Crop phase -> crop coefficient and share of the maximum rooting depth
+const PHASE_WATER = {
+  establishment: { kc: crop => crop.kc.ini, rootShare: 0.3 },
+  vegetative: { kc: crop => (crop.kc.ini + crop.kc.mid) / 2, rootShare: 0.7 },
+  reproductive: { kc: crop => crop.kc.mid, rootShare: 1 },
+  maturity: { kc: crop => crop.kc.end, rootShare: 1 }
+};
+
+// Volumetric water content (m3/m3) at field capacity and wilting point by
+// texture. Recorded soil types are free text; first pattern match wins.
+const SOIL_WATER = [
+  { key: 'loamy_sand', name: 'Loamy sand', pattern: /loamy sand/i, fieldCapacity: 0.14, wiltingPoint: 0.06 },
+  { key: 'sandy_loam', name: 'Sandy loam', pattern: /sandy loam/i, fieldCapacity: 0.23, wiltingPoint: 0.1 },
+  { key: 'sandy_clay', name: 'Sandy clay', pattern: /sandy clay/i, fieldCapacity: 0.3, wiltingPoint: 0.17 },
+  { key: 'clay_loam', name: 'Clay loam', pattern: /clay loam/i, fieldCapacity: 0.34, wiltingPoint: 0.2 },
+  { key: 'silt_loam', name: 'Silt loam', pattern: /silt/i, fieldCapacity: 0.32, wiltingPoint: 0.14 },
+  { key: 'sand', name: 'Sand', pattern: /sand/i, fieldCapacity: 0.12, wiltingPoint: 0.04 },
+  { key: 'clay', name: 'Clay', pattern: /clay|vertisol/i, fieldCapacity: 0.4, wiltingPoint: 0.25 },
+  { key: 'loam', name: 'Loam', pattern: /loam/i, fieldCapacity: 0.27, wiltingPoint: 0.12 }
+];
+const DEFAULT_SOIL = SOIL_WATER.find(soil => soil.key === 'loam');
+
+// Share of the water pumped that reaches the root zone
+const IRRIGATION_EFFICIENCY = {
+  Drip: 0.9,
+  'Center Pivot': 0.85,
+  Sprinkler: 0.75,
+  Furrow: 0.6,
+  Flood: 0.5
+};
+
+const THRESHOLDS = {
+  // 7-day rainfall (mm) below which a rainfed crop is short of moisture
+  dryWeekRainfall: envNumber('AGRONOMY_DRY_WEEK_RAINFALL_MM', 10, { min: 0 }),
+  // Days past expected maturity before an unharvested crop is flagged
+  harvestGraceDays: envInteger('AGRONOMY_HARVEST_GRACE_DAYS', 14, { min: 0 }),
+  // Daily rainfall (mm) below which a day counts as dry
+  dryDayRainfall: 1,
+  // Consecutive dry days that make a dry spell on a rainfed field
+  drySpellDays: envInteger('AGRONOMY_DRY_SPELL_DAYS', 14, { min: 1 }),
+  // Daily maximum (°C) at or above which a day counts as a heat stress day
+  heatStressTemp: envNumber('AGRONOMY_HEAT_STRESS_TEMP', 35),
+  // Daily minimum (°C) at or below which a day counts as a frost day
+  frostTemp: envNumber('AGRONOMY_FROST_TEMP', 2),
+  // Share of daily rainfall that enters the root zone
+  effectiveRainfall: 0.8
+};
+
+function resolveCropKey(cropType) {
+  if (!cropType) return 'default';
+
+  const name = String(cropType).trim().toLowerCase();
+  const match = Object.entries(CROP_CALENDARS).find(([key, calendar]) =>
+    key === name || calendar.name.toLowerCase() === name || calendar.aliases.includes(name)
+  );
+  return match ? match[0] : 'default';
+}
+
+function classifyGrowthStage(stage) {
+  if (!stage) return null;
+
+  const normalized = String(stage).trim().toLowerCase();
+  const match = GROWTH_PHASES.find(entry => entry.keywords.some(keyword => normalized.includes(keyword)));
+  return match ? match.phase : null;
+}
+
+function getVarietyFactor(variety) {
+  if (!variety) return 1;
+
+  const match = VARIETY_MATURITY.find(entry => entry.pattern.test(String(variety)));
+  return match ? match.factor : 1;
+}
+
+function resolveSoil(soilType) {
+  if (!soilType) return null;
+
+  return SOIL_WATER.find(soil => soil.pattern.test(String(soilType))) || null;
+}
+
+module.exports = {
+  CROP_CALENDARS,
+  GROWTH_PHASES,
+  PHASE_LABELS,
+  PHENOLOGY,
+  IRRIGATED_METHODS,
+  CROP_WATER,
+  PHASE_WATER,
+  SOIL_WATER,
+  DEFAULT_SOIL,
+  IRRIGATION_EFFICIENCY,
+  THRESHOLDS,
+  resolveCropKey,
+  classifyGrowthStage,
+  getVarietyFactor,
+  resolveSoil
+};
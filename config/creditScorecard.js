@@ -0,0 +1,127 @@
+// Farm credit risk scorecard. Each factor awards up to `maxPoints`; the total
+// out of 100 maps to a grade. Numeric factors score by the first band the value
+// reaches (`min`, higher is better) or stays within (`max`, lower is better);
+// text factors by the first level whose keywords appear in the recorded value;
+// farm-wide agronomic factors award a share of their points computed from the
+// farm's fields. A factor with no data scores half its points and is listed as
+// missing, so thin records pull the score towards the middle rather than
+// either end. Bump SCORECARD_VERSION whenever a weight or band changes so that
+// the score history stays comparable.
+
+const SCORECARD_VERSION = 'v1';
+
+const CREDIT_FACTORS = {
+  credit_score: {
+    group: 'financial',
+    label: 'Credit score',
+    maxPoints: 20,
+    // Bureau scores on the 300-850 scale
+    bands: [{ min: 720, points: 20 }, { min: 660, points: 15 }, { min: 600, points: 10 }, { min: 540, points: 5 }, { min: -Infinity, points: 0 }]
+  },
+  debt_to_income_ratio: {
+    group: 'financial',
+    label: 'Debt-to-income ratio',
+    maxPoints: 15,
+    bands: [{ max: 0.2, points: 15 }, { max: 0.35, points: 11 }, { max: 0.5, points: 6 }, { max: 0.7, points: 2 }, { max: Infinity, points: 0 }]
+  },
+  operating_margin: {
+    group: 'financial',
+    label: 'Operating margin',
+    maxPoints: 10,
+    // (annual revenue - operational costs) / annual revenue
+    bands: [{ min: 0.3, points: 10 }, { min: 0.15, points: 7 }, { min: 0.05, points: 4 }, { min: 0, points: 1 }, { min: -Infinity, points: 0 }]
+  },
+  years_in_operation: {
+    group: 'financial',
+    label: 'Years in operation',
+    maxPoints: 5,
+    bands: [{ min: 10, points: 5 }, { min: 5, points: 4 }, { min: 3, points: 2 }, { min: 1, points: 1 }, { min: -Infinity, points: 0 }]
+  },
+  previous_season_performance: {
+    group: 'financial',
+    label: 'Previous season performance',
+    maxPoints: 5,
+    levels: [
+      { keywords: ['excellent', 'very good', 'outstanding'], points: 5 },
+      { keywords: ['good', 'above'], points: 4 },
+      // Before average, so that "below average" is not read as average
+      { keywords: ['poor', 'below', 'bad', 'fail', 'loss'], points: 0 },
+      { keywords: ['average', 'fair', 'normal', 'moderate'], points: 2.5 }
+    ]
+  },
+  market_access_level: {
+    group: 'financial',
+    label: 'Market access',
+    maxPoints: 3,
+    levels: [
+      { keywords: ['excellent', 'high', 'good'], points: 3 },
+      { keywords: ['medium', 'moderate', 'fair'], points: 1.5 },
+      { keywords: ['low', 'poor', 'limited', 'none'], points: 0 }
+    ]
+  },
+  distance_to_market_km: {
+    group: 'financial',
+    label: 'Distance to market',
+    maxPoints: 2,
+    bands: [{ max: 20, points: 2 }, { max: 50, points: 1 }, { max: Infinity, points: 0 }]
+  },
+  losses: {
+    group: 'agronomic',
+    label: 'Crop losses this season',
+    maxPoints: 12,
+    // Area-weighted loss at which no points are left
+    zeroPointsLossPercent: 50
+  },
+  pests: {
+    group: 'agronomic',
+    label: 'Pest pressure',
+    maxPoints: 8,
+    // Share of a field's area counted as affected by pest level
+    levelWeights: { none: 0, low: 0.25, medium: 0.5, high: 1 }
+  },
+  drought_frequency: {
+    group: 'agronomic',
+    label: 'Drought frequency',
+    maxPoints: 8,
+    levels: [
+      { keywords: ['never', 'rare', 'low', 'none'], points: 8 },
+      { keywords: ['occasional', 'moderate', 'medium', 'sometimes'], points: 4 },
+      { keywords: ['frequent', 'high', 'often', 'annual', 'every', 'severe'], points: 0 }
+    ]
+  },
+  irrigation: {
+    group: 'agronomic',
+    label: 'Irrigated area',
+    maxPoints: 7
+  },
+  flood_risk_level: {
+    group: 'agronomic',
+    label: 'Flood risk',
+    maxPoints: 5,
+    levels: [
+      { keywords: ['none', 'low', 'minimal'], points: 5 },
+      { keywords: ['medium', 'moderate'], points: 2.5 },
+      { keywords: ['high', 'severe'], points: 0 }
+    ]
+  }
+};
+
+// Lowest total for each grade, best first
+const CREDIT_GRADES = [
+  { grade: 'A', min: 80, label: 'Low risk' },
+  { grade: 'B', min: 65, label: 'Moderate-low risk' },
+  { grade: 'C', min: 50, label: 'Moderate risk' },
+  { grade: 'D', min: 35, label: 'High risk' },
+  { grade: 'E', min: 0, label: 'Very high risk' }
+];
+
+function getCreditGrade(score) {
+  return CREDIT_GRADES.find(grade => score >= grade.min) || CREDIT_GRADES[CREDIT_GRADES.length - 1];
+}
+
+module.exports = {
+  SCORECARD_VERSION,
+  CREDIT_FACTORS,
+  CREDIT_GRADES,
+  getCreditGrade
+};
@@ -0,0 +1,154 @@
+// Weather index insurance products. Each product splits the season into
+// phases counted in days from planting. A phase pays up to `limit` percent of
+// the sum insured through any of its covers:
+//  - rainfallDeficit: phase rainfall (mm) at or below `trigger` starts paying,
+//    rising in a straight line to the full limit at `exit`
+//  - rainfallExcess: phase rainfall (mm) at or above `trigger`, full at `exit`
+//  - heatDays: days with a maximum at or above `temp` (°C), paying from
+//    `trigger` days to the full limit at `exit` days
+// Insurers can replace these products with their own through
+// INDEX_PRODUCTS_PATH, a JSON file of the same shape.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRODUCTS = {
+  maize_rainfall: {
+    name: 'Maize Rainfall Index',
+    crops: ['maize'],
+    phases: [
+      {
+        key: 'establishment',
+        label: 'Establishment',
+        startDay: 0,
+        endDay: 30,
+        limit: 25,
+        rainfallDeficit: { trigger: 60, exit: 20 },
+        rainfallExcess: { trigger: 300, exit: 450 }
+      },
+      {
+        key: 'vegetative',
+        label: 'Vegetative',
+        startDay: 31,
+        endDay: 70,
+        limit: 35,
+        rainfallDeficit: { trigger: 120, exit: 50 },
+        heatDays: { temp: 35, trigger: 5, exit: 15 }
+      },
+      {
+        key: 'flowering',
+        label: 'Flowering and grain fill',
+        startDay: 71,
+        endDay: 120,
+        limit: 40,
+        rainfallDeficit: { trigger: 140, exit: 60 },
+        heatDays: { temp: 35, trigger: 3, exit: 10 }
+      }
+    ]
+  },
+  sorghum_drought: {
+    name: 'Sorghum Drought Index',
+    crops: ['sorghum'],
+    phases: [
+      {
+        key: 'establishment',
+        label: 'Establishment',
+        startDay: 0,
+        endDay: 30,
+        limit: 30,
+        rainfallDeficit: { trigger: 45, exit: 15 }
+      },
+      {
+        key: 'flowering',
+        label: 'Flowering and grain fill',
+        startDay: 61,
+        endDay: 110,
+        limit: 70,
+        rainfallDeficit: { trigger: 100, exit: 40 },
+        heatDays: { temp: 38, trigger: 5, exit: 15 }
+      }
+    ]
+  },
+  wheat_heat: {
+    name: 'Winter Wheat Heat and Harvest Rain Index',
+    crops: ['wheat', 'barley'],
+    phases: [
+      {
+        key: 'grain_fill',
+        label: 'Flowering and grain fill',
+        startDay: 70,
+        endDay: 110,
+        limit: 60,
+        heatDays: { temp: 30, trigger: 4, exit: 12 }
+      },
+      {
+        key: 'harvest',
+        label: 'Maturity and harvest',
+        startDay: 111,
+        endDay: 140,
+        limit: 40,
+        rainfallExcess: { trigger: 40, exit: 100 }
+      }
+    ]
+  }
+};
+
+const COVERS = {
+  rainfallDeficit: { label: 'Rainfall deficit', reading: 'rainfall', unit: 'mm', direction: 'below' },
+  rainfallExcess: { label: 'Excess rainfall', reading: 'rainfall', unit: 'mm', direction: 'above' },
+  heatDays: { label: 'Heat days', reading: 'heatDays', unit: 'days', direction: 'above' }
+};
+
+// A product that cannot pay out correctly is rejected at startup rather than
+// evaluated wrongly every day
+function validateProduct(code, product) {
+  const problems = [];
+  if (!product.name) problems.push('a name');
+  if (!Array.isArray(product.phases) || product.phases.length === 0) problems.push('at least one phase');
+
+  (product.phases || []).forEach((phase, index) => {
+    const name = phase.key || `phase ${index + 1}`;
+    if (!(phase.endDay >= phase.startDay && phase.startDay >= 0)) problems.push(`a valid day range for ${name}`);
+    if (!(phase.limit > 0)) problems.push(`a payout limit for ${name}`);
+
+    const covers = Object.keys(COVERS).filter(cover => phase[cover]);
+    if (covers.length === 0) problems.push(`a cover for ${name}`);
+    covers.forEach(cover => {
+      const { trigger, exit } = phase[cover];
+      const valid = COVERS[cover].direction === 'below' ? trigger > exit : exit > trigger;
+      if (!valid) problems.push(`a ${cover} exit ${COVERS[cover].direction === 'below' ? 'below' : 'above'} its trigger in ${name}`);
+      if (cover === 'heatDays' && typeof phase[cover].temp !== 'number') problems.push(`a heat day temperature in ${name}`);
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Index product ${code} needs ${problems.join(', ')}`);
+  }
+
+  const totalLimit = product.phases.reduce((sum, phase) => sum + phase.limit, 0);
+  if (totalLimit > 100) {
+    throw new Error(`Index product ${code} phase limits add up to ${totalLimit}%, more than the sum insured`);
+  }
+}
+
+function loadProducts() {
+  const file = process.env.INDEX_PRODUCTS_PATH;
+  const products = file
+    ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+    : DEFAULT_PRODUCTS;
+
+  Object.entries(products).forEach(([code, product]) => validateProduct(code, product));
+  return products;
+}
+
+const INDEX_PRODUCTS = loadProducts();
+
+function getIndexProduct(code) {
+  return INDEX_PRODUCTS[code] || null;
+}
+
+module.exports = {
+  INDEX_PRODUCTS,
+  COVERS,
+  getIndexProduct,
+  validateProduct
+};
@@ -0,0 +1,50 @@
+// Thresholds for corroborating reported crop losses against the weather
+// record, and the yield basis used for the indemnity-relevant shortfall.
+// Underwriters can tune them here or through the environment.
+const { ALERT_THRESHOLDS, HAIL_WEATHER_CODES } = require('./weatherAlerts');
+const { envNumber } = require('../utils/env');
+
+const LOSS_THRESHOLDS = {
+  // Days of weather fetched before the loss date (drought evidence) and shown
+  // in the report either side of it
+  lookbackDays: 30,
+  displayDaysBefore: 7,
+  displayDaysAfter: 3,
+  // Days either side of a recorded loss date searched for the damaging event;
+  // without a recorded date, days before the date the loss was reported
+  eventWindowDays: 2,
+  reportedWindowDays: 7,
+  // Rainfall (mm) over the lookback period at or below which drought is corroborated
+  droughtRainfall: envNumber('LOSS_DROUGHT_RAINFALL_MM', 25),
+  // Daily and 3-day rainfall (mm) that corroborate flood damage
+  floodDailyRainfall: envNumber('LOSS_FLOOD_DAILY_RAINFALL_MM', ALERT_THRESHOLDS.heavyRainfall),
+  floodThreeDayRainfall: envNumber('LOSS_FLOOD_3DAY_RAINFALL_MM', 100),
+  // Share of the reference yield an indemnity-based policy guarantees
+  coverageLevel: envNumber('LOSS_COVERAGE_LEVEL', 0.7, { min: 0 }),
+  // Expected yield this far above last season's is flagged as optimistic
+  optimisticYieldRatio: 1.3
+};
+
+// Thunderstorm without hail (hail is too local for the weather model to resolve)
+const THUNDERSTORM_WEATHER_CODES = [95];
+
+const PERILS = {
+  drought: { label: 'Drought', flag: 'drought_damage' },
+  flood: { label: 'Flood', flag: 'flood_damage' },
+  hail: { label: 'Hail', flag: 'hail_damage' }
+};
+
+const CORROBORATION_LABELS = {
+  corroborated: 'Corroborated by weather record',
+  not_corroborated: 'Not corroborated by weather record',
+  inconclusive: 'Storm recorded, damage not confirmed',
+  no_data: 'No weather data to check against'
+};
+
+module.exports = {
+  LOSS_THRESHOLDS,
+  PERILS,
+  CORROBORATION_LABELS,
+  HAIL_WEATHER_CODES,
+  THUNDERSTORM_WEATHER_CODES
+};
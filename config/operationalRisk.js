@@ -0,0 +1,64 @@
+// Operational risk profile. Fire, theft, flood, power and post-harvest storage
+// are each placed on a 5x5 risk matrix from the infrastructure and security
+// data collected at the field visit: likelihood and impact run from 1 (rare,
+// negligible) to 5 (almost certain, severe) and their product rates the risk.
+// Each risk starts from the base values below; the recorded data moves it up
+// or down (see services/operationalRiskService.js).
+
+const OPERATIONAL_RISKS = {
+  fire: { label: 'Fire', baseLikelihood: 2, baseImpact: 3 },
+  theft: { label: 'Theft', baseLikelihood: 1, baseImpact: 2 },
+  flood: { label: 'Flood', baseLikelihood: 2, baseImpact: 3 },
+  power: { label: 'Power outage', baseLikelihood: 3, baseImpact: 4 },
+  storage: { label: 'Post-harvest storage', baseLikelihood: 2, baseImpact: 3 }
+};
+
+// Lowest rating (likelihood x impact) for each level, most severe first
+const RISK_LEVELS = [
+  { level: 'critical', min: 16, label: 'Critical' },
+  { level: 'high', min: 10, label: 'High' },
+  { level: 'medium', min: 5, label: 'Medium' },
+  { level: 'low', min: 1, label: 'Low' }
+];
+
+const LIKELIHOOD_LABELS = { 1: 'Rare', 2: 'Unlikely', 3: 'Possible', 4: 'Likely', 5: 'Almost certain' };
+const IMPACT_LABELS = { 1: 'Negligible', 2: 'Minor', 3: 'Moderate', 4: 'Major', 5: 'Severe' };
+
+const RISK_THRESHOLDS = {
+  // Minimum fire guard width (m) required around fields
+  fireGuardWidth: parseInt(process.env.RISK_FIRE_GUARD_WIDTH_M) || 9,
+  // Storage covering less than this share of expected production is a likely shortfall
+  storageShortfallRatio: 0.5
+};
+
+// Crops valuable enough in the field to raise the impact of theft
+const HIGH_VALUE_CROPS = ['tobacco', 'soybean'];
+
+// Keywords in free-text field visit answers, first match wins
+const CONDITION_KEYWORDS = {
+  poor: ['none', 'no fenc', 'poor', 'partial', 'damaged', 'broken', 'overgrown', 'neglect', 'incomplete'],
+  good: ['good', 'excellent', 'complete', 'intact', 'secure', 'maintained', 'clear', 'fully']
+};
+
+const POWER_SOURCES = [
+  // Grid supply is subject to load shedding
+  { keywords: ['grid', 'zesa', 'electric', 'mains'], likelihood: 4, label: 'grid electricity' },
+  { keywords: ['diesel', 'petrol', 'generator'], likelihood: 3, label: 'generator fuel' },
+  { keywords: ['solar'], likelihood: 2, label: 'solar' }
+];
+
+function getRiskLevel(rating) {
+  return RISK_LEVELS.find(level => rating >= level.min) || RISK_LEVELS[RISK_LEVELS.length - 1];
+}
+
+module.exports = {
+  OPERATIONAL_RISKS,
+  RISK_LEVELS,
+  LIKELIHOOD_LABELS,
+  IMPACT_LABELS,
+  RISK_THRESHOLDS,
+  HIGH_VALUE_CROPS,
+  CONDITION_KEYWORDS,
+  POWER_SOURCES,
+  getRiskLevel
+};
@@ -0,0 +1,205 @@
+// Report profiles per stakeholder group. A profile decides which report sections
+// are rendered, what the Yieldera Engine is asked to focus on, and which extra
+// farm data fields are shown to that audience.
+
+const ALL_SECTIONS = {
+  weatherAlerts: true,
+  lossAssessment: true,
+  weather: true,
+  waterBalance: true,
+  yieldForecast: true,
+  operationalRisk: true,
+  cropAnalysis: true,
+  fieldDetails: true,
+  aiAnalysis: true,
+  weatherRecommendations: true,
+  aiRecommendations: true,
+  stakeholderData: false,
+  creditScorecard: false,
+  indexInsurance: false
+};
+
+const PROFILES = {
+  farmer: {
+    key: 'farmer',
+    userTypes: ['farmer', 'cooperative'],
+    subject: 'Field Visit Report',
+    sections: {
+      ...ALL_SECTIONS,
+      cropAnalysis: false
+    },
+    recommendationsTitle: 'Your Action Items',
+    audience: 'The reader is the farmer who manages this field. Use plain, simple language without technical jargon.',
+    analysisFocus: [
+      'Explain what the current field condition means for the crop in two or three short paragraphs',
+      'Name the single biggest risk to this crop right now'
+    ],
+    recommendationsFocus: [
+      'Write each recommendation as a short, numbered action item the farmer can do themselves',
+      'Start each item with a verb and say when it should be done (this week, within 2 weeks, before harvest)',
+      'Mention approximate input quantities where relevant'
+    ],
+    dataSection: null
+  },
+
+  financier: {
+    key: 'financier',
+    userTypes: ['bank', 'microfinance', 'donor'],
+    subject: 'Field Credit Monitoring Report',
+    sections: {
+      ...ALL_SECTIONS,
+      weatherRecommendations: false,
+      stakeholderData: true,
+      creditScorecard: true
+    },
+    recommendationsTitle: 'Credit Risk Considerations',
+    audience: 'The reader is a lender financing this farm. Focus on how crop condition affects the ability to repay.',
+    analysisFocus: [
+      'Assess how the current crop condition affects expected yield and revenue',
+      'Relate agronomic risks to the farm credit indicators provided'
+    ],
+    recommendationsFocus: [
+      'Frame recommendations as monitoring points and conditions a lender should track',
+      'Flag any factor that materially raises repayment risk this season'
+    ],
+    dataSection: {
+      title: 'Credit Indicators',
+      fields: [
+        { key: 'credit_score', label: 'Credit Score', format: 'number' },
+        { key: 'debt_to_income_ratio', label: 'Debt-to-Income Ratio', format: 'ratio' },
+        { key: 'annual_revenue_estimate', label: 'Annual Revenue Estimate', format: 'currency' },
+        { key: 'total_operational_costs', label: 'Operational Costs', format: 'currency' },
+        { key: 'credit_access_capability', label: 'Credit Access', format: 'text' },
+        { key: 'previous_season_performance', label: 'Previous Season', format: 'text' },
+        { key: 'years_in_operation', label: 'Years in Operation', format: 'number' },
+        { key: 'financier', label: 'Financier', format: 'text' }
+      ]
+    }
+  },
+
+  insurer: {
+    key: 'insurer',
+    userTypes: ['insurer'],
+    subject: 'Field Risk Exposure Report',
+    sections: {
+      ...ALL_SECTIONS,
+      weatherRecommendations: false,
+      stakeholderData: true,
+      indexInsurance: true
+    },
+    recommendationsTitle: 'Risk Mitigation Recommendations',
+    audience: 'The reader is an agricultural insurer with exposure on this field. Focus on insurable perils and loss likelihood.',
+    analysisFocus: [
+      'Assess exposure to drought, flood, hail, frost, fire and theft for this field',
+      'Comment on the reliability of any reported losses against the weather record'
+    ],
+    recommendationsFocus: [
+      'Frame recommendations as risk mitigation measures and underwriting considerations',
+      'Indicate which perils warrant a field inspection'
+    ],
+    dataSection: {
+      title: 'Risk Exposure',
+      fields: [
+        { key: 'flood_risk_level', label: 'Flood Risk Level', format: 'text' },
+        { key: 'drought_frequency', label: 'Drought Frequency', format: 'text' },
+        { key: 'theft_history', label: 'Theft History', format: 'boolean' },
+        { key: 'theft_incidents_last_3_years', label: 'Theft Incidents (3 yrs)', format: 'number' },
+        { key: 'current_insurance_coverage', label: 'Current Coverage', format: 'text' },
+        { key: 'insurance_provider', label: 'Insurance Provider', format: 'text' },
+        { key: 'loss_percentage', label: 'Reported Loss', format: 'percent' },
+        { key: 'fire_guard_present', label: 'Fire Guard Present', format: 'boolean' }
+      ]
+    }
+  },
+
+  general: {
+    key: 'general',
+    userTypes: [],
+    subject: 'Field Visit Report',
+    sections: { ...ALL_SECTIONS },
+    recommendationsTitle: 'Yieldera Field Recommendations',
+    audience: 'The reader is an agricultural stakeholder (contractor, supplier, researcher or public agency).',
+    analysisFocus: [],
+    recommendationsFocus: [],
+    dataSection: null
+  }
+};
+
+// Weather alert reports are kept short: the alerts and forecast, then the
+// Yieldera Engine analysis and actions
+const ALERT_SECTIONS = {
+  indexInsurance: false,
+  weather: false,
+  waterBalance: false,
+  yieldForecast: false,
+  operationalRisk: false,
+  cropAnalysis: false,
+  fieldDetails: false,
+  weatherRecommendations: false,
+  stakeholderData: false,
+  creditScorecard: false
+};
+
+// Loss assessment reports have their own layout: the claim evidence replaces
+// the routine weather, water, yield and farm sections
+const LOSS_SECTIONS = {
+  weather: false,
+  waterBalance: false,
+  yieldForecast: false,
+  operationalRisk: false,
+  cropAnalysis: false,
+  weatherRecommendations: false
+};
+
+const TRIGGER_SECTIONS = {
+  weather_alert: ALERT_SECTIONS,
+  loss_event: LOSS_SECTIONS
+};
+
+function getSectionsForTrigger(profile, triggerType) {
+  return TRIGGER_SECTIONS[triggerType] ? { ...profile.sections, ...TRIGGER_SECTIONS[triggerType] } : profile.sections;
+}
+
+function getProfileForUserType(userType) {
+  return Object.values(PROFILES).find(profile => profile.userTypes.includes(userType)) || PROFILES.general;
+}
+
+function formatProfileValue(value, format) {
+  if (value === null || value === undefined || value === '') return 'Not captured';
+
+  switch (format) {
+    case 'currency':
+      return `$${Math.round(parseFloat(value)).toLocaleString('en-US')}`;
+    case 'ratio':
+      return (Math.round(parseFloat(value) * 100) / 100).toString();
+    case 'percent':
+      return `${parseFloat(value)}%`;
+    case 'boolean':
+      if (typeof value === 'string') return ['yes', 'true', '1'].includes(value.toLowerCase()) ? 'Yes' : 'No';
+      return value ? 'Yes' : 'No';
+    case 'number':
+      return parseFloat(value).toLocaleString('en-US');
+    default:
+      return String(value);
+  }
+}
+
+function buildStakeholderData(profile, fieldDetails) {
+  if (!profile.dataSection) return null;
+
+  return {
+    title: profile.dataSection.title,
+    items: profile.dataSection.fields.map(field => ({
+      label: field.label,
+      value: formatProfileValue(fieldDetails[field.key], field.format)
+    }))
+  };
+}
+
+module.exports = {
+  PROFILES,
+  getProfileForUserType,
+  getSectionsForTrigger,
+  buildStakeholderData,
+  formatProfileValue
+};
@@ -0,0 +1,80 @@
+// Forecast hazards the daily alert scan looks for. Each rule reads one value
+// from an Open-Meteo forecast day; consecutive days that meet it form a single
+// event, and events shorter than `minDays` are ignored. Agronomists can tune
+// the thresholds here or through the environment.
+const { THRESHOLDS } = require('./agronomyRules');
+const { envNumber, envInteger } = require('../utils/env');
+
+const ALERT_THRESHOLDS = {
+  // Daily minimum (°C) at or below which frost is forecast
+  frostTemp: envNumber('ALERT_FROST_TEMP', THRESHOLDS.frostTemp),
+  // Daily maximum (°C) for a heat wave day, and the run of days that makes a heat wave
+  heatWaveTemp: envNumber('ALERT_HEAT_WAVE_TEMP', THRESHOLDS.heatStressTemp),
+  heatWaveDays: envInteger('ALERT_HEAT_WAVE_DAYS', 3, { min: 1 }),
+  // Daily rainfall (mm) that counts as heavy rain
+  heavyRainfall: envNumber('ALERT_HEAVY_RAIN_MM', 50),
+  // Daily maximum wind gust (km/h) that counts as high wind
+  windGust: envNumber('ALERT_WIND_GUST_KMH', 60)
+};
+
+// WMO weather codes for thunderstorms with slight or heavy hail
+const HAIL_WEATHER_CODES = [96, 99];
+
+const ALERT_RULES = {
+  frost: {
+    label: 'Frost',
+    reading: day => day.tempMin,
+    applies: value => value <= ALERT_THRESHOLDS.frostTemp,
+    peak: 'min',
+    minDays: 1,
+    severity: event => (event.peak <= 0 ? 'critical' : 'high'),
+    describe: event => `minimum down to ${event.peak}°C`,
+    action: 'Irrigate the evening before frost nights where water is available, harvest mature produce early and cover nursery beds.'
+  },
+  heat_wave: {
+    label: 'Heat wave',
+    reading: day => day.tempMax,
+    applies: value => value >= ALERT_THRESHOLDS.heatWaveTemp,
+    peak: 'max',
+    minDays: ALERT_THRESHOLDS.heatWaveDays,
+    severity: event => (event.peak >= ALERT_THRESHOLDS.heatWaveTemp + 5 || event.days >= 5 ? 'critical' : 'high'),
+    describe: event => `${event.days} days at or above ${ALERT_THRESHOLDS.heatWaveTemp}°C, up to ${event.peak}°C`,
+    action: 'Irrigate early in the morning ahead of the hot days, avoid spraying and fertilizer application in the heat, and check crops for wilting.'
+  },
+  heavy_rain: {
+    label: 'Heavy rain',
+    reading: day => day.precipitation,
+    applies: value => value >= ALERT_THRESHOLDS.heavyRainfall,
+    peak: 'max',
+    minDays: 1,
+    severity: event => (event.peak >= ALERT_THRESHOLDS.heavyRainfall * 2 ? 'critical' : 'high'),
+    describe: event => `up to ${event.peak}mm in a day`,
+    action: 'Clear drains and contour ridges, hold off fertilizer and spraying until after the rain, and move harvested produce under cover.'
+  },
+  hail_storm: {
+    label: 'Thunderstorm with hail',
+    reading: day => (HAIL_WEATHER_CODES.includes(day.weatherCode) ? day.weatherCode : null),
+    applies: () => true,
+    peak: 'max',
+    minDays: 1,
+    severity: event => (event.peak === 99 ? 'critical' : 'high'),
+    describe: event => (event.peak === 99 ? 'heavy hail possible' : 'hail possible'),
+    action: 'Move equipment and harvested produce under cover, postpone spraying, and photograph the crop before and after the storm for any insurance claim.'
+  },
+  high_wind: {
+    label: 'High wind',
+    reading: day => day.windGust,
+    applies: value => value >= ALERT_THRESHOLDS.windGust,
+    peak: 'max',
+    minDays: 1,
+    severity: event => (event.peak >= ALERT_THRESHOLDS.windGust * 1.5 ? 'critical' : 'high'),
+    describe: event => `gusts up to ${event.peak}km/h`,
+    action: 'Postpone spraying, secure tunnels, shade netting and stored produce, and check tall crops for lodging after the wind.'
+  }
+};
+
+module.exports = {
+  ALERT_THRESHOLDS,
+  ALERT_RULES,
+  HAIL_WEATHER_CODES
+};
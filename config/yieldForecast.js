@@ -0,0 +1,87 @@
+// Yield forecast model. A forecast starts from a baseline yield (the farmer's
+// expectation blended with last season's yield, or a typical yield for the
+// crop when neither is recorded) and applies one adjustment per factor below:
+// management inputs and field condition from the field visit, season weather
+// from the archive since planting, and reported losses. A reported loss and the
+// season weather are not both applied, since the loss already includes the
+// weather damage; whichever takes more off the yield is used. Adjustments are
+// fractions of the baseline and multiply together. The low/high band narrows
+// as the season progresses and widens when the inputs are thin.
+const { LOSS_THRESHOLDS } = require('./lossAssessment');
+const { envNumber } = require('../utils/env');
+
+// Typical commercial yields (t/ha) used as the baseline when a field has no
+// expected or previous season yield; seed cotton and cured leaf for tobacco
+const REFERENCE_YIELDS = {
+  maize: 6,
+  wheat: 6,
+  barley: 5,
+  tobacco: 3,
+  soybean: 2.5,
+  cotton: 1.5,
+  sorghum: 3
+};
+
+// The band may only narrow as the season progresses, and a band of the whole
+// forecast or more would put the low end at or below zero
+const bandAtPlanting = envNumber('YIELD_BAND_AT_PLANTING', 0.35, { min: 0, max: 0.95 });
+const bandAtMaturity = envNumber('YIELD_BAND_AT_MATURITY', Math.min(0.1, bandAtPlanting), { min: 0, max: bandAtPlanting });
+
+const YIELD_FORECAST = {
+  // Weight of the farmer's expectation when blended with last season's yield
+  expectationWeight: envNumber('YIELD_EXPECTATION_WEIGHT', 0.5, { min: 0, max: 1 }),
+  // Expectations further above last season than this are capped before blending
+  maxExpectationRatio: LOSS_THRESHOLDS.optimisticYieldRatio,
+  // Band half-width (share of the forecast) at planting and at maturity
+  bandAtPlanting,
+  bandAtMaturity,
+  // Added to the band for a crop reference baseline and for missing season weather
+  referenceBaselineBand: 0.1,
+  noWeatherBand: 0.05,
+  // Band half-widths up to which the forecast confidence is high or medium
+  highConfidenceBand: 0.15,
+  mediumConfidenceBand: 0.25
+};
+
+const YIELD_FACTORS = {
+  noBasalFertilizer: -0.15,
+  // Only once the top dressing window has closed without one
+  noTopDressing: -0.12,
+  pests: { low: -0.03, medium: -0.08, high: -0.18 },
+  weeds: { low: -0.02, medium: -0.06, high: -0.15 },
+  disease: -0.08,
+  // Rainfed fields only, by season rainfall against the climatology
+  rainfall: {
+    'well below normal': -0.3,
+    'below normal': -0.12,
+    'near normal': 0,
+    'above normal': 0,
+    'well above normal': -0.05
+  },
+  // Rainfed fields with a dry spell of THRESHOLDS.drySpellDays in the reproductive phase
+  reproductiveDrySpell: -0.1,
+  // Per heat stress / frost day in the reproductive phase, and the cap
+  reproductiveHeatDay: -0.02,
+  maxHeatEffect: -0.25,
+  reproductiveFrostDay: -0.05,
+  maxFrostEffect: -0.3
+};
+
+const CONFIDENCE_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+  measured: 'Harvested yield'
+};
+
+function getReferenceYield(cropKey) {
+  return REFERENCE_YIELDS[cropKey] || null;
+}
+
+module.exports = {
+  REFERENCE_YIELDS,
+  YIELD_FORECAST,
+  YIELD_FACTORS,
+  CONFIDENCE_LABELS,
+  getReferenceYield
+};
@@ -0,0 +1,12 @@
+-- Migration 001: Retry scheduling and dead letter state for report_queue
+--
+-- Adds a next-attempt timestamp used by the retry scheduler (exponential
+-- backoff on retry_count) and a 'dead_letter' status for reports that
+-- exhausted REPORT_MAX_RETRIES.
+
+ALTER TABLE report_queue
+  MODIFY COLUMN status ENUM('pending','processing','completed','failed','dead_letter') NOT NULL DEFAULT 'pending',
+  ADD COLUMN next_attempt_at TIMESTAMP NULL DEFAULT NULL AFTER retry_count;
+
+CREATE INDEX idx_report_queue_dispatch
+  ON report_queue (status, priority, next_attempt_at, created_at);
@@ -0,0 +1,13 @@
+-- Migration 002: Atomic job claiming for report_queue
+--
+-- Workers claim pending rows by moving them to 'processing' with their worker
+-- id, a per-claim lock token and a lease expiry. Rows whose lease expires
+-- (worker crashed mid-report) are returned to 'pending' on the next tick.
+
+ALTER TABLE report_queue
+  ADD COLUMN locked_by VARCHAR(100) NULL DEFAULT NULL AFTER next_attempt_at,
+  ADD COLUMN lock_token CHAR(36) NULL DEFAULT NULL AFTER locked_by,
+  ADD COLUMN locked_until TIMESTAMP NULL DEFAULT NULL AFTER lock_token;
+
+CREATE INDEX idx_report_queue_lock_token ON report_queue (lock_token);
+CREATE INDEX idx_report_queue_lease ON report_queue (status, locked_until);
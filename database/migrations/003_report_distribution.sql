@@ -0,0 +1,41 @@
+-- Migration 003: Multi-recipient report distribution
+--
+-- report_subscriptions lists additional parties that receive reports for a
+-- farm (field_id NULL) or a single field, for example extension officers or
+-- partner staff who are not matched through farms.financier and
+-- farms.insurance_provider. Either user_id or email must be set.
+--
+-- report_deliveries records one row per report and recipient so retries only
+-- send to recipients that have not received the report yet.
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  farm_id INT NULL,
+  field_id INT NULL,
+  user_id INT NULL,
+  email VARCHAR(255) NULL,
+  recipient_name VARCHAR(255) NULL,
+  user_type VARCHAR(50) NULL,
+  role ENUM('owner','financier','insurer','extension_officer','observer') NOT NULL DEFAULT 'observer',
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_report_subscriptions_farm (farm_id, active),
+  INDEX idx_report_subscriptions_field (field_id, active)
+);
+
+CREATE TABLE IF NOT EXISTS report_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  report_queue_id INT NOT NULL,
+  report_id VARCHAR(64) NOT NULL,
+  recipient_email VARCHAR(255) NOT NULL,
+  recipient_name VARCHAR(255) NULL,
+  user_type VARCHAR(50) NULL,
+  role VARCHAR(50) NOT NULL,
+  status ENUM('queued','sent','failed') NOT NULL DEFAULT 'queued',
+  message_id VARCHAR(255) NULL,
+  error_message TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL DEFAULT NULL,
+  UNIQUE KEY uq_report_deliveries_recipient (report_queue_id, recipient_email),
+  INDEX idx_report_deliveries_report (report_id)
+);
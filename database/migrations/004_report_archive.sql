@@ -0,0 +1,26 @@
+-- Migration 004: Report archive
+--
+-- Every rendered report is stored with the exact HTML that was sent and the
+-- inputs it was generated from (field record, weather snapshot, Yieldera
+-- Engine output), so a report can be reproduced after weather and engine
+-- output have moved on. One row per report and recipient variant.
+
+CREATE TABLE IF NOT EXISTS report_archive (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  report_id VARCHAR(64) NOT NULL,
+  report_queue_id INT NOT NULL,
+  field_id INT NOT NULL,
+  farm_id INT NOT NULL,
+  trigger_type VARCHAR(50) NOT NULL,
+  report_type VARCHAR(100) NOT NULL,
+  recipient_email VARCHAR(255) NOT NULL,
+  recipient_role VARCHAR(50) NOT NULL,
+  user_type VARCHAR(50) NULL,
+  profile VARCHAR(50) NOT NULL,
+  html MEDIUMTEXT NOT NULL,
+  report_data LONGTEXT NOT NULL,
+  input_snapshot LONGTEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_report_archive_recipient (report_id, recipient_email),
+  INDEX idx_report_archive_field (field_id, created_at)
+);
@@ -0,0 +1,18 @@
+-- Migration 005: Delivery tracking for report emails
+--
+-- Bounce and complaint notifications arrive on POST /webhooks/email-events and
+-- are matched on message_id. Optional open tracking uses a per-delivery
+-- tracking_token embedded in a 1x1 image URL.
+
+ALTER TABLE report_deliveries
+  MODIFY COLUMN status ENUM('queued','sent','failed','delivered','opened','bounced','complained') NOT NULL DEFAULT 'queued',
+  ADD COLUMN tracking_token CHAR(32) NULL DEFAULT NULL AFTER message_id,
+  ADD COLUMN open_count INT NOT NULL DEFAULT 0 AFTER sent_at,
+  ADD COLUMN opened_at TIMESTAMP NULL DEFAULT NULL AFTER open_count,
+  ADD COLUMN delivered_at TIMESTAMP NULL DEFAULT NULL AFTER opened_at,
+  ADD COLUMN bounced_at TIMESTAMP NULL DEFAULT NULL AFTER delivered_at,
+  ADD COLUMN complained_at TIMESTAMP NULL DEFAULT NULL AFTER bounced_at,
+  ADD COLUMN bounce_reason TEXT NULL AFTER complained_at;
+
+CREATE INDEX idx_report_deliveries_message ON report_deliveries (message_id);
+CREATE UNIQUE INDEX uq_report_deliveries_tracking ON report_deliveries (tracking_token);
@@ -0,0 +1,17 @@
+-- Migration 006: SMS and WhatsApp delivery channels
+--
+-- Farmers without email (or with poor internet) receive a short summary by
+-- SMS or WhatsApp. A delivery is now keyed by channel and recipient_address
+-- (email address or E.164 phone number) instead of by email alone.
+
+ALTER TABLE report_deliveries
+  ADD COLUMN channel ENUM('email','sms','whatsapp') NOT NULL DEFAULT 'email' AFTER role,
+  ADD COLUMN recipient_address VARCHAR(255) NULL AFTER channel,
+  MODIFY COLUMN recipient_email VARCHAR(255) NULL,
+  DROP INDEX uq_report_deliveries_recipient;
+
+UPDATE report_deliveries SET recipient_address = recipient_email WHERE recipient_address IS NULL;
+
+ALTER TABLE report_deliveries
+  MODIFY COLUMN recipient_address VARCHAR(255) NOT NULL,
+  ADD UNIQUE KEY uq_report_deliveries_recipient (report_queue_id, channel, recipient_address);
@@ -0,0 +1,20 @@
+-- Migration 007: Yieldera Engine output cache
+--
+-- Engine output is cached under a hash of the field attributes, weather
+-- summary, stakeholder profile, model and prompt version it was generated
+-- from, so repeated triggers on an unchanged field reuse it until it expires.
+
+CREATE TABLE IF NOT EXISTS engine_output_cache (
+  cache_key CHAR(64) NOT NULL PRIMARY KEY,
+  field_id INT NOT NULL,
+  profile VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  prompt_version VARCHAR(32) NOT NULL,
+  output LONGTEXT NOT NULL,
+  hit_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_hit_at TIMESTAMP NULL DEFAULT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  INDEX idx_engine_output_cache_expiry (expires_at),
+  INDEX idx_engine_output_cache_field (field_id)
+);
@@ -0,0 +1,9 @@
+-- Migration 008: Prompt version on archived reports
+--
+-- Records which prompt template version and crop pack (e.g. "v1/maize")
+-- produced the Yieldera Engine output in each report, so outputs can be
+-- compared across prompt versions.
+
+ALTER TABLE report_archive
+  ADD COLUMN prompt_version VARCHAR(64) NULL DEFAULT NULL AFTER profile,
+  ADD INDEX idx_report_archive_prompt_version (prompt_version, created_at);
@@ -0,0 +1,14 @@
+-- Migration 009: Long-term daily weather for seasonal comparisons
+--
+-- Daily rainfall and temperatures for the past CLIMATOLOGY_YEARS years at a
+-- rounded field location (0.1 degree), fetched once from the Open-Meteo
+-- archive and reused for every field nearby until the year range moves on.
+
+CREATE TABLE IF NOT EXISTS climatology_cache (
+  location_key VARCHAR(32) NOT NULL,
+  start_year SMALLINT NOT NULL,
+  end_year SMALLINT NOT NULL,
+  series MEDIUMTEXT NOT NULL,
+  fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (location_key, start_year, end_year)
+);
@@ -0,0 +1,17 @@
+-- Migration 010: Open-Meteo response cache
+--
+-- Forecast and archive responses are stored per rounded location (a tile
+-- shared by neighbouring fields), request kind and day. Fresh entries are
+-- reused until they expire; older entries are kept so reports can still be
+-- built from the last good response when the API is unreachable.
+
+CREATE TABLE IF NOT EXISTS weather_cache (
+  location_key VARCHAR(32) NOT NULL,
+  kind VARCHAR(64) NOT NULL,
+  request_date DATE NOT NULL,
+  data MEDIUMTEXT NOT NULL,
+  fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (location_key, kind, request_date),
+  INDEX idx_weather_cache_fetched (fetched_at)
+);
@@ -0,0 +1,28 @@
+-- Migration 011: Forecast-driven weather alerts
+--
+-- The daily alert scan checks every active field against the 7-day forecast
+-- and queues a short 'weather_alert' report when it finds frost, a heat wave,
+-- heavy rain, a hail-prone thunderstorm or high wind. weather_alerts records
+-- each forecast event per field so later scans that see the same event (its
+-- window overlapping or touching a recorded one) do not alert again; only an
+-- escalation in severity queues a new report. report_queue_id links the
+-- alerts to the report that announced them.
+
+ALTER TABLE report_queue
+  MODIFY COLUMN trigger_type ENUM('new_field','field_update','loss_event','growth_stage_change','weather_alert') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS weather_alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  field_id INT NOT NULL,
+  alert_type VARCHAR(32) NOT NULL,
+  severity ENUM('low','medium','high','critical') NOT NULL,
+  event_start DATE NOT NULL,
+  event_end DATE NOT NULL,
+  peak_value DECIMAL(6,1) NULL,
+  message VARCHAR(255) NOT NULL,
+  report_queue_id INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_weather_alerts_field (field_id, alert_type, event_end),
+  INDEX idx_weather_alerts_report (report_queue_id)
+);
@@ -0,0 +1,35 @@
+-- Migration 012: Weather index insurance
+--
+-- index_policies enrols a field in one of the index products configured in
+-- config/indexProducts.js, with the sum insured the payout percentage applies
+-- to. The daily index evaluation stores one row per policy and day in
+-- index_evaluations: the trigger status, the payout earned so far, the
+-- projected payout for the season, and the full evaluation (phase rainfall,
+-- heat days and each trigger) it was derived from.
+
+CREATE TABLE IF NOT EXISTS index_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  field_id INT NOT NULL,
+  product_code VARCHAR(64) NOT NULL,
+  sum_insured DECIMAL(12,2) NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status ENUM('active','cancelled','expired') NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_index_policies_field (field_id, status)
+);
+
+CREATE TABLE IF NOT EXISTS index_evaluations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  policy_id INT NOT NULL,
+  field_id INT NOT NULL,
+  evaluated_on DATE NOT NULL,
+  status VARCHAR(16) NOT NULL,
+  payout_percent DECIMAL(5,1) NOT NULL DEFAULT 0,
+  projected_payout_percent DECIMAL(5,1) NOT NULL DEFAULT 0,
+  data_through DATE NULL,
+  result MEDIUMTEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_index_evaluations_day (policy_id, evaluated_on),
+  INDEX idx_index_evaluations_date (evaluated_on, status)
+);
@@ -0,0 +1,20 @@
+-- Migration 013: Farm credit scores
+--
+-- Each processed report records the farm's credit risk scorecard
+-- (config/creditScorecard.js) so lenders can follow a farm's score over the
+-- season. A retried report replaces its own row. `result` holds the full
+-- scorecard with the points of every factor.
+
+CREATE TABLE IF NOT EXISTS credit_scores (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  farm_id INT NOT NULL,
+  field_id INT NULL,
+  report_queue_id INT NOT NULL,
+  scorecard_version VARCHAR(16) NOT NULL,
+  score DECIMAL(5,1) NOT NULL,
+  grade CHAR(1) NOT NULL,
+  result MEDIUMTEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_credit_scores_report (report_queue_id),
+  INDEX idx_credit_scores_farm (farm_id, created_at)
+);
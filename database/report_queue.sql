@@ -7,10 +7,13 @@
 -- Your current table structure:
 -- - id (auto increment primary key)
 -- - field_id (foreign key to fields table)
--- - trigger_type: 'new_field','field_update','loss_event','growth_stage_change'
+-- - trigger_type: 'new_field','field_update','loss_event','growth_stage_change',
+--   'weather_alert' (queued by the forecast alert scan) - see migrations/011_weather_alerts.sql
 -- - priority: 'low','normal','high','urgent'
--- - status: 'pending','processing','completed','failed'
+-- - status: 'pending','processing','completed','failed','dead_letter'
 -- - retry_count (integer, default 0)
+-- - next_attempt_at (timestamp, nullable) - see migrations/001_report_queue_retry.sql
+-- - locked_by, lock_token, locked_until (nullable) - see migrations/002_report_queue_claiming.sql
 -- - error_message (text, nullable)
 -- - created_at (timestamp, default current_timestamp)
 -- - processed_at (timestamp, nullable)
@@ -21,4 +24,5 @@
 -- Current pending reports: 18 field reports ready for processing
 -- These will be automatically processed once the service is deployed.
 --
--- No database changes required!
+-- Schema changes introduced after the initial deployment live in
+-- database/migrations/ and must be applied in order.
@@ -6,7 +6,11 @@ require('dotenv').config();
 const ReportService = require('./services/reportService');
 const EmailService = require('./services/emailService');
 const WeatherService = require('./services/weatherService');
+const WeatherCache = require('./services/weatherCache');
 const DatabaseService = require('./services/databaseService');
+const PdfService = require('./services/pdfService');
+const { getProfileForUserType } = require('./config/stakeholderProfiles');
+const { getIndexProduct } = require('./config/indexProducts');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -15,6 +19,26 @@ const PORT = process.env.PORT || 10000;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Routes that expose farm financials or recipient data require the shared
+// secret in the X-Api-Secret header
+function requireApiSecret(req, res, next) {
+  if (!process.env.API_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'API secret is not configured'
+    });
+  }
+
+  if (req.get('X-Api-Secret') !== process.env.API_SECRET) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid API secret'
+    });
+  }
+
+  next();
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -29,12 +53,25 @@ app.get('/status', async (req, res) => {
   try {
     const dbService = new DatabaseService();
     const queueCount = await dbService.getQueueCount();
+    const queueStats = await dbService.getQueueStats();
+    const deliveryStats = await dbService.getDeliveryStats(7);
     
     res.status(200).json({
       status: 'running',
       timestamp: new Date().toISOString(),
       pendingReports: queueCount,
-      lastProcessed: global.lastProcessedTime || 'Not yet processed'
+      processingReports: queueStats.processing || 0,
+      deadLetterReports: queueStats.dead_letter || 0,
+      queue: queueStats,
+      deliveriesLast7Days: deliveryStats,
+      lastProcessed: global.lastProcessedTime || 'Not yet processed',
+      workerId: reportService ? reportService.workerId : null,
+      llm: reportService ? { ...reportService.llm.getInfo(), mode: reportService.engineMode } : null,
+      engineCache: reportService ? reportService.engineCache.getStats() : null,
+      weatherCache: weatherService && weatherService.cache ? weatherService.cache.getStats() : null,
+      lastWeatherAlertScan: reportService ? reportService.weatherAlerts.getStats() : null,
+      lastIndexEvaluation: reportService ? reportService.indexInsurance.getStats() : null,
+      rateLimiters: reportService ? reportService.getRateLimiterStats() : []
     });
   } catch (error) {
     res.status(500).json({
@@ -58,11 +95,11 @@ async function initializeServices() {
     await dbService.testConnection();
     console.log('✅ Database connection established');
     
-    emailService = new EmailService();
+    emailService = new EmailService(new PdfService());
     await emailService.testConnection();
     console.log('✅ Email service initialized');
     
-    weatherService = new WeatherService();
+    weatherService = new WeatherService(new WeatherCache(dbService));
     console.log('✅ Weather service initialized');
     
     reportService = new ReportService(dbService, emailService, weatherService);
@@ -77,6 +114,44 @@ async function initializeServices() {
     });
     job.start();
     console.log('✅ Report processing cron job started (every 1 minute)');
+
+    // Clear expired Yieldera Engine and weather cache entries nightly
+    const cacheJob = new cron.CronJob('15 2 * * *', async () => {
+      try {
+        const purged = await dbService.purgeExpiredEngineCache();
+        console.log(`🧹 Purged ${purged} expired engine cache entries`);
+      } catch (error) {
+        console.error('❌ Error purging engine cache:', error);
+      }
+
+      try {
+        const purged = await weatherService.cache.purge();
+        console.log(`🧹 Purged ${purged} old weather cache entries`);
+      } catch (error) {
+        console.error('❌ Error purging weather cache:', error);
+      }
+    });
+    cacheJob.start();
+
+    // Scan every active field against the 7-day forecast and queue weather alert reports
+    if (process.env.WEATHER_ALERTS_ENABLED !== 'false') {
+      const alertSchedule = process.env.WEATHER_ALERT_CRON || '0 5 * * *';
+      const alertJob = new cron.CronJob(alertSchedule, async () => {
+        await scanWeatherAlerts();
+      });
+      alertJob.start();
+      console.log(`✅ Weather alert scan cron job started (${alertSchedule})`);
+    }
+
+    // Evaluate every active weather index policy against the season's weather
+    if (process.env.INDEX_INSURANCE_ENABLED !== 'false') {
+      const indexSchedule = process.env.INDEX_EVALUATION_CRON || '30 5 * * *';
+      const indexJob = new cron.CronJob(indexSchedule, async () => {
+        await evaluateIndexInsurance();
+      });
+      indexJob.start();
+      console.log(`✅ Index insurance evaluation cron job started (${indexSchedule})`);
+    }
     
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
@@ -94,6 +169,9 @@ async function processReports() {
       if (result.errors > 0) {
         console.log(`⚠️ ${result.errors} reports had errors`);
       }
+      if (result.deadLettered > 0) {
+        console.log(`☠️ ${result.deadLettered} reports moved to dead letter`);
+      }
     }
     
     global.lastProcessedTime = new Date().toISOString();
@@ -103,6 +181,32 @@ async function processReports() {
   }
 }
 
+async function scanWeatherAlerts() {
+  try {
+    const result = await reportService.weatherAlerts.scan();
+    if (result) {
+      console.log(`🌦️ Weather alert scan: ${result.reportsQueued} reports queued from ${result.events} forecast events on ${result.fields} fields (${result.duplicates} already alerted)`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Error scanning for weather alerts:', error);
+    throw error;
+  }
+}
+
+async function evaluateIndexInsurance() {
+  try {
+    const result = await reportService.indexInsurance.evaluateAll();
+    if (result) {
+      console.log(`📈 Index insurance evaluation: ${result.evaluated} of ${result.policies} policies evaluated, ${result.triggered} triggered, ${result.atRisk} on track to trigger`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Error evaluating index insurance:', error);
+    throw error;
+  }
+}
+
 // Manual trigger endpoint for testing (accepts both GET and POST)
 app.get('/trigger-reports', async (req, res) => {
   try {
@@ -144,6 +248,514 @@ app.post('/trigger-reports', async (req, res) => {
   }
 });
 
+// Dead letter inspection - reports that exhausted their retries
+app.get('/dead-letter', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const reports = await dbService.getDeadLetterReports(limit);
+    
+    res.status(200).json({
+      count: reports.length,
+      reports
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/dead-letter/:id/requeue', async (req, res) => {
+  try {
+    const requeued = await dbService.requeueDeadLetterReport(req.params.id);
+    
+    if (!requeued) {
+      return res.status(404).json({
+        success: false,
+        message: `Report ${req.params.id} is not in the dead letter queue`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: `Report ${req.params.id} requeued`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Forecast weather alerts - run the scan now, and list recent alerts
+app.post('/weather-alerts/scan', async (req, res) => {
+  try {
+    const result = await scanWeatherAlerts();
+    
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A weather alert scan is already running'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/weather-alerts', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const alerts = await dbService.getRecentWeatherAlerts(days, limit);
+    
+    res.status(200).json({
+      count: alerts.length,
+      alerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Weather index insurance - products, policies and evaluations
+app.get('/index-insurance/products', (req, res) => {
+  try {
+    const products = reportService.indexInsurance.getProducts();
+
+    res.status(200).json({
+      count: products.length,
+      products
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/index-insurance/policies', async (req, res) => {
+  try {
+    const { fieldId, productCode, sumInsured = null, currency = 'USD' } = req.body || {};
+    const product = productCode ? getIndexProduct(productCode) : null;
+
+    if (!fieldId || !product) {
+      return res.status(400).json({
+        success: false,
+        message: !fieldId ? 'fieldId is required' : `Unknown index product ${productCode || '(none)'}`
+      });
+    }
+
+    const fieldDetails = await dbService.getFieldDetails(fieldId);
+    if (!fieldDetails) {
+      return res.status(404).json({
+        success: false,
+        message: `Field ${fieldId} not found`
+      });
+    }
+
+    const problem = reportService.indexInsurance.getEligibilityProblem(product, fieldDetails);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const policyId = await dbService.createIndexPolicy(fieldId, productCode, sumInsured, currency);
+
+    res.status(201).json({
+      success: true,
+      policyId
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/index-insurance/evaluate', async (req, res) => {
+  try {
+    const result = await evaluateIndexInsurance();
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'An index insurance evaluation is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/index-insurance/evaluations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const evaluations = await reportService.indexInsurance.getLatestEvaluations(req.query.status || null, limit);
+
+    res.status(200).json({
+      count: evaluations.length,
+      evaluations
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Live evaluation of a field's index policies against the weather to date
+app.get('/fields/:fieldId/index-insurance', async (req, res) => {
+  try {
+    const fieldDetails = await dbService.getFieldDetails(req.params.fieldId);
+
+    if (!fieldDetails) {
+      return res.status(404).json({
+        success: false,
+        message: `Field ${req.params.fieldId} not found`
+      });
+    }
+
+    const series = await reportService.seasonalWeather.getSeasonSeries(fieldDetails);
+    const policies = await reportService.indexInsurance.evaluateField(fieldDetails, series);
+
+    res.status(200).json({
+      fieldId: parseInt(req.params.fieldId),
+      policies: policies || []
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Yield forecast with its low/high band, from the field record and season weather
+app.get('/fields/:fieldId/yield-forecast', async (req, res) => {
+  try {
+    const fieldDetails = await dbService.getFieldDetails(req.params.fieldId);
+
+    if (!fieldDetails) {
+      return res.status(404).json({
+        success: false,
+        message: `Field ${req.params.fieldId} not found`
+      });
+    }
+
+    const forecast = await reportService.yieldForecast.forecastField(fieldDetails);
+
+    res.status(200).json({
+      fieldId: parseInt(req.params.fieldId),
+      fieldName: fieldDetails.field_name,
+      forecast
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Prompt templates - active version and crop packs
+app.get('/prompts', (req, res) => {
+  try {
+    res.status(200).json(reportService.prompts.getInfo());
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Re-read prompt templates from PROMPTS_DIR after agronomists edit them
+app.post('/prompts/reload', (req, res) => {
+  try {
+    reportService.prompts.reload();
+    
+    res.status(200).json({
+      success: true,
+      ...reportService.prompts.getInfo()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Report archive - the exact report a recipient received and its inputs
+app.get('/reports/:reportId.json', requireApiSecret, async (req, res) => {
+  try {
+    const archived = await reportService.archive.getReport(req.params.reportId, req.query.recipient || null);
+    
+    if (!archived) {
+      return res.status(404).json({
+        success: false,
+        message: `Report ${req.params.reportId} not found`
+      });
+    }
+    
+    const { html, ...report } = archived;
+    const variants = await dbService.getArchivedReportVariants(req.params.reportId);
+    
+    res.status(200).json({
+      ...report,
+      variants: variants.map(variant => ({
+        email: variant.recipient_email,
+        role: variant.recipient_role,
+        userType: variant.user_type,
+        profile: variant.profile,
+        delivery: reportService.archive.formatDelivery(variant)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Machine-readable claim summary of a loss assessment report
+app.get('/reports/:reportId/claim.json', requireApiSecret, async (req, res) => {
+  try {
+    const archived = await reportService.archive.getReport(req.params.reportId, req.query.recipient || null);
+    const claimSummary = archived && archived.reportData ? archived.reportData.claimSummary : null;
+
+    if (!claimSummary) {
+      return res.status(404).json({
+        success: false,
+        message: archived
+          ? `Report ${req.params.reportId} is not a loss assessment report`
+          : `Report ${req.params.reportId} not found`
+      });
+    }
+
+    res.status(200).json(claimSummary);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/reports/:reportId', requireApiSecret, async (req, res) => {
+  try {
+    const archived = await reportService.archive.getReport(req.params.reportId, req.query.recipient || null);
+    
+    if (!archived) {
+      return res.status(404).json({
+        success: false,
+        message: `Report ${req.params.reportId} not found`
+      });
+    }
+    
+    res.status(200).type('html').send(archived.html);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/fields/:fieldId/reports', requireApiSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const reports = await reportService.archive.getFieldHistory(req.params.fieldId, limit);
+    
+    res.status(200).json({
+      fieldId: parseInt(req.params.fieldId),
+      count: reports.length,
+      reports
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Credit risk scorecard recorded with each report, newest first
+app.get('/farms/:farmId/credit-scores', requireApiSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const scores = await reportService.creditScorecard.getHistory(req.params.farmId, limit);
+
+    res.status(200).json({
+      farmId: parseInt(req.params.farmId),
+      count: scores.length,
+      current: scores[0] || null,
+      scores
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delivery tracking - bounce/complaint notifications from the mail provider
+const DELIVERY_EVENT_ALIASES = {
+  delivered: 'delivered',
+  delivery: 'delivered',
+  bounce: 'bounce',
+  bounced: 'bounce',
+  hard_bounce: 'bounce',
+  soft_bounce: 'bounce',
+  failed: 'bounce',
+  complaint: 'complaint',
+  complained: 'complaint',
+  spam: 'complaint'
+};
+
+app.post('/webhooks/email-events', async (req, res) => {
+  try {
+    if (!process.env.EMAIL_WEBHOOK_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: 'Email event webhook is not configured'
+      });
+    }
+    
+    const secret = req.get('X-Webhook-Secret') || req.query.secret;
+    if (secret !== process.env.EMAIL_WEBHOOK_SECRET) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook secret'
+      });
+    }
+    
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    let matched = 0;
+    let ignored = 0;
+    
+    for (const payload of events) {
+      const messageId = payload.messageId || payload.message_id || payload['Message-Id'];
+      const event = DELIVERY_EVENT_ALIASES[String(payload.event || payload.type || payload.eventType || '').toLowerCase()];
+      
+      if (!messageId || !event) {
+        ignored++;
+        continue;
+      }
+      
+      const updated = await dbService.recordDeliveryEvent(messageId, event, payload.reason || payload.description || null);
+      if (updated > 0) {
+        matched++;
+      } else {
+        ignored++;
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      matched,
+      ignored
+    });
+  } catch (error) {
+    console.error('❌ Email event webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Open tracking pixel - always answers with the image so mail clients never show a broken one
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+app.get('/track/open/:token.gif', async (req, res) => {
+  if (/^[a-f0-9]{32}$/.test(req.params.token)) {
+    await dbService.recordDeliveryOpen(req.params.token);
+  }
+  
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.status(200).send(TRACKING_PIXEL);
+});
+
+app.get('/deliveries', requireApiSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const deliveries = await dbService.getDeliveries(req.query.status || null, limit);
+    
+    res.status(200).json({
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Distribution preview - everyone who would receive a report for this field
+app.get('/fields/:fieldId/recipients', requireApiSecret, async (req, res) => {
+  try {
+    const fieldDetails = await dbService.getFieldDetails(req.params.fieldId);
+    
+    if (!fieldDetails) {
+      return res.status(404).json({
+        success: false,
+        message: `Field ${req.params.fieldId} not found`
+      });
+    }
+    
+    const owner = await dbService.getUserDetails(fieldDetails.user_id);
+    const recipients = await reportService.distribution.resolveRecipients(fieldDetails, owner);
+    
+    res.status(200).json({
+      fieldId: fieldDetails.id,
+      recipients: recipients.map(recipient => ({
+        ...recipient,
+        profile: getProfileForUserType(recipient.userType).key
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 Shutting down gracefully...');
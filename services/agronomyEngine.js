@@ -0,0 +1,502 @@
+const moment = require('moment');
+const {
+  CROP_CALENDARS,
+  PHASE_LABELS,
+  IRRIGATED_METHODS,
+  THRESHOLDS,
+  resolveCropKey,
+  classifyGrowthStage
+} = require('../config/agronomyRules');
+
+// Engine recommendations that contradict a hard rule. `applies` decides whether
+// the rule holds for the field; `pattern` matches the offending advice unless
+// `unless` also matches.
+const HARD_RULES = [
+  {
+    id: 'irrigated_rainfall_reliance',
+    applies: ctx => ctx.irrigated,
+    pattern: /\b(rely|relying|depend|depending|wait|waiting)\b[^.]*\brain|\brain-?fed\b|\b(await|until)\b[^.]*\brains?\b/i,
+    // Only a negated reliance ("not rely on rain"), not any "not" before rain
+    unless: /\b(rather than|instead of|regardless of)\b[^.]*\brain|\b(not|never)\s+(rely|relying|depend|depending|wait|waiting)\b|\b(keep|continue)\s+(irrigating|watering)\b/i,
+    message: ctx => `This field has ${ctx.irrigation} irrigation; water should be scheduled by irrigation rather than left to rainfall.`
+  },
+  {
+    id: 'rainfed_irrigation',
+    applies: ctx => ctx.rainfed && !ctx.irrigationInfrastructure,
+    // Irrigation as the advice itself, not a passing mention ("under pivot irrigation")
+    pattern: /\birrigat(e|ing)\b|\birrigation (intervals?|cycles?|schedul\w*|frequency|events?|amounts?|depth)\b|\b(supplementary|supplemental) (irrigation|water)\b|\b(start|begin|resume|increase)\s+(the\s+)?irrigation\b|\b\d+(\.\d+)?\s?mm of (water|irrigation)\b/i,
+    unless: /\b(do not|don't|no need to|cannot|can't)\s+irrigate\b/i,
+    message: () => 'This field is rainfed and the farm reports no irrigation infrastructure, so irrigation advice cannot be followed.'
+  },
+  {
+    id: 'soybean_nitrogen',
+    applies: ctx => ctx.cropKey === 'soybean',
+    pattern: /\btop[- ]?dress|\burea\b|ammonium nitrate|\bapply\b[^.]*\bnitrogen\b/i,
+    message: () => 'Nodulated soybean fixes its own nitrogen; nitrogen top dressing is not recommended. Check inoculation and nodulation instead.'
+  },
+  {
+    id: 'late_basal_fertilizer',
+    applies: ctx => ctx.daysSincePlanting !== null && ctx.daysSincePlanting > ctx.calendar.basalWindow * 2,
+    pattern: /\bbasal\b/i,
+    message: ctx => `Basal fertilizer is applied at planting; ${ctx.daysSincePlanting} days after planting any shortfall should be corrected through top dressing.`
+  },
+  {
+    id: 'late_top_dressing',
+    applies: ctx => ctx.calendar.topDressingWindow !== null &&
+      (ctx.phase === 'maturity' || ctx.phase === 'harvested' ||
+        (ctx.daysSincePlanting !== null && ctx.daysSincePlanting > ctx.calendar.topDressingWindow[1] + 14)),
+    pattern: /\btop[- ]?dress/i,
+    message: ctx => `Top dressing is no longer effective at this stage of the ${ctx.cropName.toLowerCase()} crop (window ends ${ctx.calendar.topDressingWindow[1]} days after planting).`
+  },
+  {
+    id: 'mature_crop_inputs',
+    applies: ctx => ctx.phase === 'maturity' || ctx.phase === 'harvested',
+    pattern: /\b(plant|sow|transplant)(ing)?\b[^.]*\b(this|the) (crop|field)\b|\bapply\b[^.]*\bfertili[sz]er\b/i,
+    message: ctx => `The crop is at ${PHASE_LABELS[ctx.phase]}; fertilizer or planting advice no longer applies to this season's crop.`
+  }
+];
+
+// Deterministic agronomic findings and actions from the field record. Used on
+// its own when the Yieldera Engine is unavailable, and to check the engine's
+// recommendations against hard rules.
+class AgronomyEngine {
+  evaluate(fieldDetails, weatherData = null, { phenology = null, season = null, waterBalance = null, weatherAlerts = null, now = new Date() } = {}) {
+    const ctx = this.buildContext(fieldDetails, weatherData, now, { phenology, season, waterBalance, weatherAlerts });
+    const findings = [];
+    const actions = [];
+    const dataGaps = [];
+
+    this.checkAlerts(ctx, findings, actions);
+    this.checkCalendar(ctx, findings, actions, dataGaps);
+    this.checkFertilizer(ctx, findings, actions);
+    this.checkPests(ctx, findings, actions);
+    this.checkWeeds(ctx, findings, actions);
+    this.checkWater(ctx, findings, actions, dataGaps);
+
+    return {
+      crop: ctx.cropName,
+      phase: ctx.phase,
+      phaseSource: ctx.phaseSource,
+      daysSincePlanting: ctx.daysSincePlanting,
+      findings,
+      actions,
+      dataGaps
+    };
+  }
+
+  // `phenology` is the PhenologyService estimate; without it the expected
+  // phase comes from days since planting. `season` is the
+  // SeasonalWeatherService summary since planting, `waterBalance` the
+  // WaterBalanceService assessment and `weatherAlerts` the forecast hazards
+  // of a weather alert report.
+  buildContext(field, weatherData, now, { phenology = null, season = null, waterBalance = null, weatherAlerts = null } = {}) {
+    const cropKey = resolveCropKey(field.crop_type);
+    const calendar = CROP_CALENDARS[cropKey];
+    const irrigation = field.irrigation_method_enhanced || null;
+
+    let daysSincePlanting = null;
+    if (field.planting_date && moment(field.planting_date).isValid()) {
+      daysSincePlanting = moment(now).startOf('day').diff(moment(field.planting_date).startOf('day'), 'days');
+    }
+
+    const recordedPhase = classifyGrowthStage(field.current_growth_stage);
+    const expectedPhase = phenology ? phenology.phase : this.expectedPhase(calendar, daysSincePlanting);
+
+    const last7Days = weatherData && weatherData.analysis ? weatherData.analysis.last7Days : null;
+
+    return {
+      field,
+      cropKey,
+      calendar,
+      cropName: cropKey === 'default' ? field.crop_type || 'Crop' : calendar.name,
+      irrigation,
+      irrigated: IRRIGATED_METHODS.includes(irrigation),
+      rainfed: irrigation === 'Rainfed',
+      irrigationInfrastructure: this.isYes(field.irrigation_infrastructure_available),
+      daysSincePlanting,
+      recordedPhase,
+      expectedPhase,
+      phase: recordedPhase || expectedPhase,
+      phaseSource: recordedPhase ? 'recorded' : expectedPhase ? (phenology ? phenology.source : 'calendar') : null,
+      phenology,
+      season,
+      waterBalance,
+      weatherAlerts: weatherAlerts || [],
+      rainfall: last7Days && typeof last7Days.totalRainfall === 'number' ? last7Days.totalRainfall : null
+    };
+  }
+
+  expectedPhase(calendar, days) {
+    if (days === null || days < 0) return null;
+    if (days < 21) return 'establishment';
+    if (days < calendar.reproductiveFrom) return 'vegetative';
+    if (days < calendar.daysToMaturity) return 'reproductive';
+    return 'maturity';
+  }
+
+  // Forecast hazards that queued a weather alert report, each with its
+  // protective action due before the event starts
+  checkAlerts(ctx, findings, actions) {
+    ctx.weatherAlerts.forEach(alert => {
+      findings.push({
+        rule: `weather_alert_${alert.type}`,
+        title: `${alert.label} forecast`,
+        severity: alert.severity,
+        detail: `${alert.message}.`
+      });
+
+      if (!alert.action) return;
+      actions.push({
+        rule: `weather_alert_${alert.type}`,
+        title: `Prepare for ${alert.label.toLowerCase()}`,
+        action: alert.action,
+        urgency: 'immediate',
+        timeframe: `before ${moment(alert.start).format('MMM D')}`,
+        costTier: 'low'
+      });
+    });
+  }
+
+  checkCalendar(ctx, findings, actions, dataGaps) {
+    const { field, calendar, daysSincePlanting } = ctx;
+
+    if (daysSincePlanting === null) {
+      dataGaps.push('Planting date is missing, so fertilizer and weeding windows could not be checked');
+      return;
+    }
+
+    if (daysSincePlanting < 0) {
+      dataGaps.push(`Planting date ${moment(field.planting_date).format('YYYY-MM-DD')} is in the future`);
+      return;
+    }
+
+    if (!field.current_growth_stage) {
+      dataGaps.push(ctx.phenology
+        ? `Growth stage was not captured during the field visit; estimated as ${ctx.phenology.stage.toLowerCase()} from ${ctx.phenology.source === 'gdd' ? 'growing degree days' : 'days since planting'}`
+        : 'Growth stage was not captured during the field visit');
+    } else if (ctx.phenology) {
+      if (ctx.phenology.mismatch) dataGaps.push(ctx.phenology.mismatchNote);
+    } else if (ctx.recordedPhase && ctx.expectedPhase && this.phaseDistance(ctx.recordedPhase, ctx.expectedPhase) >= 2) {
+      dataGaps.push(`Recorded growth stage "${field.current_growth_stage}" does not match ${daysSincePlanting} days since planting (expected ${PHASE_LABELS[ctx.expectedPhase]})`);
+    }
+
+    const overdue = daysSincePlanting - calendar.daysToMaturity;
+    if (overdue > THRESHOLDS.harvestGraceDays && ctx.phase !== 'harvested') {
+      findings.push({
+        rule: 'harvest_overdue',
+        title: 'Crop past expected maturity',
+        severity: 'medium',
+        detail: `${ctx.cropName} usually matures about ${calendar.daysToMaturity} days after planting; this field was planted ${daysSincePlanting} days ago. Delayed harvest increases field losses, lodging and theft risk.`
+      });
+      actions.push({
+        rule: 'harvest_overdue',
+        title: 'Plan the harvest',
+        action: `Check grain moisture and arrange labour, bags and transport to harvest the ${ctx.cropName.toLowerCase()} crop.`,
+        urgency: 'this_week',
+        timeframe: 'within 7 days',
+        costTier: 'medium'
+      });
+    }
+  }
+
+  checkFertilizer(ctx, findings, actions) {
+    const { field, calendar, daysSincePlanting } = ctx;
+    if (daysSincePlanting === null || daysSincePlanting < 0 || ['maturity', 'harvested'].includes(ctx.phase)) return;
+
+    if (this.isNo(field.basal_fertilizer)) {
+      if (daysSincePlanting <= calendar.basalWindow) {
+        actions.push({
+          rule: 'basal_fertilizer',
+          title: 'Apply basal fertilizer',
+          action: `Band basal fertilizer (for example Compound D) next to the planting lines; the crop was planted ${daysSincePlanting} days ago.`,
+          urgency: 'immediate',
+          timeframe: `by day ${calendar.basalWindow} after planting`,
+          costTier: 'medium'
+        });
+      } else {
+        findings.push({
+          rule: 'basal_fertilizer',
+          title: 'No basal fertilizer applied',
+          severity: 'medium',
+          detail: 'The crop was established without basal fertilizer, which limits early root growth and phosphorus supply.'
+        });
+      }
+    }
+
+    const window = calendar.topDressingWindow;
+    if (!window || this.isYes(field.top_dressing)) return;
+
+    if (daysSincePlanting < window[0]) {
+      actions.push({
+        rule: 'top_dressing',
+        title: 'Prepare for top dressing',
+        action: `Buy nitrogen fertilizer now and top dress between ${moment(field.planting_date).add(window[0], 'days').format('MMM D')} and ${moment(field.planting_date).add(window[1], 'days').format('MMM D')}${this.isNo(field.basal_fertilizer) ? ', splitting it into two applications to make up for the missing basal dressing' : ''}.`,
+        urgency: daysSincePlanting >= window[0] - 14 ? 'within_2_weeks' : 'this_month',
+        timeframe: `${window[0]}-${window[1]} days after planting`,
+        costTier: 'medium'
+      });
+    } else if (daysSincePlanting <= window[1]) {
+      findings.push({
+        rule: 'top_dressing',
+        title: 'Top dressing due',
+        severity: daysSincePlanting > (window[0] + window[1]) / 2 ? 'high' : 'medium',
+        detail: `The crop is ${daysSincePlanting} days from planting and inside the ${window[0]}-${window[1]} day top dressing window without top dressing recorded.`
+      });
+      actions.push({
+        rule: 'top_dressing',
+        title: 'Top dress now',
+        action: 'Apply nitrogen top dressing (for example ammonium nitrate) on moist soil, after weeding.',
+        urgency: 'this_week',
+        timeframe: `before day ${window[1]} after planting`,
+        costTier: 'medium'
+      });
+    } else {
+      findings.push({
+        rule: 'top_dressing',
+        title: 'Top dressing window missed',
+        severity: 'medium',
+        detail: `No top dressing is recorded and the ${window[0]}-${window[1]} day window has passed; expect a lower yield potential.`
+      });
+    }
+  }
+
+  checkPests(ctx, findings, actions) {
+    const level = this.rateLevel(ctx.field.pest_infestation_level);
+    if (!level || level === 'none' || ctx.phase === 'harvested') return;
+
+    if (level === 'high') {
+      findings.push({
+        rule: 'pest_pressure',
+        title: 'High pest infestation',
+        severity: ctx.phase === 'maturity' ? 'medium' : 'high',
+        detail: `Pest infestation was rated ${ctx.field.pest_infestation_level} at the field visit.`
+      });
+      actions.push({
+        rule: 'pest_pressure',
+        title: 'Control pests',
+        action: ctx.phase === 'maturity'
+          ? 'Scout to confirm the pest and only spray products whose pre-harvest interval ends before the planned harvest date.'
+          : 'Scout to identify the pest and apply a registered control product at the label rate.',
+        urgency: 'immediate',
+        timeframe: 'within 3 days',
+        costTier: 'medium'
+      });
+    } else if (level === 'medium') {
+      findings.push({
+        rule: 'pest_pressure',
+        title: 'Moderate pest infestation',
+        severity: 'medium',
+        detail: `Pest infestation was rated ${ctx.field.pest_infestation_level} at the field visit.`
+      });
+      actions.push({
+        rule: 'pest_pressure',
+        title: 'Scout for pests',
+        action: 'Scout the field twice a week and treat if damage passes the action threshold for the pest found.',
+        urgency: 'this_week',
+        timeframe: 'twice weekly',
+        costTier: 'low'
+      });
+    } else {
+      actions.push({
+        rule: 'pest_pressure',
+        title: 'Monitor pests',
+        action: 'Keep scouting weekly; low pest levels do not yet justify spraying.',
+        urgency: 'this_month',
+        timeframe: 'weekly',
+        costTier: 'none'
+      });
+    }
+  }
+
+  checkWeeds(ctx, findings, actions) {
+    const level = this.rateLevel(ctx.field.weed_pressure_level);
+    if (!level || level === 'none' || level === 'low' || ['maturity', 'harvested'].includes(ctx.phase)) return;
+
+    const [start, end] = ctx.calendar.weedCriticalPeriod;
+    const days = ctx.daysSincePlanting;
+    const critical = days !== null && days >= start && days <= end;
+
+    findings.push({
+      rule: 'weed_pressure',
+      title: critical ? 'Weeds competing in the critical period' : 'Weed pressure',
+      severity: level === 'high' && critical ? 'high' : 'medium',
+      detail: critical
+        ? `Weed pressure is ${ctx.field.weed_pressure_level} while the crop is in its critical weed-free period (${start}-${end} days after planting); competition now directly reduces yield.`
+        : `Weed pressure was rated ${ctx.field.weed_pressure_level} at the field visit.`
+    });
+    actions.push({
+      rule: 'weed_pressure',
+      title: 'Weed the field',
+      action: 'Weed by hand hoe or cultivator, or apply a registered post-emergence herbicide, before top dressing.',
+      urgency: level === 'high' && critical ? 'immediate' : 'this_week',
+      timeframe: critical ? `before day ${end} after planting` : 'within 7 days',
+      costTier: 'low'
+    });
+  }
+
+  checkWater(ctx, findings, actions, dataGaps) {
+    if (!ctx.irrigation || ctx.irrigation === 'Not specified') {
+      dataGaps.push('Irrigation method is not recorded');
+      return;
+    }
+
+    if (['maturity', 'harvested'].includes(ctx.phase)) return;
+
+    if (ctx.rainfall === null && !ctx.season) {
+      dataGaps.push('Recent rainfall is not available, so crop water needs could not be checked against the weather');
+    }
+
+    const irrigationAction = ctx.irrigated && ctx.waterBalance ? this.buildIrrigationAction(ctx) : null;
+    if (irrigationAction) {
+      actions.push(irrigationAction);
+      return;
+    }
+
+    if (ctx.rainfed && ctx.season) {
+      this.checkSeason(ctx, findings, actions);
+      // A running dry spell already covers the last 7 days
+      if (ctx.season.currentDrySpell >= THRESHOLDS.drySpellDays) return;
+    }
+
+    if (ctx.rainfall === null || ctx.rainfall >= THRESHOLDS.dryWeekRainfall) return;
+
+    if (ctx.irrigated) {
+      actions.push({
+        rule: 'irrigation_schedule',
+        title: 'Keep irrigating',
+        action: `Only ${ctx.rainfall}mm of rain fell in the last 7 days; keep the ${ctx.irrigation} system on its schedule and check soil moisture before each cycle.`,
+        urgency: 'this_week',
+        timeframe: 'every irrigation cycle',
+        costTier: 'low'
+      });
+    } else if (ctx.rainfed) {
+      findings.push({
+        rule: 'moisture_stress',
+        title: 'Moisture stress risk',
+        severity: ctx.phase === 'reproductive' ? 'high' : 'medium',
+        detail: `Only ${ctx.rainfall}mm of rain fell in the last 7 days on this rainfed field${ctx.phase === 'reproductive' ? ' during reproductive growth, when the crop is most sensitive to water stress' : ''}.`
+      });
+      actions.push({
+        rule: 'moisture_stress',
+        title: 'Conserve soil moisture',
+        action: 'Mulch between rows and avoid cultivation that dries the topsoil until the next good rain.',
+        urgency: 'this_week',
+        timeframe: `until the next rain above ${THRESHOLDS.dryWeekRainfall}mm`,
+        costTier: 'low'
+      });
+    }
+  }
+
+  // Next irrigation from the water balance schedule for the forecast week; null
+  // when the schedule is empty only because the current deficit is unknown
+  buildIrrigationAction(ctx) {
+    const balance = ctx.waterBalance;
+    const next = balance.schedule[0];
+
+    if (!next && balance.depletionSource === 'assumed') return null;
+
+    if (!next) {
+      return {
+        rule: 'irrigation_schedule',
+        title: 'Hold irrigation this week',
+        action: `Forecast rain and stored soil water cover the crop's ${balance.etcNext7Days}mm water use over the next 7 days; check soil moisture before the next ${ctx.irrigation} cycle.`,
+        urgency: 'this_week',
+        timeframe: 'next 7 days',
+        costTier: 'low'
+      };
+    }
+
+    return {
+      rule: 'irrigation_schedule',
+      title: 'Irrigation schedule',
+      action: `Apply ${next.grossMm}mm (${next.volumeM3}m³ over the field) on ${moment(next.date).format('MMM D')}${balance.schedule.length > 1 ? `, ${balance.schedule.length} applications totalling ${balance.totalGrossMm}mm this week` : ''}, then about ${balance.applicationGrossMm}mm every ${balance.intervalDays} days while water use stays at ${balance.etcNext7Days}mm a week.`,
+      urgency: moment(next.date).diff(moment().startOf('day'), 'days') <= 1 ? 'immediate' : 'this_week',
+      timeframe: 'next 7 days',
+      costTier: 'medium'
+    };
+  }
+
+  // Season-to-date rainfall on a rainfed field: a dry spell still running and
+  // rainfall well short of the long-term normal for the same window
+  checkSeason(ctx, findings, actions) {
+    const { season } = ctx;
+    const reproductive = ctx.phase === 'reproductive';
+
+    if (season.currentDrySpell >= THRESHOLDS.drySpellDays) {
+      findings.push({
+        rule: 'dry_spell',
+        title: 'Dry spell',
+        severity: reproductive ? 'high' : 'medium',
+        detail: `No rain of ${THRESHOLDS.dryDayRainfall}mm or more has fallen for ${season.currentDrySpell} days on this rainfed field${reproductive ? ' during reproductive growth, when the crop is most sensitive to water stress' : ''}.`
+      });
+      actions.push({
+        rule: 'dry_spell',
+        title: 'Conserve soil moisture',
+        action: 'Mulch between rows, keep weeds down and avoid cultivation that dries the topsoil until the dry spell breaks.',
+        urgency: reproductive ? 'immediate' : 'this_week',
+        timeframe: 'until the dry spell breaks',
+        costTier: 'low'
+      });
+    }
+
+    if (season.rainfallCategory === 'well below normal') {
+      findings.push({
+        rule: 'seasonal_rainfall_deficit',
+        title: 'Season rainfall well below normal',
+        severity: reproductive ? 'high' : 'medium',
+        detail: `${season.rainfall}mm of rain has fallen since planting, ${season.rainfallPercentOfNormal}% of the ${season.climatology.years}-year normal of ${season.climatology.rainfall}mm for the same period.`
+      });
+    }
+  }
+
+  // Flags engine recommendations that contradict a hard rule for this field
+  reviewRecommendations(recommendations, fieldDetails, weatherData = null, { phenology = null, season = null, waterBalance = null, now = new Date() } = {}) {
+    if (!recommendations || !Array.isArray(recommendations.recommendations)) return recommendations;
+
+    const ctx = this.buildContext(fieldDetails, weatherData, now, { phenology, season, waterBalance });
+    const rules = HARD_RULES.filter(rule => rule.applies(ctx));
+    let conflicts = 0;
+
+    const reviewed = recommendations.recommendations.map(item => {
+      const { ruleConflict, ...rest } = item;
+      const text = `${item.title} ${item.action} ${item.timeframe || ''}`;
+      const rule = rules.find(candidate => candidate.pattern.test(text) && !(candidate.unless && candidate.unless.test(text)));
+      if (!rule) return rest;
+
+      conflicts++;
+      return { ...rest, ruleConflict: { rule: rule.id, message: rule.message(ctx) } };
+    });
+
+    if (conflicts > 0) {
+      console.warn(`⚠️ ${conflicts} Yieldera Engine recommendation(s) for ${fieldDetails.field_name} contradict agronomy rules`);
+    }
+
+    return { ...recommendations, recommendations: reviewed, ruleConflicts: conflicts };
+  }
+
+  phaseDistance(a, b) {
+    const order = ['establishment', 'vegetative', 'reproductive', 'maturity', 'harvested'];
+    return Math.abs(order.indexOf(a) - order.indexOf(b));
+  }
+
+  rateLevel(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (['none', 'nil', 'no', '0'].includes(normalized)) return 'none';
+    if (/severe|high|heavy|critical/.test(normalized)) return 'high';
+    if (/moderate|medium/.test(normalized)) return 'medium';
+    if (/low|light|minor|trace/.test(normalized)) return 'low';
+    return null;
+  }
+
+  isYes(value) {
+    return value === true || value === 1 || /^(yes|y|true|1)$/i.test(String(value || '').trim());
+  }
+
+  isNo(value) {
+    return value === false || value === 0 || /^(no|n|false|0)$/i.test(String(value || '').trim());
+  }
+}
+
+module.exports = AgronomyEngine;
@@ -0,0 +1,133 @@
+class ArchiveService {
+  constructor(dbService) {
+    this.db = dbService;
+  }
+
+  async archiveReport({ report, recipient, reportData, html, inputs }) {
+    try {
+      await this.db.saveReportArchive({
+        reportId: reportData.reportId,
+        queueId: report.id,
+        fieldId: report.field_id,
+        farmId: report.farm_id,
+        triggerType: report.trigger_type,
+        reportType: reportData.reportType,
+        // Phone-only recipients are archived under their phone number
+        recipientEmail: recipient.email || recipient.phone,
+        recipientRole: recipient.role,
+        userType: recipient.userType,
+        profile: reportData.profile,
+        promptVersion: reportData.promptVersion,
+        html,
+        reportData: JSON.stringify(reportData),
+        inputSnapshot: JSON.stringify(this.buildInputSnapshot(report, inputs))
+      });
+    } catch (error) {
+      throw new Error(`Failed to archive report ${reportData.reportId}: ${error.message}`);
+    }
+  }
+
+  // Everything the report was generated from, so it can be reproduced after
+  // the field record, weather and engine output have changed
+  buildInputSnapshot(report, inputs) {
+    const { lock_token, locked_by, locked_until, ...queueEntry } = report;
+
+    return {
+      capturedAt: new Date().toISOString(),
+      queueEntry,
+      fieldDetails: inputs.fieldDetails,
+      farmFields: inputs.farmFields,
+      farmStats: inputs.farmStats,
+      cropAnalysis: inputs.cropAnalysis,
+      weatherData: inputs.weatherData,
+      phenology: inputs.phenology,
+      season: inputs.season,
+      waterBalance: inputs.waterBalance,
+      weatherAlerts: inputs.weatherAlerts,
+      lossAssessment: inputs.lossAssessment,
+      indexInsurance: inputs.indexInsurance,
+      yieldForecast: inputs.yieldForecast,
+      creditScore: inputs.creditScore,
+      operationalRisk: inputs.operationalRisk,
+      engineOutput: inputs.engineOutput
+    };
+  }
+
+  async getReport(reportId, recipientEmail = null) {
+    const row = await this.db.getArchivedReport(reportId, recipientEmail);
+    if (!row) return null;
+
+    return {
+      reportId: row.report_id,
+      queueId: row.report_queue_id,
+      fieldId: row.field_id,
+      farmId: row.farm_id,
+      triggerType: row.trigger_type,
+      reportType: row.report_type,
+      recipient: {
+        email: row.recipient_email,
+        role: row.recipient_role,
+        userType: row.user_type,
+        profile: row.profile
+      },
+      promptVersion: row.prompt_version || null,
+      createdAt: row.created_at,
+      html: row.html,
+      reportData: this.parseJson(row.report_data),
+      inputSnapshot: this.parseJson(row.input_snapshot)
+    };
+  }
+
+  async getFieldHistory(fieldId, limit = 50) {
+    const rows = await this.db.getFieldReportHistory(fieldId, limit);
+    const reports = new Map();
+
+    rows.forEach(row => {
+      if (!reports.has(row.report_id)) {
+        reports.set(row.report_id, {
+          reportId: row.report_id,
+          queueId: row.report_queue_id,
+          triggerType: row.trigger_type,
+          reportType: row.report_type,
+          createdAt: row.created_at,
+          recipients: []
+        });
+      }
+
+      reports.get(row.report_id).recipients.push({
+        email: row.recipient_email,
+        role: row.recipient_role,
+        userType: row.user_type,
+        profile: row.profile,
+        promptVersion: row.prompt_version || null,
+        delivery: this.formatDelivery(row)
+      });
+    });
+
+    return [...reports.values()];
+  }
+
+  formatDelivery(row) {
+    return {
+      status: row.delivery_status || 'unknown',
+      sentAt: row.sent_at || null,
+      openedAt: row.opened_at || null,
+      bouncedAt: row.bounced_at || null,
+      bounceReason: row.bounce_reason || null
+    };
+  }
+
+  parseJson(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.error('Failed to parse archived JSON:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = ArchiveService;
@@ -0,0 +1,18 @@
+class EmailChannel {
+  constructor(emailService) {
+    this.name = 'email';
+    this.email = emailService;
+    this.limiter = emailService.limiter;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(recipient, reportData, options = {}) {
+    const result = await this.email.sendReport(recipient.email, recipient.name, reportData, options);
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,90 @@
+const axios = require('axios');
+const RateLimiter = require('../../utils/rateLimiter');
+
+// Supports Africa's Talking (default) and Twilio, selected with SMS_PROVIDER
+class SmsChannel {
+  constructor(summaryService) {
+    this.name = 'sms';
+    this.summary = summaryService;
+    this.provider = (process.env.SMS_PROVIDER || 'africastalking').toLowerCase();
+    this.maxLength = parseInt(process.env.SMS_MAX_LENGTH) || 459;
+
+    this.limiter = new RateLimiter({
+      name: 'sms',
+      requestsPerMinute: parseInt(process.env.SMS_RATE_LIMIT_PER_MINUTE) || 60,
+      maxConcurrent: parseInt(process.env.SMS_MAX_CONCURRENT) || 2
+    });
+  }
+
+  isConfigured() {
+    if (this.provider === 'twilio') {
+      return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM);
+    }
+    return !!(process.env.AT_USERNAME && process.env.AT_API_KEY);
+  }
+
+  async send(recipient, reportData) {
+    // GSM-7 has no degree sign or emoji, and non-GSM characters halve the segment size
+    const message = this.summary.buildSummary(reportData, this.maxLength, { asciiOnly: true });
+
+    try {
+      const messageId = await this.limiter.schedule(() => (
+        this.provider === 'twilio'
+          ? this.sendViaTwilio(recipient.phone, message)
+          : this.sendViaAfricasTalking(recipient.phone, message)
+      ));
+
+      console.log(`✅ SMS summary sent to ${recipient.phone} (Message ID: ${messageId})`);
+      return { messageId };
+    } catch (error) {
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      throw new Error(`SMS delivery to ${recipient.phone} failed: ${detail}`);
+    }
+  }
+
+  async sendViaAfricasTalking(phone, message) {
+    const baseUrl = process.env.AT_USERNAME === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+
+    const params = new URLSearchParams({
+      username: process.env.AT_USERNAME,
+      to: phone,
+      message
+    });
+    if (process.env.AT_SENDER_ID) params.append('from', process.env.AT_SENDER_ID);
+
+    const response = await axios.post(`${baseUrl}/version1/messaging`, params.toString(), {
+      headers: {
+        apiKey: process.env.AT_API_KEY,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    const recipient = response.data.SMSMessageData.Recipients[0];
+    if (!recipient || recipient.status !== 'Success') {
+      throw new Error(recipient ? recipient.status : response.data.SMSMessageData.Message);
+    }
+
+    return recipient.messageId;
+  }
+
+  async sendViaTwilio(phone, message) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const params = new URLSearchParams({
+      To: phone,
+      From: process.env.TWILIO_FROM,
+      Body: message
+    });
+
+    const response = await axios.post(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, params.toString(), {
+      auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    return response.data.sid;
+  }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,64 @@
+const axios = require('axios');
+const RateLimiter = require('../../utils/rateLimiter');
+
+// WhatsApp Business Cloud API
+class WhatsAppChannel {
+  constructor(summaryService) {
+    this.name = 'whatsapp';
+    this.summary = summaryService;
+    this.maxLength = parseInt(process.env.WHATSAPP_MAX_LENGTH) || 1000;
+    this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v19.0';
+    // Business-initiated messages outside the 24-hour customer service window
+    // must use an approved template
+    this.templateName = process.env.WHATSAPP_TEMPLATE_NAME || 'yieldera_report_summary';
+    this.templateLanguage = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+
+    this.limiter = new RateLimiter({
+      name: 'whatsapp',
+      requestsPerMinute: parseInt(process.env.WHATSAPP_RATE_LIMIT_PER_MINUTE) || 60,
+      maxConcurrent: parseInt(process.env.WHATSAPP_MAX_CONCURRENT) || 2
+    });
+  }
+
+  isConfigured() {
+    return !!(process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_ACCESS_TOKEN);
+  }
+
+  async send(recipient, reportData) {
+    const parameters = this.summary.buildTemplateParameters(reportData, this.maxLength);
+
+    try {
+      const response = await this.limiter.schedule(() => axios.post(
+        `https://graph.facebook.com/${this.apiVersion}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          to: recipient.phone.replace(/^\+/, ''),
+          type: 'template',
+          template: {
+            name: this.templateName,
+            language: { code: this.templateLanguage },
+            components: [{
+              type: 'body',
+              parameters: parameters.map(text => ({ type: 'text', text }))
+            }]
+          }
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      ));
+
+      const messageId = response.data.messages && response.data.messages[0] ? response.data.messages[0].id : null;
+      console.log(`✅ WhatsApp summary sent to ${recipient.phone} (Message ID: ${messageId})`);
+      return { messageId };
+    } catch (error) {
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      throw new Error(`WhatsApp delivery to ${recipient.phone} failed: ${detail}`);
+    }
+  }
+}
+
+module.exports = WhatsAppChannel;
@@ -0,0 +1,192 @@
+const moment = require('moment');
+const { SCORECARD_VERSION, CREDIT_FACTORS, getCreditGrade } = require('../config/creditScorecard');
+const { IRRIGATED_METHODS } = require('../config/agronomyRules');
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Transparent farm credit risk scorecard for lenders: farm financial
+// indicators and agronomic risk across the farm's fields, scored factor by
+// factor against config/creditScorecard.js. Each report records the score so
+// lenders can follow a farm over the season.
+class CreditScorecardService {
+  constructor(dbService, agronomyEngine) {
+    this.db = dbService;
+    this.agronomy = agronomyEngine;
+  }
+
+  // `fieldDetails` carries the farm's financial record; `farmFields` the
+  // fields the agronomic factors are weighted over
+  score(fieldDetails, farmFields = [], now = new Date()) {
+    const fields = farmFields.length > 0 ? farmFields : [fieldDetails];
+    const revenue = toNumber(fieldDetails.annual_revenue_estimate);
+    const costs = toNumber(fieldDetails.total_operational_costs);
+
+    const factors = [
+      this.scoreNumber('credit_score', toNumber(fieldDetails.credit_score), value => String(Math.round(value))),
+      this.scoreNumber('debt_to_income_ratio', toNumber(fieldDetails.debt_to_income_ratio), value => String(round(value, 2))),
+      this.scoreNumber('operating_margin', revenue > 0 && costs !== null ? (revenue - costs) / revenue : null, value => `${Math.round(value * 100)}%`),
+      this.scoreNumber('years_in_operation', toNumber(fieldDetails.years_in_operation), value => `${value} years`),
+      this.scoreText('previous_season_performance', fieldDetails.previous_season_performance),
+      this.scoreText('market_access_level', fieldDetails.market_access_level),
+      this.scoreNumber('distance_to_market_km', toNumber(fieldDetails.distance_to_market_km), value => `${value} km`),
+      this.scoreLosses(fields),
+      this.scorePests(fields),
+      this.scoreText('drought_frequency', fieldDetails.drought_frequency),
+      this.scoreIrrigation(fields),
+      this.scoreText('flood_risk_level', fieldDetails.flood_risk_level)
+    ];
+
+    const total = (list, key) => round(list.reduce((sum, factor) => sum + factor[key], 0));
+    const groupTotals = group => {
+      const groupFactors = factors.filter(factor => factor.group === group);
+      return { points: total(groupFactors, 'points'), maxPoints: total(groupFactors, 'maxPoints') };
+    };
+
+    const score = Math.round(total(factors, 'points'));
+    const grade = getCreditGrade(score);
+    const missing = factors.filter(factor => factor.missing).map(factor => factor.label);
+
+    return {
+      version: SCORECARD_VERSION,
+      farmId: fieldDetails.farm_id || null,
+      scoredOn: moment(now).format('YYYY-MM-DD'),
+      score,
+      grade: grade.grade,
+      gradeLabel: grade.label,
+      financial: groupTotals('financial'),
+      agronomic: groupTotals('agronomic'),
+      factors,
+      missing,
+      notes: missing.length > 0
+        ? [`${missing.length} factor(s) had no data and were scored at half their points: ${missing.join(', ')}.`]
+        : []
+    };
+  }
+
+  buildFactor(key, points, display) {
+    const definition = CREDIT_FACTORS[key];
+    const missing = points === null;
+    const awarded = missing ? definition.maxPoints / 2 : points;
+
+    return {
+      key,
+      group: definition.group,
+      label: definition.label,
+      value: missing ? null : display,
+      points: round(awarded),
+      maxPoints: definition.maxPoints,
+      // Points above or below a neutral half score; what moved the grade
+      impact: round(awarded - definition.maxPoints / 2),
+      missing
+    };
+  }
+
+  scoreNumber(key, value, format) {
+    if (value === null) return this.buildFactor(key, null);
+
+    const band = CREDIT_FACTORS[key].bands.find(entry => ('min' in entry ? value >= entry.min : value <= entry.max));
+    return this.buildFactor(key, band.points, format(value));
+  }
+
+  scoreText(key, value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const normalized = text.toLowerCase();
+    const level = normalized
+      ? CREDIT_FACTORS[key].levels.find(entry => entry.keywords.some(keyword => normalized.includes(keyword)))
+      : null;
+
+    return level ? this.buildFactor(key, level.points, text) : this.buildFactor(key, null);
+  }
+
+  // Area-weighted loss percentage across the farm this season
+  scoreLosses(fields) {
+    const definition = CREDIT_FACTORS.losses;
+    const sized = fields.filter(field => toNumber(field.field_size) > 0);
+    const area = sized.reduce((sum, field) => sum + toNumber(field.field_size), 0);
+    if (area === 0) return this.buildFactor('losses', null);
+
+    const lossArea = sized.reduce((sum, field) => {
+      const loss = field.loss_occurred_current_season ? toNumber(field.loss_percentage) || 0 : 0;
+      return sum + toNumber(field.field_size) * Math.min(loss, 100);
+    }, 0);
+    const lossPercent = lossArea / area;
+    const points = definition.maxPoints * Math.max(1 - lossPercent / definition.zeroPointsLossPercent, 0);
+
+    return this.buildFactor('losses', points, `${round(lossPercent)}% of farm area lost`);
+  }
+
+  // Share of rated field area under pest pressure, weighted by level
+  scorePests(fields) {
+    const definition = CREDIT_FACTORS.pests;
+    const rated = fields
+      .map(field => ({ area: toNumber(field.field_size), level: this.agronomy.rateLevel(field.pest_infestation_level) }))
+      .filter(field => field.area > 0 && field.level !== null);
+    const area = rated.reduce((sum, field) => sum + field.area, 0);
+    if (area === 0) return this.buildFactor('pests', null);
+
+    const affected = rated.reduce((sum, field) => sum + field.area * definition.levelWeights[field.level], 0) / area;
+    return this.buildFactor('pests', definition.maxPoints * (1 - affected), `${Math.round(affected * 100)}% of area affected`);
+  }
+
+  // Share of the field area with a known irrigation method that is irrigated
+  scoreIrrigation(fields) {
+    const known = fields.filter(field => toNumber(field.field_size) > 0
+      && (field.irrigation_method_enhanced === 'Rainfed' || IRRIGATED_METHODS.includes(field.irrigation_method_enhanced)));
+    const area = known.reduce((sum, field) => sum + toNumber(field.field_size), 0);
+    if (area === 0) return this.buildFactor('irrigation', null);
+
+    const irrigated = known
+      .filter(field => IRRIGATED_METHODS.includes(field.irrigation_method_enhanced))
+      .reduce((sum, field) => sum + toNumber(field.field_size), 0) / area;
+    return this.buildFactor('irrigation', CREDIT_FACTORS.irrigation.maxPoints * irrigated, `${Math.round(irrigated * 100)}% of area irrigated`);
+  }
+
+  // Scores are history, so a failure to store one never holds up the report
+  async record(report, scorecard) {
+    try {
+      await this.db.saveCreditScore(report.farm_id, report.field_id, report.id, scorecard);
+    } catch (error) {
+      console.error(`⚠️ ${error.message}`);
+    }
+  }
+
+  // Newest first, each with the change since the score before it
+  async getHistory(farmId, limit = 50) {
+    const rows = await this.db.getCreditScoreHistory(farmId, limit);
+    const history = rows.map(row => {
+      const scorecard = typeof row.result === 'string' ? JSON.parse(row.result) : row.result;
+      return {
+        reportQueueId: row.report_queue_id,
+        fieldId: row.field_id,
+        scoredAt: moment(row.created_at).toISOString(),
+        version: row.scorecard_version,
+        score: parseFloat(row.score),
+        grade: row.grade,
+        gradeLabel: scorecard.gradeLabel,
+        financial: scorecard.financial,
+        agronomic: scorecard.agronomic,
+        factors: scorecard.factors,
+        missing: scorecard.missing
+      };
+    });
+
+    return history.map((entry, index) => {
+      const previous = history[index + 1];
+      return {
+        ...entry,
+        change: previous && previous.version === entry.version ? round(entry.score - previous.score) : null
+      };
+    });
+  }
+}
+
+module.exports = CreditScorecardService;
@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const crypto = require('crypto');
 
 class DatabaseService {
   constructor() {
@@ -39,8 +40,28 @@ class DatabaseService {
     }
   }
 
-  async getPendingReports() {
+  async claimPendingReports(workerId, limit = 10, leaseSeconds = 600) {
     try {
+      const lockToken = crypto.randomUUID();
+
+      // A single UPDATE claims the rows atomically: concurrent workers re-evaluate
+      // the WHERE clause after acquiring row locks, so each row is claimed once.
+      const [result] = await this.pool.execute(`
+        UPDATE report_queue
+        SET status = 'processing', locked_by = ?, lock_token = ?,
+            locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+        WHERE status = 'pending'
+          AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+        ORDER BY FIELD(priority, 'low', 'normal', 'high', 'urgent') DESC,
+                 trigger_type = 'loss_event' DESC,
+                 created_at ASC
+        LIMIT ?
+      `, [workerId, lockToken, leaseSeconds, String(limit)]);
+
+      if (result.affectedRows === 0) {
+        return [];
+      }
+
       const [rows] = await this.pool.execute(`
         SELECT rq.*, f.user_id, f.farm_id, f.field_name, f.crop_type, f.variety,
                u.email, u.first_name, u.last_name, u.user_type, u.organization,
@@ -49,13 +70,58 @@ class DatabaseService {
         JOIN fields f ON rq.field_id = f.id
         JOIN users u ON f.user_id = u.id
         JOIN farms fa ON f.farm_id = fa.id
-        WHERE rq.status = 'pending'
-        ORDER BY rq.created_at ASC
-        LIMIT 10
-      `);
+        WHERE rq.lock_token = ?
+        ORDER BY FIELD(rq.priority, 'low', 'normal', 'high', 'urgent') DESC,
+                 rq.trigger_type = 'loss_event' DESC,
+                 rq.created_at ASC
+      `, [lockToken]);
+
+      if (rows.length < result.affectedRows) {
+        // Claimed rows whose field, farm or user no longer exists cannot be processed
+        await this.pool.execute(`
+          UPDATE report_queue rq
+          LEFT JOIN fields f ON rq.field_id = f.id
+          LEFT JOIN users u ON f.user_id = u.id
+          LEFT JOIN farms fa ON f.farm_id = fa.id
+          SET rq.status = 'dead_letter', rq.error_message = 'Field, farm or owner record not found',
+              rq.locked_by = NULL, rq.lock_token = NULL, rq.locked_until = NULL, rq.processed_at = NOW()
+          WHERE rq.lock_token = ? AND (f.id IS NULL OR u.id IS NULL OR fa.id IS NULL)
+        `, [lockToken]);
+      }
+
       return rows;
     } catch (error) {
-      throw new Error(`Failed to fetch pending reports: ${error.message}`);
+      throw new Error(`Failed to claim pending reports: ${error.message}`);
+    }
+  }
+
+  async reclaimExpiredReports(maxRetries) {
+    try {
+      // Reports whose worker crashed mid-run count as a failed attempt, so a report
+      // that repeatedly kills its worker still ends up in the dead letter queue.
+      const [deadLettered] = await this.pool.execute(`
+        UPDATE report_queue
+        SET status = 'dead_letter', retry_count = retry_count + 1,
+            error_message = CONCAT('Processing lease expired (worker ', IFNULL(locked_by, 'unknown'), ')'),
+            locked_by = NULL, lock_token = NULL, locked_until = NULL, processed_at = NOW()
+        WHERE status = 'processing' AND locked_until < NOW() AND retry_count + 1 > ?
+      `, [maxRetries]);
+
+      const [requeued] = await this.pool.execute(`
+        UPDATE report_queue
+        SET status = 'pending', retry_count = retry_count + 1,
+            error_message = CONCAT('Processing lease expired (worker ', IFNULL(locked_by, 'unknown'), ')'),
+            locked_by = NULL, lock_token = NULL, locked_until = NULL, next_attempt_at = NULL
+        WHERE status = 'processing' AND locked_until < NOW()
+      `);
+
+      return {
+        requeued: requeued.affectedRows,
+        deadLettered: deadLettered.affectedRows
+      };
+    } catch (error) {
+      console.error('Failed to reclaim expired reports:', error);
+      return { requeued: 0, deadLettered: 0 };
     }
   }
 
@@ -110,7 +176,7 @@ class DatabaseService {
   async getUserDetails(userId) {
     try {
       const [rows] = await this.pool.execute(`
-        SELECT email, first_name, last_name, user_type, organization, phone
+        SELECT id, email, first_name, last_name, user_type, organization, phone
         FROM users
         WHERE id = ?
       `, [userId]);
@@ -121,27 +187,740 @@ class DatabaseService {
     }
   }
 
-  async markReportProcessed(reportId, status = 'completed') {
+  async markReportProcessed(reportId, lockToken, status = 'completed') {
     try {
-      await this.pool.execute(`
+      const [result] = await this.pool.execute(`
         UPDATE report_queue 
-        SET status = ?, processed_at = NOW()
-        WHERE id = ?
-      `, [status, reportId]);
+        SET status = ?, processed_at = NOW(),
+            locked_by = NULL, lock_token = NULL, locked_until = NULL
+        WHERE id = ? AND lock_token = ?
+      `, [status, reportId, lockToken]);
+
+      if (result.affectedRows === 0) {
+        console.warn(`⚠️ Lease on report ${reportId} was lost before completion`);
+      }
     } catch (error) {
       throw new Error(`Failed to mark report as processed: ${error.message}`);
     }
   }
 
-  async markReportError(reportId, errorMessage) {
+  async markReportRetry(reportId, lockToken, errorMessage, retryCount, delaySeconds) {
     try {
       await this.pool.execute(`
         UPDATE report_queue 
-        SET status = 'failed', error_message = ?, processed_at = NOW()
+        SET status = 'pending', error_message = ?, retry_count = ?,
+            next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+            locked_by = NULL, lock_token = NULL, locked_until = NULL
+        WHERE id = ? AND lock_token = ?
+      `, [errorMessage, retryCount, delaySeconds, reportId, lockToken]);
+    } catch (error) {
+      console.error('Failed to schedule report retry:', error);
+    }
+  }
+
+  async markReportDeadLetter(reportId, lockToken, errorMessage, retryCount) {
+    try {
+      await this.pool.execute(`
+        UPDATE report_queue 
+        SET status = 'dead_letter', error_message = ?, retry_count = ?,
+            next_attempt_at = NULL, processed_at = NOW(),
+            locked_by = NULL, lock_token = NULL, locked_until = NULL
+        WHERE id = ? AND lock_token = ?
+      `, [errorMessage, retryCount, reportId, lockToken]);
+    } catch (error) {
+      console.error('Failed to move report to dead letter:', error);
+    }
+  }
+
+  async getQueueStats() {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT status, COUNT(*) as count
+        FROM report_queue
+        GROUP BY status
+      `);
+
+      return rows.reduce((stats, row) => {
+        stats[row.status] = row.count;
+        return stats;
+      }, {});
+    } catch (error) {
+      console.error('Error getting queue stats:', error);
+      return {};
+    }
+  }
+
+  async getDeadLetterReports(limit = 50) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT rq.id, rq.field_id, rq.trigger_type, rq.priority, rq.retry_count,
+               rq.error_message, rq.created_at, rq.processed_at, f.field_name
+        FROM report_queue rq
+        LEFT JOIN fields f ON rq.field_id = f.id
+        WHERE rq.status = 'dead_letter'
+        ORDER BY rq.processed_at DESC
+        LIMIT ?
+      `, [String(limit)]);
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch dead letter reports: ${error.message}`);
+    }
+  }
+
+  async requeueDeadLetterReport(reportId) {
+    try {
+      const [result] = await this.pool.execute(`
+        UPDATE report_queue 
+        SET status = 'pending', retry_count = 0, next_attempt_at = NULL,
+            error_message = NULL, processed_at = NULL
+        WHERE id = ? AND status = 'dead_letter'
+      `, [reportId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Failed to requeue report: ${error.message}`);
+    }
+  }
+
+  async getUsersByOrganization(organization, userTypes) {
+    try {
+      const placeholders = userTypes.map(() => '?').join(', ');
+      const [rows] = await this.pool.execute(`
+        SELECT id, email, first_name, last_name, user_type, organization
+        FROM users
+        WHERE organization = ? AND user_type IN (${placeholders}) AND email IS NOT NULL
+      `, [organization, ...userTypes]);
+      
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch organization users: ${error.message}`);
+    }
+  }
+
+  async getReportSubscriptions(fieldId, farmId) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT rs.*, u.email AS user_email, u.first_name, u.last_name,
+               u.user_type AS account_user_type
+        FROM report_subscriptions rs
+        LEFT JOIN users u ON rs.user_id = u.id
+        WHERE rs.active = 1
+          AND (rs.field_id = ? OR (rs.field_id IS NULL AND rs.farm_id = ?))
+      `, [fieldId, farmId]);
+      
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch report subscriptions: ${error.message}`);
+    }
+  }
+
+  async createDelivery(queueId, reportId, recipient, channel = 'email', address = recipient.email) {
+    try {
+      const trackingToken = crypto.randomBytes(16).toString('hex');
+
+      // A retried report reuses the delivery row of a recipient whose earlier attempt failed
+      const [result] = await this.pool.execute(`
+        INSERT INTO report_deliveries
+          (report_queue_id, report_id, channel, recipient_address, recipient_email,
+           recipient_name, user_type, role, status, tracking_token)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', ?)
+        ON DUPLICATE KEY UPDATE
+          id = LAST_INSERT_ID(id), report_id = VALUES(report_id), status = 'queued',
+          error_message = NULL, tracking_token = VALUES(tracking_token)
+      `, [
+        queueId, reportId, channel, address, recipient.email || null,
+        recipient.name, recipient.userType || null, recipient.role, trackingToken
+      ]);
+      
+      return { id: result.insertId, trackingToken };
+    } catch (error) {
+      throw new Error(`Failed to create delivery record: ${error.message}`);
+    }
+  }
+
+  async markDeliverySent(deliveryId, messageId) {
+    try {
+      await this.pool.execute(`
+        UPDATE report_deliveries
+        SET status = 'sent', message_id = ?, sent_at = NOW()
+        WHERE id = ?
+      `, [messageId || null, deliveryId]);
+    } catch (error) {
+      console.error('Failed to mark delivery as sent:', error);
+    }
+  }
+
+  async markDeliveryFailed(deliveryId, errorMessage) {
+    try {
+      await this.pool.execute(`
+        UPDATE report_deliveries
+        SET status = 'failed', error_message = ?
         WHERE id = ?
-      `, [errorMessage, reportId]);
+      `, [errorMessage, deliveryId]);
+    } catch (error) {
+      console.error('Failed to mark delivery as failed:', error);
+    }
+  }
+
+  async recordDeliveryEvent(messageId, event, reason = null) {
+    try {
+      // Providers report message ids with or without the angle brackets nodemailer stores
+      const bareId = String(messageId).replace(/^<|>$/g, '');
+      const updates = {
+        delivered: `status = IF(status IN ('queued', 'sent'), 'delivered', status), delivered_at = IFNULL(delivered_at, NOW())`,
+        bounce: `status = 'bounced', bounced_at = NOW(), bounce_reason = ?`,
+        complaint: `status = 'complained', complained_at = NOW(), bounce_reason = IFNULL(?, bounce_reason)`
+      };
+
+      if (!updates[event]) {
+        throw new Error(`Unsupported delivery event: ${event}`);
+      }
+
+      const params = event === 'delivered' ? [] : [reason];
+      const [result] = await this.pool.execute(`
+        UPDATE report_deliveries
+        SET ${updates[event]}
+        WHERE message_id IN (?, ?)
+      `, [...params, bareId, `<${bareId}>`]);
+      
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to record delivery event: ${error.message}`);
+    }
+  }
+
+  async recordDeliveryOpen(trackingToken) {
+    try {
+      const [result] = await this.pool.execute(`
+        UPDATE report_deliveries
+        SET open_count = open_count + 1, opened_at = IFNULL(opened_at, NOW()),
+            status = IF(status IN ('sent', 'delivered'), 'opened', status)
+        WHERE tracking_token = ?
+      `, [trackingToken]);
+      
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Failed to record delivery open:', error);
+      return false;
+    }
+  }
+
+  async getDeliveryStats(days = 7) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT status, COUNT(*) as count
+        FROM report_deliveries
+        WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        GROUP BY status
+      `, [days]);
+
+      return rows.reduce((stats, row) => {
+        stats[row.status] = row.count;
+        return stats;
+      }, {});
+    } catch (error) {
+      console.error('Error getting delivery stats:', error);
+      return {};
+    }
+  }
+
+  async getDeliveries(status = null, limit = 100) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT d.id, d.report_id, d.report_queue_id, d.channel, d.recipient_address, d.recipient_email, d.recipient_name,
+               d.user_type, d.role, d.status, d.message_id, d.error_message, d.bounce_reason,
+               d.created_at, d.sent_at, d.delivered_at, d.opened_at, d.open_count,
+               d.bounced_at, d.complained_at, rq.field_id, f.field_name
+        FROM report_deliveries d
+        JOIN report_queue rq ON d.report_queue_id = rq.id
+        LEFT JOIN fields f ON rq.field_id = f.id
+        WHERE (? IS NULL OR d.status = ?)
+        ORDER BY d.created_at DESC
+        LIMIT ?
+      `, [status, status, String(limit)]);
+      
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch deliveries: ${error.message}`);
+    }
+  }
+
+  async getDeliveredRecipients(queueId) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT channel, recipient_address
+        FROM report_deliveries
+        WHERE report_queue_id = ? AND status NOT IN ('queued', 'failed')
+      `, [queueId]);
+      
+      return rows.map(row => `${row.channel}:${row.recipient_address.toLowerCase()}`);
+    } catch (error) {
+      throw new Error(`Failed to fetch delivered recipients: ${error.message}`);
+    }
+  }
+
+  async saveReportArchive(entry) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO report_archive
+          (report_id, report_queue_id, field_id, farm_id, trigger_type, report_type,
+           recipient_email, recipient_role, user_type, profile, prompt_version, html, report_data, input_snapshot)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          html = VALUES(html), report_data = VALUES(report_data), prompt_version = VALUES(prompt_version),
+          input_snapshot = VALUES(input_snapshot), created_at = NOW()
+      `, [
+        entry.reportId, entry.queueId, entry.fieldId, entry.farmId, entry.triggerType, entry.reportType,
+        entry.recipientEmail, entry.recipientRole, entry.userType || null, entry.profile,
+        entry.promptVersion || null, entry.html, entry.reportData, entry.inputSnapshot
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to archive report: ${error.message}`);
+    }
+  }
+
+  async getArchivedReport(reportId, recipientEmail = null) {
+    try {
+      // Without a recipient, prefer the owner's variant, then the earliest one archived
+      const [rows] = await this.pool.execute(`
+        SELECT *
+        FROM report_archive
+        WHERE report_id = ? AND (? IS NULL OR recipient_email = ?)
+        ORDER BY recipient_role = 'owner' DESC, id ASC
+        LIMIT 1
+      `, [reportId, recipientEmail, recipientEmail]);
+      
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch archived report: ${error.message}`);
+    }
+  }
+
+  async getArchivedReportVariants(reportId) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT ra.recipient_email, ra.recipient_role, ra.user_type, ra.profile, ra.prompt_version, ra.created_at,
+               d.status AS delivery_status, d.sent_at, d.opened_at, d.bounced_at, d.bounce_reason
+        FROM report_archive ra
+        LEFT JOIN report_deliveries d
+          ON d.report_queue_id = ra.report_queue_id AND d.recipient_address = ra.recipient_email
+        WHERE ra.report_id = ?
+        ORDER BY ra.recipient_role = 'owner' DESC, ra.id ASC
+      `, [reportId]);
+      
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch report variants: ${error.message}`);
+    }
+  }
+
+  async getFieldReportHistory(fieldId, limit = 50) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT ra.report_id, ra.report_queue_id, ra.trigger_type, ra.report_type,
+               ra.recipient_email, ra.recipient_role, ra.user_type, ra.profile, ra.prompt_version, ra.created_at,
+               d.status AS delivery_status, d.sent_at, d.opened_at, d.bounced_at, d.bounce_reason
+        FROM report_archive ra
+        LEFT JOIN report_deliveries d
+          ON d.report_queue_id = ra.report_queue_id AND d.recipient_address = ra.recipient_email
+        WHERE ra.field_id = ?
+        ORDER BY ra.created_at DESC, ra.id ASC
+        LIMIT ?
+      `, [fieldId, String(limit)]);
+      
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch field report history: ${error.message}`);
+    }
+  }
+
+  async getEngineCacheEntry(cacheKey) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT cache_key, output, model, prompt_version, created_at, expires_at
+        FROM engine_output_cache
+        WHERE cache_key = ? AND expires_at > NOW()
+      `, [cacheKey]);
+
+      if (rows.length === 0) return null;
+
+      await this.pool.execute(`
+        UPDATE engine_output_cache
+        SET hit_count = hit_count + 1, last_hit_at = NOW()
+        WHERE cache_key = ?
+      `, [cacheKey]);
+      
+      return rows[0];
+    } catch (error) {
+      throw new Error(`Failed to read engine output cache: ${error.message}`);
+    }
+  }
+
+  async saveEngineCacheEntry(entry) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO engine_output_cache
+          (cache_key, field_id, profile, model, prompt_version, output, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+        ON DUPLICATE KEY UPDATE
+          output = VALUES(output), created_at = NOW(), expires_at = VALUES(expires_at),
+          hit_count = 0, last_hit_at = NULL
+      `, [
+        entry.cacheKey, entry.fieldId, entry.profile, entry.model, entry.promptVersion,
+        entry.output, entry.ttlSeconds
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to write engine output cache: ${error.message}`);
+    }
+  }
+
+  async purgeExpiredEngineCache() {
+    try {
+      const [result] = await this.pool.execute(`
+        DELETE FROM engine_output_cache WHERE expires_at <= NOW()
+      `);
+      
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to purge engine output cache: ${error.message}`);
+    }
+  }
+
+  async getClimatologySeries(locationKey, startYear, endYear) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT series, fetched_at
+        FROM climatology_cache
+        WHERE location_key = ? AND start_year = ? AND end_year = ?
+      `, [locationKey, startYear, endYear]);
+
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to read climatology cache: ${error.message}`);
+    }
+  }
+
+  async saveClimatologySeries(locationKey, startYear, endYear, series) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO climatology_cache (location_key, start_year, end_year, series)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE series = VALUES(series), fetched_at = NOW()
+      `, [locationKey, startYear, endYear, series]);
+    } catch (error) {
+      throw new Error(`Failed to write climatology cache: ${error.message}`);
+    }
+  }
+
+  async getWeatherCacheEntry(locationKey, kind, requestDate) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT data, fetched_at
+        FROM weather_cache
+        WHERE location_key = ? AND kind = ? AND request_date = ? AND expires_at > NOW()
+      `, [locationKey, kind, requestDate]);
+
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to read weather cache: ${error.message}`);
+    }
+  }
+
+  // Most recent entry of any age up to maxAgeHours, for when the API is down
+  async getLatestWeatherCacheEntry(locationKey, kind, maxAgeHours) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT data, fetched_at, request_date
+        FROM weather_cache
+        WHERE location_key = ? AND kind = ? AND fetched_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+        ORDER BY fetched_at DESC
+        LIMIT 1
+      `, [locationKey, kind, maxAgeHours]);
+
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to read weather cache: ${error.message}`);
+    }
+  }
+
+  async saveWeatherCacheEntry(locationKey, kind, requestDate, data, ttlSeconds) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO weather_cache (location_key, kind, request_date, data, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+        ON DUPLICATE KEY UPDATE data = VALUES(data), fetched_at = NOW(), expires_at = VALUES(expires_at)
+      `, [locationKey, kind, requestDate, data, ttlSeconds]);
+    } catch (error) {
+      throw new Error(`Failed to write weather cache: ${error.message}`);
+    }
+  }
+
+  async purgeWeatherCache(maxAgeHours) {
+    try {
+      const [result] = await this.pool.execute(`
+        DELETE FROM weather_cache WHERE fetched_at <= DATE_SUB(NOW(), INTERVAL ? HOUR)
+      `, [maxAgeHours]);
+
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Failed to purge weather cache: ${error.message}`);
+    }
+  }
+
+  // Runs `task` while holding a MySQL named lock, so that only one instance
+  // does it at a time. Resolves to null without running it when another
+  // instance holds the lock.
+  async withNamedLock(name, task) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [name]);
+      if (rows[0].acquired !== 1) return null;
+
+      try {
+        return await task();
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Fields with a standing crop and coordinates, for the daily weather alert scan
+  async getAlertScanFields(harvestGraceDays) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT id, farm_id, field_name, crop_type, current_growth_stage,
+               planting_date, expected_harvest_date, latitude, longitude
+        FROM fields
+        WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+          AND crop_type IS NOT NULL AND planting_date IS NOT NULL
+          AND planting_date >= DATE_SUB(CURDATE(), INTERVAL 1 YEAR)
+          AND (expected_harvest_date IS NULL OR expected_harvest_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY))
+        ORDER BY latitude, longitude
+      `, [harvestGraceDays]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch fields for weather alerts: ${error.message}`);
+    }
+  }
+
+  // Alerts of one type for a field whose event window overlaps or touches the
+  // given one, most recent first
+  async getOverlappingWeatherAlerts(fieldId, alertType, eventStart, eventEnd) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT id, severity, event_start, event_end, peak_value, report_queue_id
+        FROM weather_alerts
+        WHERE field_id = ? AND alert_type = ?
+          AND event_start <= DATE_ADD(?, INTERVAL 1 DAY)
+          AND event_end >= DATE_SUB(?, INTERVAL 1 DAY)
+        ORDER BY created_at DESC
+      `, [fieldId, alertType, eventEnd, eventStart]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to read weather alerts: ${error.message}`);
+    }
+  }
+
+  async updateWeatherAlertWindow(alertId, eventStart, eventEnd, peakValue, message) {
+    try {
+      await this.pool.execute(`
+        UPDATE weather_alerts
+        SET event_start = LEAST(event_start, ?), event_end = GREATEST(event_end, ?),
+            peak_value = ?, message = ?
+        WHERE id = ?
+      `, [eventStart, eventEnd, peakValue, message, alertId]);
+    } catch (error) {
+      throw new Error(`Failed to update weather alert: ${error.message}`);
+    }
+  }
+
+  // Queues an urgent weather_alert report and records the alerts it announces
+  // in one transaction, so an alert is never recorded without its report
+  async createWeatherAlertReport(fieldId, alerts) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [queued] = await connection.execute(`
+        INSERT INTO report_queue (field_id, trigger_type, priority, status)
+        VALUES (?, 'weather_alert', 'urgent', 'pending')
+      `, [fieldId]);
+
+      for (const alert of alerts) {
+        await connection.execute(`
+          INSERT INTO weather_alerts
+            (field_id, alert_type, severity, event_start, event_end, peak_value, message, report_queue_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [fieldId, alert.type, alert.severity, alert.start, alert.end, alert.peak, alert.message, queued.insertId]);
+      }
+
+      await connection.commit();
+      return queued.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw new Error(`Failed to queue weather alert report: ${error.message}`);
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getWeatherAlertsForReport(queueId) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT id, alert_type, severity, event_start, event_end, peak_value, message
+        FROM weather_alerts
+        WHERE report_queue_id = ?
+        ORDER BY event_start, FIELD(severity, 'low', 'medium', 'high', 'critical') DESC
+      `, [queueId]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch report weather alerts: ${error.message}`);
+    }
+  }
+
+  async getRecentWeatherAlerts(days = 7, limit = 100) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT wa.id, wa.field_id, f.field_name, wa.alert_type, wa.severity,
+               wa.event_start, wa.event_end, wa.peak_value, wa.message,
+               wa.report_queue_id, rq.status AS report_status, wa.created_at
+        FROM weather_alerts wa
+        LEFT JOIN fields f ON wa.field_id = f.id
+        LEFT JOIN report_queue rq ON wa.report_queue_id = rq.id
+        WHERE wa.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        ORDER BY wa.created_at DESC
+        LIMIT ?
+      `, [days, String(limit)]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch weather alerts: ${error.message}`);
+    }
+  }
+
+  async getIndexPolicies(fieldId) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT id, field_id, product_code, sum_insured, currency, status, created_at
+        FROM index_policies
+        WHERE field_id = ? AND status = 'active'
+        ORDER BY id
+      `, [fieldId]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch index policies: ${error.message}`);
+    }
+  }
+
+  // Active policies with the field's location and season, for the daily index evaluation
+  async getActiveIndexPolicies() {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT ip.id, ip.field_id, ip.product_code, ip.sum_insured, ip.currency,
+               f.field_name, f.crop_type, f.planting_date, f.latitude, f.longitude
+        FROM index_policies ip
+        JOIN fields f ON ip.field_id = f.id
+        WHERE ip.status = 'active'
+          AND f.latitude IS NOT NULL AND f.longitude IS NOT NULL
+          AND f.planting_date IS NOT NULL
+        ORDER BY f.latitude, f.longitude
+      `);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch active index policies: ${error.message}`);
+    }
+  }
+
+  async createIndexPolicy(fieldId, productCode, sumInsured, currency) {
+    try {
+      const [result] = await this.pool.execute(`
+        INSERT INTO index_policies (field_id, product_code, sum_insured, currency)
+        VALUES (?, ?, ?, ?)
+      `, [fieldId, productCode, sumInsured, currency]);
+
+      return result.insertId;
+    } catch (error) {
+      throw new Error(`Failed to create index policy: ${error.message}`);
+    }
+  }
+
+  // One evaluation per policy and day; a later run on the same day replaces it
+  async saveIndexEvaluation(policyId, fieldId, evaluatedOn, evaluation) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO index_evaluations
+          (policy_id, field_id, evaluated_on, status, payout_percent, projected_payout_percent, data_through, result)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          status = VALUES(status), payout_percent = VALUES(payout_percent),
+          projected_payout_percent = VALUES(projected_payout_percent),
+          data_through = VALUES(data_through), result = VALUES(result)
+      `, [
+        policyId, fieldId, evaluatedOn, evaluation.status, evaluation.payoutPercent,
+        evaluation.projectedPayoutPercent, evaluation.dataThrough, JSON.stringify(evaluation)
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to save index evaluation: ${error.message}`);
+    }
+  }
+
+  // The latest evaluation of each active policy, optionally only those in a given status
+  async getLatestIndexEvaluations(status = null, limit = 100) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT ie.policy_id, ie.field_id, f.field_name, ip.product_code, ip.sum_insured, ip.currency,
+               ie.evaluated_on, ie.status, ie.payout_percent, ie.projected_payout_percent,
+               ie.data_through, ie.result
+        FROM index_evaluations ie
+        JOIN index_policies ip ON ie.policy_id = ip.id
+        LEFT JOIN fields f ON ie.field_id = f.id
+        WHERE ip.status = 'active'
+          AND ie.evaluated_on = (SELECT MAX(latest.evaluated_on) FROM index_evaluations latest WHERE latest.policy_id = ie.policy_id)
+          AND (? IS NULL OR ie.status = ?)
+        ORDER BY ie.projected_payout_percent DESC, ie.policy_id
+        LIMIT ?
+      `, [status, status, String(limit)]);
+
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch index evaluations: ${error.message}`);
+    }
+  }
+
+  // One score per report; a retried report replaces its own
+  async saveCreditScore(farmId, fieldId, reportQueueId, scorecard) {
+    try {
+      await this.pool.execute(`
+        INSERT INTO credit_scores (farm_id, field_id, report_queue_id, scorecard_version, score, grade, result)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          scorecard_version = VALUES(scorecard_version), score = VALUES(score),
+          grade = VALUES(grade), result = VALUES(result), created_at = NOW()
+      `, [farmId, fieldId, reportQueueId, scorecard.version, scorecard.score, scorecard.grade, JSON.stringify(scorecard)]);
+    } catch (error) {
+      throw new Error(`Failed to save credit score: ${error.message}`);
+    }
+  }
+
+  async getCreditScoreHistory(farmId, limit = 50) {
+    try {
+      const [rows] = await this.pool.execute(`
+        SELECT report_queue_id, field_id, scorecard_version, score, grade, result, created_at
+        FROM credit_scores
+        WHERE farm_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `, [farmId, String(limit)]);
+
+      return rows;
     } catch (error) {
-      console.error('Failed to mark report error:', error);
+      throw new Error(`Failed to fetch credit score history: ${error.message}`);
     }
   }
 
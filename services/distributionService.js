@@ -0,0 +1,77 @@
+const ROLE_ORDER = ['owner', 'financier', 'insurer', 'extension_officer', 'observer'];
+
+class DistributionService {
+  constructor(dbService) {
+    this.db = dbService;
+  }
+
+  async resolveRecipients(fieldDetails, owner) {
+    try {
+      const candidates = [];
+
+      if (owner && (owner.email || owner.phone || fieldDetails.phone_number)) {
+        candidates.push({
+          ...this.toRecipient(owner, 'owner'),
+          phone: owner.phone || fieldDetails.phone_number || null
+        });
+      }
+
+      const [financiers, insurers, subscriptions] = await Promise.all([
+        fieldDetails.financier
+          ? this.db.getUsersByOrganization(fieldDetails.financier, ['bank', 'microfinance'])
+          : [],
+        fieldDetails.insurance_provider
+          ? this.db.getUsersByOrganization(fieldDetails.insurance_provider, ['insurer'])
+          : [],
+        this.db.getReportSubscriptions(fieldDetails.id, fieldDetails.farm_id)
+      ]);
+
+      financiers.forEach(user => candidates.push(this.toRecipient(user, 'financier')));
+      insurers.forEach(user => candidates.push(this.toRecipient(user, 'insurer')));
+      subscriptions.forEach(subscription => {
+        candidates.push({
+          userId: subscription.user_id || null,
+          email: subscription.user_email || subscription.email,
+          phone: null,
+          name: subscription.recipient_name || [subscription.first_name, subscription.last_name].filter(Boolean).join(' '),
+          userType: subscription.user_type || subscription.account_user_type,
+          role: subscription.role
+        });
+      });
+
+      return this.dedupe(candidates.filter(recipient => recipient.email || recipient.phone));
+    } catch (error) {
+      throw new Error(`Failed to resolve report recipients: ${error.message}`);
+    }
+  }
+
+  toRecipient(user, role) {
+    return {
+      userId: user.id || user.user_id || null,
+      email: user.email || null,
+      phone: user.phone || null,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.organization || user.email,
+      userType: user.user_type,
+      role
+    };
+  }
+
+  // One recipient per email address (or phone number), keeping the most specific role (owner first)
+  dedupe(recipients) {
+    const byEmail = new Map();
+
+    recipients
+      .sort((a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role))
+      .forEach(recipient => {
+        const email = recipient.email ? recipient.email.trim() : null;
+        const key = email ? email.toLowerCase() : `phone:${recipient.phone}`;
+        if (!byEmail.has(key)) {
+          byEmail.set(key, { ...recipient, email, name: recipient.name || email || recipient.phone });
+        }
+      });
+
+    return [...byEmail.values()];
+  }
+}
+
+module.exports = DistributionService;
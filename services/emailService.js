@@ -1,61 +1,9 @@
 const nodemailer = require('nodemailer');
 const handlebars = require('handlebars');
+const RateLimiter = require('../utils/rateLimiter');
 
-class EmailService {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: parseInt(process.env.EMAIL_PORT) || 587,
-      secure: parseInt(process.env.EMAIL_PORT) === 465,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
-  }
-
-  async testConnection() {
-    try {
-      await this.transporter.verify();
-      return true;
-    } catch (error) {
-      throw new Error(`Email service connection failed: ${error.message}`);
-    }
-  }
-
-  async sendReport(recipientEmail, recipientName, reportData) {
-    try {
-      const subject = `Field Visit Report - ${reportData.farmName}`;
-      
-      const htmlContent = this.generateReportHTML(reportData);
-      
-      const mailOptions = {
-        from: `"Yieldera Reports" <${process.env.EMAIL_FROM}>`,
-        to: recipientEmail,
-        subject: subject,
-        html: htmlContent,
-        attachments: []
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Report sent to ${recipientEmail} (Message ID: ${result.messageId})`);
-      
-      return result;
-    } catch (error) {
-      console.error(`❌ Failed to send report to ${recipientEmail}:`, error);
-      throw error;
-    }
-  }
-
-  generateReportHTML(data) {
-    const template = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Yieldera Field Report</title>
-    <style>
+// Shared by the standard and loss assessment layouts
+const REPORT_STYLES = `
         body {
             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
             line-height: 1.6;
@@ -228,6 +176,49 @@ class EmailService {
             border-radius: 0 4px 4px 0;
             font-size: 0.95em;
         }
+        .engine-item {
+            margin: 10px 0;
+            padding: 12px;
+            background: white;
+            border-left: 4px solid #B6BF00;
+            border-radius: 0 4px 4px 0;
+            font-size: 0.95em;
+        }
+        .engine-item p {
+            margin: 6px 0 0 0;
+        }
+        .tag {
+            display: inline-block;
+            padding: 2px 8px;
+            margin-left: 6px;
+            border-radius: 10px;
+            font-size: 0.75em;
+            font-weight: 600;
+            background: #e9ecef;
+            color: #012E37;
+        }
+        .severity-critical, .severity-high {
+            border-left-color: #dc3545;
+        }
+        .severity-medium {
+            border-left-color: #ffc107;
+        }
+        .tag-critical, .tag-high, .tag-immediate {
+            background: #f8d7da;
+            color: #842029;
+        }
+        .tag-medium, .tag-this_week {
+            background: #fff3cd;
+            color: #856404;
+        }
+        .rule-conflict {
+            margin-top: 8px;
+            padding: 8px 10px;
+            background: #fff3cd;
+            border-radius: 4px;
+            color: #856404;
+            font-size: 0.9em;
+        }
         .alert {
             padding: 15px;
             margin: 15px 0;
@@ -280,7 +271,338 @@ class EmailService {
             .section, .greeting { padding: 20px 15px; }
             .field-details, .weather-grid { grid-template-columns: 1fr; }
         }
-    </style>
+        .status-corroborated {
+            color: #155724;
+            font-weight: 600;
+        }
+        .status-not_corroborated {
+            color: #721c24;
+            font-weight: 600;
+        }
+        .status-inconclusive, .status-no_data {
+            color: #856404;
+            font-weight: 600;
+        }
+        .status-triggered {
+            color: #721c24;
+            font-weight: 600;
+        }
+        .status-at_risk {
+            color: #856404;
+            font-weight: 600;
+        }
+        .impact-up {
+            color: #155724;
+            font-weight: 600;
+        }
+        .impact-down {
+            color: #721c24;
+            font-weight: 600;
+        }
+        .risk-matrix td {
+            text-align: center;
+            font-size: 0.85em;
+            height: 40px;
+        }
+        .risk-low { background: #d4edda; }
+        .risk-medium { background: #fff3cd; }
+        .risk-high { background: #ffe0b2; }
+        .risk-critical { background: #f8d7da; }
+        .weather-table tr.event-day td {
+            background: #fff3cd;
+        }
+`;
+
+// Blocks both layouts render the same way
+const PARTIALS = {
+  engineAnalysis: `
+{{#if sections.aiAnalysis}}
+{{#if aiAnalysis}}
+<div class="analysis-section">
+    <h4>Yieldera Field Analysis</h4>
+    <p>{{aiAnalysis.summary}}</p>
+    {{#each aiAnalysis.details}}
+    <p>{{this}}</p>
+    {{/each}}
+    {{#if aiAnalysis.risks.length}}
+    <h4>Key Risks</h4>
+    {{#each aiAnalysis.risks}}
+    <div class="engine-item severity-{{severity}}">
+        <strong>{{title}}</strong><span class="tag tag-{{severity}}">{{severityLabel}}</span>
+        {{#if detail}}<p>{{detail}}</p>{{/if}}
+    </div>
+    {{/each}}
+    {{/if}}
+    {{#if aiAnalysis.dataGaps.length}}
+    <div class="alert alert-info">
+        <strong>Data gaps:</strong> {{#each aiAnalysis.dataGaps}}{{this}}{{#unless @last}}; {{/unless}}{{/each}}
+    </div>
+    {{/if}}
+</div>
+{{/if}}
+{{/if}}
+`,
+  stakeholderData: `
+<!-- Stakeholder-specific Data -->
+{{#if sections.stakeholderData}}
+{{#if stakeholderData}}
+<div class="section">
+    <h3>📊 {{stakeholderData.title}}</h3>
+    <div class="field-details">
+        {{#each stakeholderData.items}}
+        <div class="detail-item">
+            <div class="detail-label">{{label}}</div>
+            <div class="detail-value">{{value}}</div>
+        </div>
+        {{/each}}
+    </div>
+</div>
+{{/if}}
+{{/if}}
+`,
+  creditScorecard: `
+<!-- Credit Risk Scorecard -->
+{{#if sections.creditScorecard}}
+{{#if creditScore}}
+<div class="section">
+    <h3>🏦 Credit Risk Scorecard</h3>
+    <div class="alert {{#if creditScore.lowGrade}}alert-warning{{else}}alert-info{{/if}}">
+        <strong>Grade {{creditScore.grade}} ({{creditScore.gradeLabel}})</strong>: {{creditScore.score}} of 100 points. Financial {{creditScore.financial.points}} of {{creditScore.financial.maxPoints}}, agronomic {{creditScore.agronomic.points}} of {{creditScore.agronomic.maxPoints}}.
+    </div>
+    <table class="weather-table">
+        <thead>
+            <tr>
+                <th>Factor</th>
+                <th>Recorded</th>
+                <th>Points</th>
+                <th>Impact</th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#each creditScore.factors}}
+            <tr>
+                <td>{{label}}</td>
+                <td>{{#if missing}}Not captured{{else}}{{value}}{{/if}}</td>
+                <td>{{points}} / {{maxPoints}}</td>
+                <td class="impact-{{direction}}">{{impactLabel}}</td>
+            </tr>
+            {{/each}}
+        </tbody>
+    </table>
+    <p style="color: #666; font-size: 0.85em;">Impact is the factor's points above or below half its maximum. Factors without data score half their points. Scorecard {{creditScore.version}}.</p>
+</div>
+{{/if}}
+{{/if}}
+`,
+  indexInsurance: `
+<!-- Weather Index Insurance -->
+{{#if sections.indexInsurance}}
+{{#if indexInsurance}}
+<div class="section">
+    <h3>📈 Weather Index Cover</h3>
+    {{#each indexInsurance}}
+    <h4 style="color: #012E37; margin: 15px 0 10px 0;">{{productName}}</h4>
+    <div class="{{#if payoutPercent}}alert alert-warning{{else}}alert alert-info{{/if}}">
+        <strong>{{statusLabel}}</strong>: {{payoutPercent}}% payout earned, {{projectedPayoutPercent}}% projected for the season{{#if payoutAmount}} ({{currency}} {{payoutAmount}} earned){{/if}}{{#if dataThrough}}. Weather through {{dataThrough}}{{/if}}.
+    </div>
+    {{#if rows.length}}
+    <table class="weather-table">
+        <thead>
+            <tr>
+                <th>Phase</th>
+                <th>Cover</th>
+                <th>To Date</th>
+                <th>Projected</th>
+                <th>Trigger - Exit</th>
+                <th>Payout</th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#each rows}}
+            <tr>
+                <td>{{phase}}</td>
+                <td>{{cover}}</td>
+                <td>{{reading value}}</td>
+                <td>{{reading projected}}</td>
+                <td>{{range}}</td>
+                <td class="status-{{status}}">{{statusLabel}}<br>{{payout}}</td>
+            </tr>
+            {{/each}}
+        </tbody>
+    </table>
+    {{/if}}
+    {{/each}}
+    <p style="font-size: 0.85em; color: #666;">Projections extend each open phase in a straight line from the days observed so far. A rainfall deficit is only earned once its phase has closed.</p>
+</div>
+{{/if}}
+{{/if}}
+`,
+  engineRecommendations: `
+<!-- Strategic Recommendations -->
+{{#if sections.aiRecommendations}}
+{{#if aiRecommendations}}
+<div class="section">
+    <h3>🎯 Strategic Recommendations</h3>
+    <div class="analysis-section">
+        <h4>{{recommendationsTitle}}</h4>
+        {{#if aiRecommendations.summary}}<p>{{aiRecommendations.summary}}</p>{{/if}}
+        {{#each aiRecommendations.recommendations}}
+        <div class="engine-item">
+            <strong>{{title}}</strong><span class="tag tag-{{urgency}}">{{urgencyLabel}}</span><span class="tag">{{costLabel}}</span>
+            <p>{{action}}</p>
+            {{#if timeframe}}<p><em>When: {{timeframe}}</em></p>{{/if}}
+            {{#if ruleConflict}}<div class="rule-conflict">⚠️ Agronomy check: {{ruleConflict.message}}</div>{{/if}}
+        </div>
+        {{/each}}
+        {{#if aiRecommendations.dataGaps.length}}
+        <div class="alert alert-info">
+            <strong>Data gaps:</strong> {{#each aiRecommendations.dataGaps}}{{this}}{{#unless @last}}; {{/unless}}{{/each}}
+        </div>
+        {{/if}}
+    </div>
+</div>
+{{/if}}
+{{/if}}
+`,
+  reportFooter: `
+<!-- Signature -->
+<div class="signature">
+    <h4>Report by Yieldera Agricultural Intelligence</h4>
+    <p>Combining field observations, weather data, and agricultural intelligence for all stakeholders.</p>
+    <p><em>Generated {{generatedDate}} | Report {{reportId}}</em></p>
+</div>
+
+<!-- Footer -->
+<div class="footer">
+    <p><span class="logo-text">Yieldera</span> - Empowering Agriculture Through Data</p>
+    <p style="font-size: 0.8em;">Support: reports@yieldera.co.zw</p>
+</div>
+`
+};
+
+class EmailService {
+  constructor(pdfService = null) {
+    this.pdf = pdfService;
+    this.pdfUserTypes = (process.env.PDF_ATTACHMENT_USER_TYPES || 'insurer,bank,microfinance')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+    this.claimUserTypes = (process.env.CLAIM_ATTACHMENT_USER_TYPES || 'insurer')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+
+    this.openTracking = process.env.EMAIL_OPEN_TRACKING === 'true' && !!process.env.PUBLIC_BASE_URL;
+    this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: parseInt(process.env.EMAIL_PORT) === 465,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    });
+
+    // Missing weather readings are null and shown as a dash
+    this.templates = handlebars.create();
+    this.templates.registerHelper('reading', value => (value === null || value === undefined ? '-' : value));
+    Object.entries(PARTIALS).forEach(([name, partial]) => this.templates.registerPartial(name, partial));
+
+    this.limiter = new RateLimiter({
+      name: 'smtp',
+      requestsPerMinute: parseInt(process.env.SMTP_RATE_LIMIT_PER_MINUTE) || 30,
+      maxConcurrent: parseInt(process.env.SMTP_MAX_CONCURRENT) || 2
+    });
+  }
+
+  async testConnection() {
+    try {
+      await this.transporter.verify();
+      return true;
+    } catch (error) {
+      throw new Error(`Email service connection failed: ${error.message}`);
+    }
+  }
+
+  async sendReport(recipientEmail, recipientName, reportData, options = {}) {
+    try {
+      const subject = `${reportData.subject || 'Field Visit Report'} - ${reportData.farmName}`;
+      
+      const htmlContent = this.addOpenTracking(this.generateReportHTML(reportData), options.trackingToken);
+      const attachments = [];
+
+      if (this.shouldAttachPdf(options.userType)) {
+        try {
+          const pdfBuffer = await this.pdf.renderReport(reportData);
+          attachments.push({
+            filename: `${reportData.reportId}.pdf`,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+          });
+        } catch (error) {
+          // The HTML report is still useful on its own, so a rendering problem should not block delivery
+          console.error(`⚠️ PDF rendering failed for ${reportData.reportId}, sending HTML only:`, error.message);
+        }
+      }
+
+      // Loss reports carry the claim summary for the insurer's claims system
+      if (reportData.claimSummary && this.shouldAttachClaim(options.userType)) {
+        attachments.push({
+          filename: `${reportData.reportId}-claim.json`,
+          content: JSON.stringify(reportData.claimSummary, null, 2),
+          contentType: 'application/json'
+        });
+      }
+      
+      const mailOptions = {
+        from: `"Yieldera Reports" <${process.env.EMAIL_FROM}>`,
+        to: recipientEmail,
+        subject: subject,
+        html: htmlContent,
+        attachments
+      };
+
+      const result = await this.limiter.schedule(() => this.transporter.sendMail(mailOptions));
+      console.log(`✅ Report sent to ${recipientEmail} (Message ID: ${result.messageId}${attachments.length > 0 ? `, ${attachments.map(attachment => attachment.filename).join(', ')} attached` : ''})`);
+      
+      return result;
+    } catch (error) {
+      console.error(`❌ Failed to send report to ${recipientEmail}:`, error);
+      throw error;
+    }
+  }
+
+  addOpenTracking(html, trackingToken) {
+    if (!this.openTracking || !trackingToken) return html;
+
+    const pixel = `<img src="${this.publicBaseUrl}/track/open/${trackingToken}.gif" width="1" height="1" alt="" style="display:none;">`;
+    return html.replace('</body>', `${pixel}\n</body>`);
+  }
+
+  shouldAttachPdf(userType) {
+    if (!this.pdf) return false;
+    if (this.pdfUserTypes.includes('all')) return true;
+    return this.pdfUserTypes.includes(userType);
+  }
+
+  shouldAttachClaim(userType) {
+    return this.claimUserTypes.includes('all') || this.claimUserTypes.includes(userType);
+  }
+
+  generateReportHTML(data) {
+    if (data.template === 'loss') return this.generateLossReportHTML(data);
+
+    const template = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Yieldera Field Report</title>
+    <style>
+${REPORT_STYLES}    </style>
 </head>
 <body>
     <div class="email-container">
@@ -293,7 +615,11 @@ class EmailService {
         <!-- Personal Greeting -->
         <div class="greeting">
             <h2>Hello {{recipientName}},</h2>
+            {{#if weatherAlerts}}
+            <p>Severe weather is forecast for <strong>{{triggerField.field_name}}</strong> at {{farmName}} in the next 7 days. Here is what to expect and what to do before it arrives.</p>
+            {{else}}
             <p>We've completed a field assessment for <strong>{{triggerField.field_name}}</strong> at {{farmName}}. Here's your comprehensive analysis.</p>
+            {{/if}}
         </div>
 
         <!-- Executive Summary -->
@@ -306,10 +632,60 @@ class EmailService {
             </div>
         </div>
 
+        <!-- Forecast Weather Alerts -->
+        {{#if sections.weatherAlerts}}
+        {{#if weatherAlerts}}
+        <div class="section">
+            <h3>⛈️ Weather Alert</h3>
+            {{#each weatherAlerts}}
+            <div class="alert alert-warning">
+                <strong>{{severityLabel}}:</strong> {{message}}.
+                {{#if action}}<br>{{action}}{{/if}}
+            </div>
+            {{/each}}
+
+            {{#if weather.current.forecast}}
+            <h4 style="color: #012E37; margin: 20px 0 10px 0;">Next 7 Days Forecast</h4>
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Max Temp (°C)</th>
+                        <th>Min Temp (°C)</th>
+                        <th>Rainfall (mm)</th>
+                        <th>Gusts (km/h)</th>
+                        <th>Conditions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each weather.current.forecast}}
+                    <tr>
+                        <td>{{date}}</td>
+                        <td>{{reading tempMax}}</td>
+                        <td>{{reading tempMin}}</td>
+                        <td>{{reading precipitation}}</td>
+                        <td>{{reading windGust}}</td>
+                        <td>{{description}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            {{/if}}
+        </div>
+        {{/if}}
+        {{/if}}
+
         <!-- Field Conditions at Time of Visit -->
+        {{#if sections.weather}}
         {{#if weather}}
         <div class="section">
             <h3>🌤️ Weather Analysis</h3>
+
+            {{#each weatherNotices}}
+            <div class="alert alert-warning">
+                {{this}}
+            </div>
+            {{/each}}
             
             {{#if weather.historical}}
             <h4 style="color: #012E37; margin: 20px 0 10px 0;">Past 7 Days Weather</h4>
@@ -327,9 +703,9 @@ class EmailService {
                     {{#each weather.historical}}
                     <tr>
                         <td>{{date}}</td>
-                        <td>{{tempMax}}</td>
-                        <td>{{tempMin}}</td>
-                        <td>{{precipitation}}</td>
+                        <td>{{reading tempMax}}</td>
+                        <td>{{reading tempMin}}</td>
+                        <td>{{reading precipitation}}</td>
                         <td>{{description}}</td>
                     </tr>
                     {{/each}}
@@ -354,10 +730,10 @@ class EmailService {
                     {{#each weather.current.forecast}}
                     <tr>
                         <td>{{date}}</td>
-                        <td>{{tempMax}}</td>
-                        <td>{{tempMin}}</td>
-                        <td>{{precipitation}}</td>
-                        <td>{{windSpeed}}</td>
+                        <td>{{reading tempMax}}</td>
+                        <td>{{reading tempMin}}</td>
+                        <td>{{reading precipitation}}</td>
+                        <td>{{reading windSpeed}}</td>
                         <td>{{description}}</td>
                     </tr>
                     {{/each}}
@@ -365,6 +741,51 @@ class EmailService {
             </table>
             {{/if}}
 
+            {{#if season}}
+            <h4 style="color: #012E37; margin: 20px 0 10px 0;">Season to Date ({{season.start}} - {{season.dataThrough}})</h4>
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Measure</th>
+                        <th>This Season</th>
+                        <th>{{#if season.climatology}}{{season.climatology.years}}-Year Normal{{else}}Normal{{/if}}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>Rainfall (mm)</td>
+                        <td>{{season.rainfall}}{{#if season.rainfallCategory}} ({{season.rainfallPercentOfNormal}}% of normal, {{season.rainfallCategory}}){{/if}}</td>
+                        <td>{{#if season.climatology}}{{season.climatology.rainfall}}{{else}}-{{/if}}</td>
+                    </tr>
+                    <tr>
+                        <td>Rain days</td>
+                        <td>{{season.rainyDays}} of {{season.days}}</td>
+                        <td>{{#if season.climatology}}{{season.climatology.rainyDays}}{{else}}-{{/if}}</td>
+                    </tr>
+                    <tr>
+                        <td>Longest dry spell (days)</td>
+                        <td>{{season.longestDrySpell}}{{#if season.currentDrySpell}} ({{season.currentDrySpell}} days and counting){{/if}}</td>
+                        <td>{{#if season.climatology}}{{season.climatology.longestDrySpell}}{{else}}-{{/if}}</td>
+                    </tr>
+                    <tr>
+                        <td>Heat stress days (≥ {{season.thresholds.heatStressTemp}}°C)</td>
+                        <td>{{season.heatStressDays}}</td>
+                        <td>{{#if season.climatology}}{{season.climatology.heatStressDays}}{{else}}-{{/if}}</td>
+                    </tr>
+                    <tr>
+                        <td>Frost days (≤ {{season.thresholds.frostTemp}}°C)</td>
+                        <td>{{season.frostDays}}</td>
+                        <td>{{#if season.climatology}}{{season.climatology.frostDays}}{{else}}-{{/if}}</td>
+                    </tr>
+                </tbody>
+            </table>
+            {{#if season.sensitive}}
+            <div class="alert alert-info">
+                <strong>Flowering and grain fill:</strong> {{season.sensitive.days}} days so far, {{season.sensitive.rainfall}}mm of rain, longest dry spell {{season.sensitive.longestDrySpell}} days, {{season.sensitive.heatStressDays}} heat stress days, {{season.sensitive.frostDays}} frost days.
+            </div>
+            {{/if}}
+            {{/if}}
+
             {{#if weather.agronomicInsights.insights}}
             {{#each weather.agronomicInsights.insights}}
             <div class="alert alert-info">
@@ -374,8 +795,176 @@ class EmailService {
             {{/if}}
         </div>
         {{/if}}
+        {{/if}}
+
+        <!-- Water Balance -->
+        {{#if sections.waterBalance}}
+        {{#if waterBalance}}
+        <div class="section">
+            {{#if waterBalance.irrigation}}
+            <h3>💧 Irrigation Schedule</h3>
+            <p>Crop water use over the next 7 days is <strong>{{waterBalance.etcNext7Days}}mm</strong> against {{waterBalance.rainNext7Days}}mm of forecast rain. The root zone ({{waterBalance.rootDepth}}m of {{waterBalance.soil}}{{#if waterBalance.soilAssumed}}, assumed{{/if}}) holds {{waterBalance.readilyAvailableWater}}mm the crop can use without stress.</p>
+            {{#if waterBalance.schedule}}
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Net (mm)</th>
+                        <th>Gross (mm)</th>
+                        <th>Volume (m³)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each waterBalance.schedule}}
+                    <tr>
+                        <td>{{date}}</td>
+                        <td>{{netMm}}</td>
+                        <td>{{grossMm}}</td>
+                        <td>{{volumeM3}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            {{else if waterBalance.depletionAssumed}}
+            <div class="alert alert-warning">The current soil water deficit is unknown: there is no soil moisture reading or weather record since planting for this field. Check soil moisture before deciding whether to irrigate this week.</div>
+            {{else}}
+            <div class="alert alert-info">No irrigation is needed in the next 7 days.</div>
+            {{/if}}
+            <p style="color: #666; font-size: 0.85em;">Typical cycle with {{waterBalance.method}}: {{waterBalance.applicationGrossMm}}mm ({{waterBalance.applicationVolumeM3}} m³) every {{waterBalance.intervalDays}} days. Gross amounts allow for {{waterBalance.method}} losses. {{#if waterBalance.depletionAssumed}}The schedule assumes the root zone is full today; check soil moisture before the first application.{{else if waterBalance.depletionFromSoilMoisture}}The schedule starts from a root zone deficit of {{waterBalance.depletion}}mm ({{waterBalance.deficitPercent}}%) from modelled soil moisture.{{else}}The schedule starts from a root zone deficit of {{waterBalance.depletion}}mm ({{waterBalance.deficitPercent}}%) from a water balance since planting, which does not include irrigation already applied; check soil moisture before the first application.{{/if}}</p>
+            {{else if waterBalance.status}}
+            <h3>💧 Soil Water</h3>
+            <div class="field-details">
+                <div class="detail-item">
+                    <div class="detail-label">Root Zone Deficit</div>
+                    <div class="detail-value">{{waterBalance.deficitPercent}}% ({{waterBalance.status}})</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">In 7 Days</div>
+                    <div class="detail-value">{{waterBalance.projectedDeficitPercent}}% ({{waterBalance.projectedStatus}})</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Crop Water Use (7 days)</div>
+                    <div class="detail-value">{{waterBalance.etcNext7Days}}mm</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Forecast Rain (7 days)</div>
+                    <div class="detail-value">{{waterBalance.rainNext7Days}}mm</div>
+                </div>
+            </div>
+            <p style="color: #666; font-size: 0.85em;">Share of the water the crop can draw from the {{waterBalance.rootDepth}}m root zone ({{waterBalance.soil}}{{#if waterBalance.soilAssumed}}, assumed{{/if}}) that has been used. Stress begins once the deficit passes {{waterBalance.readilyAvailableWater}}mm.</p>
+            {{/if}}
+        </div>
+        {{/if}}
+        {{/if}}
+
+        <!-- Yield Forecast -->
+        {{#if sections.yieldForecast}}
+        {{#if yieldForecast}}
+        <div class="section">
+            <h3>🌾 Yield Forecast</h3>
+            <div class="field-details">
+                <div class="detail-item">
+                    <div class="detail-label">{{#if yieldForecast.measured}}Harvested Yield{{else}}Forecast{{/if}}</div>
+                    <div class="detail-value">{{yieldForecast.forecast}} t/ha{{#if yieldForecast.forecastTotal}} ({{yieldForecast.forecastTotal}} t){{/if}}</div>
+                </div>
+                {{#unless yieldForecast.measured}}
+                <div class="detail-item">
+                    <div class="detail-label">Range</div>
+                    <div class="detail-value">{{yieldForecast.low}} - {{yieldForecast.high}} t/ha</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Confidence</div>
+                    <div class="detail-value">{{yieldForecast.confidenceLabel}} (±{{yieldForecast.bandPercent}}%)</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Baseline</div>
+                    <div class="detail-value">{{yieldForecast.baseline}} t/ha ({{yieldForecast.basisLabel}})</div>
+                </div>
+                {{/unless}}
+                <div class="detail-item">
+                    <div class="detail-label">Farmer's Expectation</div>
+                    <div class="detail-value">{{#if yieldForecast.expected}}{{yieldForecast.expected}} t/ha{{else}}Not captured{{/if}}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Previous Season</div>
+                    <div class="detail-value">{{#if yieldForecast.previous}}{{yieldForecast.previous}} t/ha{{else}}Not captured{{/if}}</div>
+                </div>
+            </div>
+            {{#if yieldForecast.factors.length}}
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Factor</th>
+                        <th>Effect on Yield</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each yieldForecast.factors}}
+                    <tr>
+                        <td>{{label}}</td>
+                        <td>{{effect}}%</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            {{/if}}
+            {{#each yieldForecast.notes}}
+            <p style="color: #666; font-size: 0.85em;">{{this}}</p>
+            {{/each}}
+        </div>
+        {{/if}}
+        {{/if}}
+
+        <!-- Operational Risk -->
+        {{#if sections.operationalRisk}}
+        {{#if operationalRisk}}
+        <div class="section">
+            <h3>🛡️ Operational Risk</h3>
+            <p>Fire, theft, flood, power and storage risk rated from the infrastructure and security data collected at the field visit. Highest risk level: <strong>{{operationalRisk.overallLabel}}</strong>.</p>
+            <table class="weather-table risk-matrix">
+                <thead>
+                    <tr>
+                        <th>Likelihood / Impact</th>
+                        <th>Negligible</th>
+                        <th>Minor</th>
+                        <th>Moderate</th>
+                        <th>Major</th>
+                        <th>Severe</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each operationalRisk.matrix}}
+                    <tr>
+                        <td><strong>{{label}}</strong></td>
+                        {{#each cells}}
+                        <td class="risk-{{level}}">{{#each risks}}{{this}}{{#unless @last}}<br>{{/unless}}{{/each}}</td>
+                        {{/each}}
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            {{#each operationalRisk.risks}}
+            <div class="engine-item">
+                <strong>{{label}}</strong> <span class="tag risk-{{level}}">{{levelLabel}}</span>
+                <p style="margin: 5px 0;">{{likelihoodLabel}} likelihood, {{impactLabel}} impact.{{#if drivers.length}} {{#each drivers}}{{this}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}</p>
+                {{#if mitigations.length}}
+                <ul>
+                    {{#each mitigations}}
+                    <li>{{this}}</li>
+                    {{/each}}
+                </ul>
+                {{/if}}
+            </div>
+            {{/each}}
+            {{#if operationalRisk.missing.length}}
+            <p style="color: #666; font-size: 0.85em;">Not captured at the field visit: {{#each operationalRisk.missing}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}. These risks are rated from their typical levels.</p>
+            {{/if}}
+        </div>
+        {{/if}}
+        {{/if}}
 
         <!-- Farm Crops Summary -->
+        {{#if sections.cropAnalysis}}
         {{#if cropAnalysis}}
         <div class="section">
             <h3>🌱 Farm Crops</h3>
@@ -406,11 +995,13 @@ class EmailService {
             {{/each}}
         </div>
         {{/if}}
+        {{/if}}
 
         <!-- Specific Field Analysis -->
         <div class="section">
             <h3>🎯 {{triggerField.field_name}} Analysis</h3>
             
+            {{#if sections.fieldDetails}}
             <div class="field-details">
                 <div class="detail-item">
                     <div class="detail-label">Crop & Variety</div>
@@ -448,6 +1039,13 @@ class EmailService {
                 <div class="detail-item">
                     <div class="detail-label">Growth Stage</div>
                     <div class="detail-value">{{triggerField.current_growth_stage}}</div>
+                    {{#if growthStage.mismatch}}<div style="color: #856404; font-size: 0.85em;">⚠️ {{growthStage.method}} suggest {{growthStage.stage}} - please verify</div>{{/if}}
+                </div>
+                {{else if growthStage}}
+                <div class="detail-item">
+                    <div class="detail-label">Growth Stage (estimated)</div>
+                    <div class="detail-value">{{growthStage.stage}}</div>
+                    <div style="color: #666; font-size: 0.85em;">From {{growthStage.method}}; not captured during visit</div>
                 </div>
                 {{else}}
                 <div class="detail-item">
@@ -455,21 +1053,30 @@ class EmailService {
                     <div class="detail-value" style="color: #856404;">Not captured during visit</div>
                 </div>
                 {{/if}}
+                {{#if growthStage.nextStage}}
+                <div class="detail-item">
+                    <div class="detail-label">Next Stage</div>
+                    <div class="detail-value">{{growthStage.nextStage}} (around {{growthStage.nextStageDate}})</div>
+                </div>
+                {{/if}}
                 <div class="detail-item">
                     <div class="detail-label">Irrigation</div>
                     <div class="detail-value">{{triggerField.irrigation_method_enhanced}}</div>
                 </div>
             </div>
-
-            {{#if aiAnalysis}}
-            <div class="analysis-section">
-                <h4>Yieldera Field Analysis</h4>
-                {{{aiAnalysis}}}
-            </div>
             {{/if}}
+
+            {{> engineAnalysis}}
         </div>
 
+        {{> stakeholderData}}
+
+        {{> creditScorecard}}
+
+        {{> indexInsurance}}
+
         <!-- Weather Recommendations -->
+        {{#if sections.weatherRecommendations}}
         {{#if weather.agronomicInsights.recommendations}}
         <div class="section">
             <h3>💡 Weather-Based Recommendations</h3>
@@ -480,36 +1087,179 @@ class EmailService {
             </div>
         </div>
         {{/if}}
+        {{/if}}
+
+        {{> engineRecommendations}}
+
+        {{> reportFooter}}
+    </div>
+</body>
+</html>`;
+
+    const compiledTemplate = this.templates.compile(template);
+    return compiledTemplate(data);
+  }
+
+  // Claim evidence layout for loss_event reports: the reported loss, each
+  // peril checked against the weather around the loss date, and the yield shortfall
+  generateLossReportHTML(data) {
+    const template = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Yieldera Loss Assessment</title>
+    <style>${REPORT_STYLES}    </style>
+</head>
+<body>
+    <div class="email-container">
+        <!-- Header -->
+        <div class="header">
+            <h1>Yieldera Loss Assessment</h1>
+            <p>{{triggerField.field_name}} | {{farmName}} | {{generatedDate}}</p>
+        </div>
+
+        <!-- Personal Greeting -->
+        <div class="greeting">
+            <h2>Hello {{recipientName}},</h2>
+            <p>A crop loss has been reported on <strong>{{triggerField.field_name}}</strong> at {{farmName}}. This assessment sets the reported damage against the weather record and the field's yield history.</p>
+        </div>
 
-        <!-- Strategic Recommendations -->
-        {{#if aiRecommendations}}
+        {{#with lossAssessment}}
+        <!-- Claim Overview -->
         <div class="section">
-            <h3>🎯 Strategic Recommendations</h3>
-            <div class="analysis-section">
-                <h4>Yieldera Field Recommendations</h4>
-                {{{aiRecommendations}}}
+            <h3>📋 Claim Overview</h3>
+            <div class="field-details">
+                <div class="detail-item">
+                    <div class="detail-label">Reported Loss</div>
+                    <div class="detail-value">{{#if lossPercentage}}{{lossPercentage}}%{{else}}Not quantified{{/if}}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">{{#if dateRecorded}}Loss Date{{else}}Loss Reported{{/if}}</div>
+                    <div class="detail-value">{{lossDate}}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Reported Cause</div>
+                    <div class="detail-value">{{#if reportedPerils.length}}{{#each reportedPerils}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}{{else}}Not specified{{/if}}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Crop & Area</div>
+                    <div class="detail-value">{{../triggerField.crop_type}}{{#if ../triggerField.variety}} ({{../triggerField.variety}}){{/if}}, {{../triggerField.field_size}} ha</div>
+                </div>
+                {{#if ../triggerField.latitude}}
+                <div class="detail-item">
+                    <div class="detail-label">GPS Coordinates</div>
+                    <div class="detail-value">{{../triggerField.latitude}}, {{../triggerField.longitude}}</div>
+                </div>
+                {{/if}}
+                <div class="detail-item">
+                    <div class="detail-label">Report Reference</div>
+                    <div class="detail-value">{{../reportId}}</div>
+                </div>
             </div>
         </div>
-        {{/if}}
 
-        <!-- Signature -->
-        <div class="signature">
-            <h4>Report by Yieldera Agricultural Intelligence</h4>
-            <p>Combining field observations, weather data, and agricultural intelligence for all stakeholders.</p>
-            <p><em>Generated {{generatedDate}} | Report {{reportId}}</em></p>
+        <!-- Peril Corroboration -->
+        <div class="section">
+            <h3>🔎 Damage Against the Weather Record</h3>
+            <p>Weather checked {{eventWindow}}.</p>
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Peril</th>
+                        <th>Reported</th>
+                        <th>Weather Record</th>
+                        <th>Evidence</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each perils}}
+                    <tr>
+                        <td>{{label}}</td>
+                        <td>{{#if reported}}Yes{{else}}No{{/if}}</td>
+                        <td class="status-{{status}}">{{statusLabel}}</td>
+                        <td>{{reading evidence}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+
+            {{#if weather.days.length}}
+            <h4 style="color: #012E37; margin: 20px 0 10px 0;">Weather Around the Loss Date</h4>
+            <table class="weather-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Max Temp (°C)</th>
+                        <th>Min Temp (°C)</th>
+                        <th>Rainfall (mm)</th>
+                        <th>Gusts (km/h)</th>
+                        <th>Conditions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each weather.days}}
+                    <tr{{#if inEventWindow}} class="event-day"{{/if}}>
+                        <td>{{date}}{{#if isLossDate}} *{{/if}}</td>
+                        <td>{{reading tempMax}}</td>
+                        <td>{{reading tempMin}}</td>
+                        <td>{{reading precipitation}}</td>
+                        <td>{{reading windGust}}</td>
+                        <td>{{reading description}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            <p style="font-size: 0.85em; color: #666;">Highlighted days are those checked for the damaging event{{#if dateRecorded}}; * marks the recorded loss date{{/if}}.</p>
+            {{/if}}
         </div>
 
-        <!-- Footer -->
-        <div class="footer">
-            <p><span class="logo-text">Yieldera</span> - Empowering Agriculture Through Data</p>
-            <p style="font-size: 0.8em;">Support: reports@yieldera.co.zw</p>
+        <!-- Yield Shortfall -->
+        <div class="section">
+            <h3>🌾 Yield Shortfall</h3>
+            {{#with yield}}
+            <table class="weather-table">
+                <tbody>
+                    <tr><td>Expected yield</td><td>{{reading expected}} t/ha</td></tr>
+                    <tr><td>Previous season yield</td><td>{{reading previous}} t/ha</td></tr>
+                    <tr><td>{{#if measured}}Actual yield{{else}}Estimated yield after loss{{/if}}</td><td>{{reading estimated}} t/ha</td></tr>
+                    <tr><td>Shortfall against expected yield</td><td>{{reading shortfall}} t/ha ({{reading shortfallTotal}} t over the field)</td></tr>
+                    <tr><td>Guaranteed yield ({{coveragePercent}}% of {{referenceLabel}})</td><td>{{reading guaranteed}} t/ha</td></tr>
+                    <tr><td><strong>Indemnity-relevant shortfall</strong></td><td><strong>{{reading indemnityShortfall}} t/ha ({{reading indemnityShortfallTotal}} t over the field)</strong></td></tr>
+                </tbody>
+            </table>
+            {{/with}}
+            {{#each notes}}
+            <div class="alert alert-info">{{this}}</div>
+            {{/each}}
+        </div>
+        {{/with}}
+
+        <!-- Engine Assessment -->
+        {{#if sections.aiAnalysis}}
+        {{#if aiAnalysis}}
+        <div class="section">
+            <h3>🎯 Loss Analysis</h3>
+            {{> engineAnalysis}}
         </div>
+        {{/if}}
+        {{/if}}
+
+        {{> stakeholderData}}
+
+        {{> creditScorecard}}
+
+        {{> indexInsurance}}
+
+        {{> engineRecommendations}}
+
+        {{> reportFooter}}
     </div>
 </body>
 </html>`;
 
-    const compiledTemplate = handlebars.compile(template);
-    return compiledTemplate(data);
+    return this.templates.compile(template)(data);
   }
 
   formatUserType(userType) {
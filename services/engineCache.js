@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Field attributes the Yieldera Engine prompts are built from. A change to any
+// of them (or to the weather summaries, growth stage estimate, water balance,
+// weather alerts, loss assessment, profile, model or prompt templates)
+// produces a new cache key.
+const FIELD_ATTRIBUTES = [
+  'id', 'field_name', 'crop_type', 'variety', 'field_size', 'soil_type', 'planting_date',
+  'current_growth_stage', 'irrigation_method_enhanced', 'basal_fertilizer', 'basal_fertilizer_type',
+  'basal_fertilizer_rate', 'top_dressing', 'top_dressing_type', 'loss_occurred_current_season',
+  'loss_percentage', 'pest_infestation_level', 'disease_occurrence', 'drought_damage',
+  'flood_damage', 'hail_damage', 'loss_date', 'expected_yield_per_hectare', 'actual_yield_per_hectare',
+  'previous_season_yield'
+];
+
+class EngineCache {
+  constructor(dbService) {
+    this.db = dbService;
+    this.enabled = process.env.ENGINE_CACHE_ENABLED !== 'false';
+    this.ttlSeconds = parseInt(process.env.ENGINE_CACHE_TTL_SECONDS) || 86400;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  buildKey({ fieldDetails, farmFields, cropAnalysis, weatherData, triggerType, profile, phenology = null, season = null, waterBalance = null, weatherAlerts = null, lossAssessment = null, yieldForecast = null, operationalRisk = null, model, promptVersion, promptFingerprint = null }) {
+    const fieldState = {};
+    const dataFields = profile.dataSection ? profile.dataSection.fields.map(field => field.key) : [];
+    [...FIELD_ATTRIBUTES, ...dataFields].forEach(key => {
+      const value = fieldDetails[key];
+      fieldState[key] = value instanceof Date ? value.toISOString() : value ?? null;
+    });
+
+    const keySource = {
+      promptVersion,
+      promptFingerprint,
+      model,
+      profile: profile.key,
+      triggerType,
+      field: fieldState,
+      farm: {
+        fields: farmFields.length,
+        totalArea: farmFields.reduce((sum, f) => sum + (parseFloat(f.field_size) || 0), 0),
+        crops: (cropAnalysis || []).map(crop => [
+          crop.crop_type, crop.field_count, crop.total_area, crop.fields_with_losses, crop.pest_affected_fields
+        ])
+      },
+      weather: this.summarizeWeather(weatherData),
+      // The next stage date moves daily, so only the estimated stage is keyed
+      phenology: phenology ? [phenology.stage, phenology.mismatch] : null,
+      season: season ? [season.rainfall, season.currentDrySpell, season.heatStressDays, season.frostDays, season.rainfallCategory] : null,
+      waterBalance: waterBalance
+        ? [waterBalance.mode, waterBalance.depletionSource || null, waterBalance.status || null, waterBalance.deficitPercent ?? null, (waterBalance.schedule || []).map(event => [event.date, event.grossMm])]
+        : null,
+      weatherAlerts: weatherAlerts ? weatherAlerts.map(alert => [alert.type, alert.severity, alert.start, alert.end]) : null,
+      lossAssessment: lossAssessment
+        ? [lossAssessment.lossDate, lossAssessment.perils.map(peril => [peril.key, peril.reported, peril.status])]
+        : null,
+      yieldForecast: yieldForecast ? [yieldForecast.forecast, yieldForecast.low, yieldForecast.high] : null,
+      operationalRisk: operationalRisk ? operationalRisk.risks.map(risk => [risk.key, risk.likelihood, risk.impact]) : null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(keySource)).digest('hex');
+  }
+
+  // Only the parts of the weather data the prompts use, so that a forecast
+  // refresh with the same 7-day totals still hits the cache
+  summarizeWeather(weatherData) {
+    if (!weatherData || !weatherData.analysis) return null;
+
+    const last7Days = weatherData.analysis.last7Days || {};
+    const insights = weatherData.agronomicInsights ? weatherData.agronomicInsights.insights || [] : [];
+
+    return {
+      available: weatherData.available !== false,
+      quality: weatherData.analysis.quality ?? null,
+      rainfall: last7Days.totalRainfall ?? null,
+      lowestTemp: last7Days.lowestTemp ?? null,
+      highestTemp: last7Days.highestTemp ?? null,
+      insights: insights.map(insight => `${insight.category}:${insight.message}`)
+    };
+  }
+
+  async get(cacheKey) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await this.db.getEngineCacheEntry(cacheKey);
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return JSON.parse(entry.output);
+    } catch (error) {
+      // A cache failure only costs an extra engine call
+      console.error('⚠️ Engine cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async set(cacheKey, { fieldId, profile, model, promptVersion }, output) {
+    if (!this.enabled) return;
+
+    try {
+      await this.db.saveEngineCacheEntry({
+        cacheKey,
+        fieldId,
+        profile,
+        model,
+        promptVersion,
+        output: JSON.stringify(output),
+        ttlSeconds: this.ttlSeconds
+      });
+      this.stats.writes++;
+    } catch (error) {
+      console.error('⚠️ Engine cache write failed:', error.message);
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ttlSeconds: this.ttlSeconds,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = EngineCache;
@@ -0,0 +1,283 @@
+const moment = require('moment');
+const { INDEX_PRODUCTS, COVERS, getIndexProduct } = require('../config/indexProducts');
+const { resolveCropKey } = require('../config/agronomyRules');
+
+const STATUS_LABELS = {
+  pending: 'Cover not started',
+  normal: 'No trigger',
+  at_risk: 'On track to trigger',
+  triggered: 'Triggered',
+  inconclusive: 'Inconclusive',
+  no_data: 'No weather data'
+};
+
+// Open phases with fewer observed days than this are not projected yet
+const MIN_PROJECTION_DAYS = 7;
+
+// A missing day counts as no rain, so a rainfall deficit is not settled on a
+// phase with more days without a reading than this
+const maxMissingDays = parseInt(process.env.INDEX_MAX_MISSING_DAYS, 10);
+const MAX_MISSING_DAYS = Number.isFinite(maxMissingDays) && maxMissingDays >= 0 ? maxMissingDays : 2;
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Share of a cover's payout for an index value, rising in a straight line from
+// the trigger to the exit (below the trigger for a deficit, above it otherwise)
+function payoutFraction({ trigger, exit }, value) {
+  if (value === null) return 0;
+
+  const fraction = (value - trigger) / (exit - trigger);
+  return Math.min(Math.max(fraction, 0), 1);
+}
+
+// Weather index insurance: evaluates each insured field's policy against the
+// rainfall and heat days observed in every phase of its product since
+// planting. Payout earned so far counts only what can no longer change (a
+// rainfall deficit once its phase has closed; excess rain and heat days as
+// soon as they pass the trigger); the projected payout extends each open phase
+// in a straight line from the days observed so far. A deficit cover on a phase
+// with too many days missing from the weather record is inconclusive rather
+// than triggered.
+class IndexInsuranceService {
+  constructor(dbService, seasonalWeatherService) {
+    this.db = dbService;
+    this.seasonalWeather = seasonalWeatherService;
+    this.lastEvaluation = null;
+  }
+
+  getProducts() {
+    return Object.entries(INDEX_PRODUCTS).map(([code, product]) => ({ code, ...product }));
+  }
+
+  // Policies on the field evaluated against the season series; null when the
+  // field has no index cover
+  async evaluateField(fieldDetails, series) {
+    try {
+      const policies = await this.db.getIndexPolicies(fieldDetails.id);
+      if (policies.length === 0) return null;
+
+      return policies.map(policy => this.evaluatePolicy(policy, fieldDetails, series));
+    } catch (error) {
+      console.error(`❌ Index insurance evaluation failed for field ${fieldDetails.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Only one instance evaluates at a time; resolves to null when another is evaluating
+  async evaluateAll() {
+    const result = await this.db.withNamedLock('yieldera_index_evaluation', () => this.evaluatePolicies());
+    if (result === null) {
+      console.log('ℹ️ Index insurance evaluation already running on another instance');
+      return null;
+    }
+
+    this.lastEvaluation = result;
+    return result;
+  }
+
+  async evaluatePolicies() {
+    const startedAt = new Date().toISOString();
+    const evaluatedOn = moment().format('YYYY-MM-DD');
+    const policies = await this.db.getActiveIndexPolicies();
+    const stats = { policies: policies.length, evaluated: 0, triggered: 0, atRisk: 0, inconclusive: 0, skipped: 0, errors: 0 };
+
+    console.log(`📈 Evaluating ${policies.length} index insurance policies...`);
+
+    for (const policy of policies) {
+      try {
+        const field = {
+          id: policy.field_id,
+          latitude: policy.latitude,
+          longitude: policy.longitude,
+          planting_date: policy.planting_date
+        };
+        const series = await this.seasonalWeather.getSeasonSeries(field);
+        const evaluation = this.evaluatePolicy(policy, field, series);
+        if (evaluation.status === 'no_data') {
+          stats.skipped++;
+          continue;
+        }
+
+        await this.db.saveIndexEvaluation(policy.id, policy.field_id, evaluatedOn, evaluation);
+        stats.evaluated++;
+        if (evaluation.status === 'triggered') stats.triggered++;
+        if (evaluation.status === 'at_risk') stats.atRisk++;
+        if (evaluation.status === 'inconclusive') stats.inconclusive++;
+      } catch (error) {
+        stats.errors++;
+        console.error(`❌ Index evaluation failed for policy ${policy.id}:`, error.message);
+      }
+    }
+
+    return { ...stats, evaluatedOn, startedAt, finishedAt: new Date().toISOString() };
+  }
+
+  evaluatePolicy(policy, fieldDetails, series) {
+    const product = getIndexProduct(policy.product_code);
+    const base = {
+      policyId: policy.id,
+      productCode: policy.product_code,
+      productName: product ? product.name : policy.product_code,
+      sumInsured: policy.sum_insured === null || policy.sum_insured === undefined ? null : parseFloat(policy.sum_insured),
+      currency: policy.currency || null,
+      evaluatedOn: moment().format('YYYY-MM-DD')
+    };
+
+    const observed = (series || []).filter(day => typeof day.precipitation === 'number');
+    if (!product || !fieldDetails.planting_date || observed.length === 0) {
+      return {
+        ...base,
+        status: 'no_data',
+        statusLabel: product ? STATUS_LABELS.no_data : `Unknown index product ${policy.product_code}`,
+        plantingDate: fieldDetails.planting_date ? moment(fieldDetails.planting_date).format('YYYY-MM-DD') : null,
+        dataThrough: null,
+        payoutPercent: 0,
+        projectedPayoutPercent: 0,
+        payoutAmount: null,
+        projectedPayoutAmount: null,
+        phases: []
+      };
+    }
+
+    const planting = moment(fieldDetails.planting_date).startOf('day');
+    const dataThrough = moment(observed[observed.length - 1].date);
+    const phases = product.phases.map(phase => this.evaluatePhase(phase, planting, dataThrough, observed));
+
+    const payoutPercent = round(Math.min(phases.reduce((sum, phase) => sum + phase.payoutPercent, 0), 100));
+    const projectedPayoutPercent = round(Math.min(phases.reduce((sum, phase) => sum + phase.projectedPayoutPercent, 0), 100));
+    const amount = percent => (base.sumInsured === null ? null : round((base.sumInsured * percent) / 100, 2));
+
+    let status = 'normal';
+    if (phases.every(phase => phase.status === 'upcoming')) status = 'pending';
+    if (projectedPayoutPercent > 0) status = 'at_risk';
+    const gaps = phases.filter(phase => phase.covers.some(cover => cover.status === 'inconclusive'));
+    if (gaps.length > 0 && payoutPercent === 0) status = 'inconclusive';
+    if (payoutPercent > 0) status = 'triggered';
+
+    const missingDays = gaps.reduce((sum, phase) => sum + phase.missingDays, 0);
+    return {
+      ...base,
+      status,
+      statusLabel: gaps.length > 0
+        ? `${STATUS_LABELS[status]} (${missingDays} day(s) of rainfall missing in ${gaps.map(phase => phase.label).join(', ')})`
+        : STATUS_LABELS[status],
+      plantingDate: planting.format('YYYY-MM-DD'),
+      dataThrough: dataThrough.format('YYYY-MM-DD'),
+      payoutPercent,
+      projectedPayoutPercent,
+      payoutAmount: amount(payoutPercent),
+      projectedPayoutAmount: amount(projectedPayoutPercent),
+      phases
+    };
+  }
+
+  evaluatePhase(phase, planting, dataThrough, observed) {
+    const start = planting.clone().add(phase.startDay, 'days');
+    const end = planting.clone().add(phase.endDay, 'days');
+    const totalDays = end.diff(start, 'days') + 1;
+
+    let status = 'open';
+    if (dataThrough.isBefore(start, 'day')) status = 'upcoming';
+    else if (!dataThrough.isBefore(end, 'day')) status = 'closed';
+
+    const days = observed.filter(day => moment(day.date).isBetween(start, end, 'day', '[]'));
+    const elapsedDays = status === 'upcoming' ? 0 : moment.min(end, dataThrough).diff(start, 'days') + 1;
+    const rainfall = status === 'upcoming' ? null : round(days.reduce((sum, day) => sum + day.precipitation, 0));
+    // Days in the phase so far without a rainfall reading; their rain is not counted
+    const missingDays = Math.max(elapsedDays - days.length, 0);
+
+    const covers = Object.keys(COVERS).filter(key => phase[key]).map(key => {
+      const cover = phase[key];
+      const definition = COVERS[key];
+      let value = rainfall;
+      if (definition.reading === 'heatDays') {
+        value = status === 'upcoming' ? null : days.filter(day => typeof day.tempMax === 'number' && day.tempMax >= cover.temp).length;
+      }
+
+      // Straight-line projection of the phase from the days with a reading, so
+      // missing days are filled in at the observed rate
+      let projected = value;
+      if (status !== 'upcoming' && days.length < totalDays && (status === 'open' || missingDays > 0)) {
+        projected = days.length >= MIN_PROJECTION_DAYS ? round((value * totalDays) / days.length) : null;
+      }
+      const incomplete = definition.direction === 'below' && missingDays > MAX_MISSING_DAYS;
+      const earned = definition.direction === 'below' && (status !== 'closed' || incomplete) ? 0 : payoutFraction(cover, value);
+      const projectedFraction = Math.max(payoutFraction(cover, projected), earned);
+
+      let coverStatus = 'normal';
+      if (status === 'upcoming') coverStatus = 'pending';
+      else if (earned > 0) coverStatus = 'triggered';
+      else if (incomplete) coverStatus = 'inconclusive';
+      else if (projectedFraction > 0) coverStatus = 'at_risk';
+
+      return {
+        type: key,
+        label: key === 'heatDays' ? `${definition.label} (${cover.temp}°C+)` : definition.label,
+        unit: definition.unit,
+        value,
+        projected,
+        trigger: cover.trigger,
+        exit: cover.exit,
+        status: coverStatus,
+        statusLabel: coverStatus === 'inconclusive'
+          ? `${STATUS_LABELS.inconclusive}: ${missingDays} of ${elapsedDays} days without rainfall data`
+          : STATUS_LABELS[coverStatus],
+        payoutPercent: round(earned * phase.limit),
+        projectedPayoutPercent: round(projectedFraction * phase.limit)
+      };
+    });
+
+    return {
+      key: phase.key,
+      label: phase.label,
+      start: start.format('YYYY-MM-DD'),
+      end: end.format('YYYY-MM-DD'),
+      status,
+      limit: phase.limit,
+      totalDays,
+      elapsedDays,
+      missingDays,
+      rainfall,
+      covers,
+      payoutPercent: round(Math.min(covers.reduce((sum, cover) => sum + cover.payoutPercent, 0), phase.limit)),
+      projectedPayoutPercent: round(Math.min(covers.reduce((sum, cover) => sum + cover.projectedPayoutPercent, 0), phase.limit))
+    };
+  }
+
+  // Why a field cannot be enrolled in a product, or null when it can
+  getEligibilityProblem(product, fieldDetails) {
+    if (product.crops && product.crops.length > 0 && !product.crops.includes(resolveCropKey(fieldDetails.crop_type))) {
+      return `${product.name} does not cover ${fieldDetails.crop_type || 'fields without a crop'}`;
+    }
+    if (!fieldDetails.planting_date) return 'The field has no planting date to start the index phases from';
+    if (!fieldDetails.latitude || !fieldDetails.longitude) return 'The field has no GPS coordinates to fetch weather for';
+    return null;
+  }
+
+  // Stored results of the daily evaluation, most likely payouts first
+  async getLatestEvaluations(status = null, limit = 100) {
+    const rows = await this.db.getLatestIndexEvaluations(status, limit);
+
+    return rows.map(row => ({
+      policyId: row.policy_id,
+      fieldId: row.field_id,
+      fieldName: row.field_name,
+      productCode: row.product_code,
+      evaluatedOn: moment(row.evaluated_on).format('YYYY-MM-DD'),
+      status: row.status,
+      payoutPercent: parseFloat(row.payout_percent),
+      projectedPayoutPercent: parseFloat(row.projected_payout_percent),
+      dataThrough: row.data_through ? moment(row.data_through).format('YYYY-MM-DD') : null,
+      evaluation: typeof row.result === 'string' ? JSON.parse(row.result) : row.result
+    }));
+  }
+
+  getStats() {
+    return this.lastEvaluation;
+  }
+}
+
+module.exports = IndexInsuranceService;
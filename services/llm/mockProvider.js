@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic responses read from fixture files, for tests and offline
+// development. A request for "analysis" returns fixtures/llm/analysis.json
+// (or analysis.md for free-text purposes).
+class MockProvider {
+  constructor({ fixturesDir } = {}) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir || path.join(__dirname, '..', '..', 'fixtures', 'llm');
+  }
+
+  async complete({ model, purpose }) {
+    const fixturePath = ['json', 'md']
+      .map(extension => path.join(this.fixturesDir, `${purpose}.${extension}`))
+      .find(candidate => fs.existsSync(candidate));
+
+    if (!fixturePath) {
+      throw new Error(`No mock LLM fixture for "${purpose}" in ${this.fixturesDir}`);
+    }
+
+    return {
+      content: fs.readFileSync(fixturePath, 'utf8').trim(),
+      model,
+      usage: null
+    };
+  }
+}
+
+module.exports = MockProvider;
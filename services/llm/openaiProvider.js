@@ -0,0 +1,34 @@
+const OpenAI = require('openai');
+
+// OpenAI, or any server exposing the OpenAI chat completions API
+// (Ollama, vLLM, LM Studio, llama.cpp server) when given a baseURL
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL } = {}) {
+    this.name = name;
+    this.client = new OpenAI({
+      apiKey,
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  async complete({ model, system, prompt, maxTokens, temperature, json = false }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,112 @@
+const OpenAIProvider = require('./llm/openaiProvider');
+const MockProvider = require('./llm/mockProvider');
+const RateLimiter = require('../utils/rateLimiter');
+const { parseEngineJson } = require('../utils/engineOutput');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4',
+  local: 'llama3',
+  mock: 'mock'
+};
+
+// Routes Yieldera Engine requests to the configured LLM provider (LLM_PROVIDER)
+// and picks the model, token budget and temperature for each report type
+class LlmService {
+  constructor() {
+    this.providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    this.provider = this.createProvider(this.providerName);
+    this.defaultModel = process.env.LLM_MODEL || DEFAULT_MODELS[this.providerName];
+    this.maxTokens = parseInt(process.env.LLM_MAX_TOKENS) || 1200;
+    this.combinedMaxTokens = parseInt(process.env.LLM_COMBINED_MAX_TOKENS) || 2400;
+    this.temperature = process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.6;
+    this.jsonRetries = process.env.LLM_JSON_RETRIES !== undefined ? parseInt(process.env.LLM_JSON_RETRIES) : 1;
+    // Native JSON mode is only available on newer OpenAI models and some local servers
+    this.jsonMode = process.env.LLM_JSON_MODE === 'true';
+
+    this.limiter = new RateLimiter({
+      name: this.providerName,
+      requestsPerMinute: parseInt(process.env.LLM_RATE_LIMIT_PER_MINUTE || process.env.OPENAI_RATE_LIMIT_PER_MINUTE) || 60,
+      maxConcurrent: parseInt(process.env.LLM_MAX_CONCURRENT || process.env.OPENAI_MAX_CONCURRENT) || 4
+    });
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'openai':
+        return new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+      case 'local':
+        if (!process.env.LOCAL_LLM_BASE_URL) {
+          throw new Error('LOCAL_LLM_BASE_URL is required when LLM_PROVIDER=local');
+        }
+        return new OpenAIProvider({
+          name: 'local',
+          apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+          baseURL: process.env.LOCAL_LLM_BASE_URL
+        });
+      case 'mock':
+        return new MockProvider({ fixturesDir: process.env.LLM_FIXTURES_DIR });
+      default:
+        throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+    }
+  }
+
+  // LLM_MODEL_<TRIGGER_TYPE> (e.g. LLM_MODEL_LOSS_EVENT) overrides LLM_MODEL for one report type
+  getModel(triggerType) {
+    const override = triggerType ? process.env[`LLM_MODEL_${triggerType.toUpperCase()}`] : null;
+    return override || this.defaultModel;
+  }
+
+  async complete({ purpose, triggerType, system, prompt, maxTokens, temperature, json = false }) {
+    const model = this.getModel(triggerType);
+
+    return this.limiter.schedule(() => this.provider.complete({
+      purpose,
+      model,
+      system,
+      prompt,
+      maxTokens: maxTokens || this.maxTokens,
+      temperature: temperature !== undefined ? temperature : this.temperature,
+      json: json && this.jsonMode
+    }));
+  }
+
+  // Requests JSON and checks it with validate(parsed) => { valid, errors, value }.
+  // Invalid output is re-asked up to LLM_JSON_RETRIES times with the validation
+  // errors; if it still fails the caller gets an error and decides the fallback.
+  async completeJson(request, validate) {
+    let prompt = request.prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.jsonRetries + 1; attempt++) {
+      const response = await this.complete({ ...request, prompt, json: true });
+
+      try {
+        const result = validate(parseEngineJson(response.content));
+        if (result.valid) {
+          return { ...response, output: result.value, attempts: attempt };
+        }
+        errors = result.errors;
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      console.warn(`⚠️ ${request.purpose} response failed validation (attempt ${attempt}): ${errors.slice(0, 5).join('; ')}`);
+
+      prompt = `${request.prompt}\n\n**YOUR PREVIOUS RESPONSE COULD NOT BE USED:**\n`;
+      prompt += `${String(response.content || '').slice(0, 2000)}\n\n`;
+      prompt += `Problems:\n${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}\n\n`;
+      prompt += `Respond again with only the corrected JSON object.`;
+    }
+
+    throw new Error(`${request.purpose} response failed validation after ${this.jsonRetries + 1} attempts: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  getInfo() {
+    return {
+      provider: this.providerName,
+      defaultModel: this.defaultModel
+    };
+  }
+}
+
+module.exports = LlmService;
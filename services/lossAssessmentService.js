@@ -0,0 +1,301 @@
+const moment = require('moment');
+const {
+  LOSS_THRESHOLDS,
+  PERILS,
+  CORROBORATION_LABELS,
+  HAIL_WEATHER_CODES,
+  THUNDERSTORM_WEATHER_CODES
+} = require('../config/lossAssessment');
+const { THRESHOLDS } = require('../config/agronomyRules');
+
+const DRIER_THAN_NORMAL = ['well below normal', 'below normal'];
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function round(value, decimals = 2) {
+  if (value === null) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+// Evidence for a loss_event report: the reported loss and damage flags, the
+// observed weather on and around the loss date checked against each reported
+// peril, and the yield shortfall an indemnity-based claim would be assessed on.
+class LossAssessmentService {
+  constructor(weatherService) {
+    this.weather = weatherService;
+  }
+
+  // `reportedAt` is when the loss was reported; it stands in for the loss date
+  // when the field has none recorded. `season` is the season-to-date summary.
+  async assess(fieldDetails, { reportedAt, season = null } = {}) {
+    const recorded = Boolean(fieldDetails.loss_date);
+    const lossDate = moment(recorded ? fieldDetails.loss_date : reportedAt).startOf('day');
+    const today = moment().startOf('day');
+
+    // A recorded date is searched either side; a report date only looks back
+    const eventWindow = recorded
+      ? {
+        start: lossDate.clone().subtract(LOSS_THRESHOLDS.eventWindowDays, 'days'),
+        end: moment.min(lossDate.clone().add(LOSS_THRESHOLDS.eventWindowDays, 'days'), today)
+      }
+      : { start: lossDate.clone().subtract(LOSS_THRESHOLDS.reportedWindowDays, 'days'), end: lossDate.clone() };
+
+    const weather = await this.getLossWeather(fieldDetails, lossDate, eventWindow, today, recorded);
+    const perils = Object.entries(PERILS).map(([key, peril]) => {
+      const check = weather.available ? this.checkPeril(key, weather, eventWindow, lossDate, season) : { status: 'no_data', evidence: null };
+      return {
+        key,
+        label: peril.label,
+        reported: Boolean(fieldDetails[peril.flag]),
+        status: check.status,
+        statusLabel: CORROBORATION_LABELS[check.status],
+        evidence: check.evidence
+      };
+    });
+
+    // The full lookback series is only needed for the checks above
+    const { series, ...weatherEvidence } = weather;
+    const yieldAssessment = this.assessYield(fieldDetails);
+    const notes = [];
+    if (!recorded) {
+      notes.push(`No loss date is recorded for this field, so the weather is checked over the ${LOSS_THRESHOLDS.reportedWindowDays} days before the loss was reported.`);
+    }
+    if (!perils.some(peril => peril.reported)) {
+      notes.push('No damage cause (drought, flood or hail) is flagged for this field.');
+    }
+    if (!weather.available) {
+      notes.push('Observed weather could not be retrieved for this field, so no reported peril could be checked against the weather record.');
+    }
+    if (yieldAssessment.optimisticExpectation) {
+      notes.push(`Expected yield (${yieldAssessment.expected} t/ha) is more than ${Math.round((LOSS_THRESHOLDS.optimisticYieldRatio - 1) * 100)}% above last season's ${yieldAssessment.previous} t/ha; the shortfall against expected yield may be overstated.`);
+    }
+    if (yieldAssessment.estimated === null) {
+      notes.push('Neither an actual yield nor an expected yield with a loss percentage is recorded, so no yield shortfall could be estimated.');
+    }
+
+    return {
+      lossOccurred: Boolean(fieldDetails.loss_occurred_current_season),
+      lossPercentage: toNumber(fieldDetails.loss_percentage),
+      lossDate: lossDate.format('YYYY-MM-DD'),
+      dateSource: recorded ? 'recorded' : 'reported',
+      eventWindow: { start: eventWindow.start.format('YYYY-MM-DD'), end: eventWindow.end.format('YYYY-MM-DD') },
+      perils,
+      reportedPerils: perils.filter(peril => peril.reported).map(peril => peril.label),
+      weather: weatherEvidence,
+      yield: yieldAssessment,
+      notes
+    };
+  }
+
+  // Fetches the lookback period for drought evidence; the report shows the
+  // days either side of the loss date
+  async getLossWeather(fieldDetails, lossDate, eventWindow, today, recorded) {
+    if (!fieldDetails.latitude || !fieldDetails.longitude) return { available: false, days: [] };
+
+    const start = moment.min(lossDate.clone().subtract(LOSS_THRESHOLDS.lookbackDays, 'days'), eventWindow.start);
+    const end = moment.min(moment.max(lossDate.clone().add(LOSS_THRESHOLDS.displayDaysAfter, 'days'), eventWindow.end), today);
+    const observations = await this.weather.getDailyObservations(
+      fieldDetails.latitude,
+      fieldDetails.longitude,
+      start.format('YYYY-MM-DD'),
+      end.format('YYYY-MM-DD')
+    );
+    const observed = observations
+      ? observations.days.filter(day => [day.tempMax, day.tempMin, day.precipitation].some(isNumber))
+      : [];
+    if (observed.length === 0) return { available: false, days: [] };
+
+    const displayFrom = moment.min(lossDate.clone().subtract(LOSS_THRESHOLDS.displayDaysBefore, 'days'), eventWindow.start);
+    const inWindow = day => moment(day.date).isBetween(eventWindow.start, eventWindow.end, 'day', '[]');
+
+    return {
+      available: true,
+      source: observations.source,
+      series: observed,
+      days: observed
+        .filter(day => !moment(day.date).isBefore(displayFrom, 'day'))
+        .map(day => ({ ...day, inEventWindow: inWindow(day), isLossDate: recorded && day.date === lossDate.format('YYYY-MM-DD') }))
+    };
+  }
+
+  checkPeril(key, weather, eventWindow, lossDate, season) {
+    const inWindow = weather.series.filter(day => moment(day.date).isBetween(eventWindow.start, eventWindow.end, 'day', '[]'));
+
+    if (key === 'drought') return this.checkDrought(weather.series, lossDate, season);
+    if (key === 'flood') return this.checkFlood(weather.series, inWindow);
+    return this.checkHail(inWindow);
+  }
+
+  checkDrought(series, lossDate, season) {
+    const lookback = series.filter(day => !moment(day.date).isAfter(lossDate, 'day') && isNumber(day.precipitation));
+    if (lookback.length === 0) return { status: 'no_data', evidence: null };
+
+    let longestDrySpell = 0;
+    let drySpell = 0;
+    lookback.forEach(day => {
+      drySpell = day.precipitation < THRESHOLDS.dryDayRainfall ? drySpell + 1 : 0;
+      longestDrySpell = Math.max(longestDrySpell, drySpell);
+    });
+    const rainfall = round(lookback.reduce((sum, day) => sum + day.precipitation, 0), 1);
+    const seasonDry = Boolean(season && DRIER_THAN_NORMAL.includes(season.rainfallCategory));
+
+    let evidence = `${rainfall}mm of rain in the ${lookback.length} days to ${lossDate.format('MMM D')}, longest dry spell ${longestDrySpell} days`;
+    if (season && season.rainfallCategory) evidence += `; season rainfall ${season.rainfallCategory}`;
+
+    return {
+      status: rainfall <= LOSS_THRESHOLDS.droughtRainfall || longestDrySpell >= THRESHOLDS.drySpellDays || seasonDry ? 'corroborated' : 'not_corroborated',
+      evidence
+    };
+  }
+
+  // Flood damage follows a very wet day or a wet spell ending in the event window
+  checkFlood(series, inWindow) {
+    const wetDays = inWindow.filter(day => isNumber(day.precipitation));
+    if (wetDays.length === 0) return { status: 'no_data', evidence: null };
+
+    const wettest = wetDays.reduce((max, day) => (day.precipitation > max.precipitation ? day : max));
+    const threeDayTotals = wetDays.map(day => {
+      const index = series.findIndex(entry => entry.date === day.date);
+      return round(series.slice(Math.max(index - 2, 0), index + 1).reduce((sum, entry) => sum + (entry.precipitation || 0), 0), 1);
+    });
+    const wettestThreeDays = Math.max(...threeDayTotals);
+
+    return {
+      status: wettest.precipitation >= LOSS_THRESHOLDS.floodDailyRainfall || wettestThreeDays >= LOSS_THRESHOLDS.floodThreeDayRainfall
+        ? 'corroborated'
+        : 'not_corroborated',
+      evidence: `Wettest day ${wettest.precipitation}mm on ${moment(wettest.date).format('MMM D')}, wettest 3 days ${wettestThreeDays}mm`
+    };
+  }
+
+  // Hail is too local for the weather model to rule out; a thunderstorm
+  // without modelled hail leaves the claim for the loss adjuster to confirm
+  checkHail(inWindow) {
+    const coded = inWindow.filter(day => isNumber(day.weatherCode));
+    if (coded.length === 0) return { status: 'no_data', evidence: null };
+
+    const hail = coded.find(day => HAIL_WEATHER_CODES.includes(day.weatherCode));
+    if (hail) {
+      return { status: 'corroborated', evidence: `${hail.description} on ${moment(hail.date).format('MMM D')}` };
+    }
+
+    const storm = coded.find(day => THUNDERSTORM_WEATHER_CODES.includes(day.weatherCode));
+    if (storm) {
+      return { status: 'inconclusive', evidence: `Thunderstorm on ${moment(storm.date).format('MMM D')}, no hail modelled` };
+    }
+
+    return { status: 'not_corroborated', evidence: 'No thunderstorm in the weather record' };
+  }
+
+  // Yields in t/ha. The shortfall against expected yield is the agronomic
+  // loss; an indemnity policy pays on the shortfall below a guaranteed share
+  // of a reference yield, taken from last season where it is recorded.
+  assessYield(fieldDetails) {
+    const expected = toNumber(fieldDetails.expected_yield_per_hectare);
+    const previous = toNumber(fieldDetails.previous_season_yield);
+    const actual = toNumber(fieldDetails.actual_yield_per_hectare);
+    const lossPercentage = toNumber(fieldDetails.loss_percentage);
+    const area = toNumber(fieldDetails.field_size);
+
+    let estimated = null;
+    let estimateBasis = null;
+    if (actual !== null) {
+      estimated = actual;
+      estimateBasis = 'actual';
+    } else if (expected !== null && lossPercentage !== null) {
+      estimated = expected * (1 - lossPercentage / 100);
+      estimateBasis = 'reported_loss';
+    }
+
+    const reference = previous !== null ? previous : expected;
+    const guaranteed = reference !== null ? reference * LOSS_THRESHOLDS.coverageLevel : null;
+    const shortfall = expected !== null && estimated !== null ? Math.max(expected - estimated, 0) : null;
+    const indemnityShortfall = guaranteed !== null && estimated !== null ? Math.max(guaranteed - estimated, 0) : null;
+    const total = value => (value !== null && area !== null ? round(value * area) : null);
+
+    return {
+      expected,
+      previous,
+      actual,
+      estimated: round(estimated),
+      estimateBasis,
+      reference,
+      referenceBasis: previous !== null ? 'previous_season' : expected !== null ? 'expected' : null,
+      coverageLevel: LOSS_THRESHOLDS.coverageLevel,
+      guaranteed: round(guaranteed),
+      shortfall: round(shortfall),
+      shortfallTotal: total(shortfall),
+      indemnityShortfall: round(indemnityShortfall),
+      indemnityShortfallTotal: total(indemnityShortfall),
+      area,
+      optimisticExpectation: expected !== null && previous !== null && previous > 0 && expected > previous * LOSS_THRESHOLDS.optimisticYieldRatio
+    };
+  }
+
+  // Machine-readable claim summary attached for insurers and served by the API
+  buildClaimSummary(assessment, { reportId, fieldDetails, generatedAt = new Date().toISOString() }) {
+    return {
+      schema: 'yieldera.loss-claim/v1',
+      reportId,
+      generatedAt,
+      field: {
+        id: fieldDetails.id,
+        name: fieldDetails.field_name,
+        farmName: fieldDetails.farm_name,
+        farmerName: fieldDetails.farmer_name,
+        cropType: fieldDetails.crop_type,
+        variety: fieldDetails.variety || null,
+        areaHa: toNumber(fieldDetails.field_size),
+        latitude: toNumber(fieldDetails.latitude),
+        longitude: toNumber(fieldDetails.longitude),
+        insuranceProvider: fieldDetails.insurance_provider || null
+      },
+      loss: {
+        occurred: assessment.lossOccurred,
+        percentage: assessment.lossPercentage,
+        date: assessment.lossDate,
+        dateSource: assessment.dateSource,
+        reportedPerils: assessment.perils.filter(peril => peril.reported).map(peril => peril.key)
+      },
+      corroboration: assessment.perils.reduce((result, peril) => ({
+        ...result,
+        [peril.key]: { reported: peril.reported, status: peril.status, evidence: peril.evidence }
+      }), {}),
+      weather: {
+        available: assessment.weather.available,
+        source: assessment.weather.source || null,
+        eventWindow: assessment.eventWindow,
+        days: assessment.weather.days.map(({ date, tempMax, tempMin, precipitation, weatherCode, windGust }) => ({
+          date, tempMax, tempMin, precipitation, weatherCode, windGust
+        }))
+      },
+      yield: {
+        unit: 't/ha',
+        expected: assessment.yield.expected,
+        previousSeason: assessment.yield.previous,
+        actual: assessment.yield.actual,
+        estimated: assessment.yield.estimated,
+        estimateBasis: assessment.yield.estimateBasis,
+        reference: assessment.yield.reference,
+        referenceBasis: assessment.yield.referenceBasis,
+        coverageLevel: assessment.yield.coverageLevel,
+        guaranteed: assessment.yield.guaranteed,
+        shortfall: assessment.yield.shortfall,
+        shortfallTotalTonnes: assessment.yield.shortfallTotal,
+        indemnityShortfall: assessment.yield.indemnityShortfall,
+        indemnityShortfallTotalTonnes: assessment.yield.indemnityShortfallTotal
+      },
+      notes: assessment.notes
+    };
+  }
+}
+
+module.exports = LossAssessmentService;
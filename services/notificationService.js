@@ -0,0 +1,93 @@
+const EmailChannel = require('./channels/emailChannel');
+const SmsChannel = require('./channels/smsChannel');
+const WhatsAppChannel = require('./channels/whatsappChannel');
+const SummaryService = require('./summaryService');
+
+const NO_CONNECTIVITY = ['none', 'no', 'no coverage', 'unavailable', 'not available'];
+const POOR_CONNECTIVITY = ['poor', 'limited', 'weak', 'intermittent', 'unreliable', '2g', 'edge', 'low'];
+
+class NotificationService {
+  constructor(emailService) {
+    this.summary = new SummaryService();
+    this.channels = {
+      email: new EmailChannel(emailService),
+      sms: new SmsChannel(this.summary),
+      whatsapp: new WhatsAppChannel(this.summary)
+    };
+    this.defaultCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '263';
+  }
+
+  // Picks the channels a recipient is reached on. Partners are reached by email;
+  // the field owner also gets a phone summary when they have no email address
+  // or the farm's internet connectivity is too poor to rely on email, and for
+  // `urgent` reports such as weather alerts, which may be read too late by email.
+  selectChannels(recipient, fieldDetails, { urgent = false } = {}) {
+    const channels = [];
+    const phone = this.normalizePhone(recipient.phone);
+    const internet = this.rateConnectivity(fieldDetails.internet_connectivity);
+    const network = this.rateConnectivity(fieldDetails.mobile_network_coverage);
+
+    if (recipient.email) {
+      channels.push('email');
+    }
+
+    if (recipient.role !== 'owner' || !phone || network === 'none') {
+      return channels;
+    }
+
+    if (recipient.email && internet === 'good' && !urgent) {
+      return channels;
+    }
+
+    // WhatsApp needs a data connection; basic phones and poor coverage get SMS
+    const phoneChannel = internet === 'good' && this.channels.whatsapp.isConfigured() ? 'whatsapp' : 'sms';
+    if (this.channels[phoneChannel].isConfigured()) {
+      channels.push(phoneChannel);
+    }
+
+    return channels;
+  }
+
+  rateConnectivity(value) {
+    if (value === null || value === undefined || value === '') return 'unknown';
+
+    const normalized = String(value).trim().toLowerCase();
+    if (NO_CONNECTIVITY.includes(normalized)) return 'none';
+    if (POOR_CONNECTIVITY.some(term => normalized.includes(term))) return 'poor';
+    return 'good';
+  }
+
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    const digits = String(phone).replace(/[^\d+]/g, '');
+    if (digits.startsWith('+')) return digits;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+    if (digits.startsWith('0')) return `+${this.defaultCountryCode}${digits.slice(1)}`;
+    if (digits.startsWith(this.defaultCountryCode)) return `+${digits}`;
+    return digits.length >= 7 ? `+${this.defaultCountryCode}${digits}` : null;
+  }
+
+  getAddress(channelName, recipient) {
+    if (channelName === 'email') return recipient.email;
+    return this.normalizePhone(recipient.phone);
+  }
+
+  async send(channelName, recipient, reportData, options = {}) {
+    const channel = this.channels[channelName];
+    if (!channel) {
+      throw new Error(`Unknown notification channel: ${channelName}`);
+    }
+
+    return channel.send({ ...recipient, phone: this.normalizePhone(recipient.phone) }, reportData, options);
+  }
+
+  getRateLimiterStats() {
+    return [
+      this.channels.sms.limiter.getStats(),
+      this.channels.whatsapp.limiter.getStats()
+    ];
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,305 @@
+const {
+  OPERATIONAL_RISKS,
+  LIKELIHOOD_LABELS,
+  IMPACT_LABELS,
+  RISK_THRESHOLDS,
+  HIGH_VALUE_CROPS,
+  CONDITION_KEYWORDS,
+  POWER_SOURCES,
+  getRiskLevel
+} = require('../config/operationalRisk');
+const { IRRIGATED_METHODS, resolveCropKey, classifyGrowthStage } = require('../config/agronomyRules');
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function clamp(value) {
+  return Math.min(Math.max(Math.round(value), 1), 5);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Fire, theft, flood, power and storage risk for a field and its farm, each
+// rated on a 5x5 likelihood/impact matrix with the recorded data that drove
+// the rating and specific mitigation items.
+class OperationalRiskService {
+  constructor(agronomyEngine) {
+    this.agronomy = agronomyEngine;
+  }
+
+  assess(fieldDetails, { farmFields = [], phenology = null } = {}) {
+    const context = {
+      field: fieldDetails,
+      farmFields: farmFields.length > 0 ? farmFields : [fieldDetails],
+      phase: classifyGrowthStage(fieldDetails.current_growth_stage) || (phenology ? phenology.phase : null),
+      cropKey: resolveCropKey(fieldDetails.crop_type),
+      irrigated: IRRIGATED_METHODS.includes(fieldDetails.irrigation_method_enhanced)
+    };
+
+    const risks = [
+      this.buildRisk('fire', this.assessFire(context)),
+      this.buildRisk('theft', this.assessTheft(context)),
+      this.buildRisk('flood', this.assessFlood(context)),
+      this.buildRisk('power', this.assessPower(context)),
+      this.buildRisk('storage', this.assessStorage(context))
+    ].sort((a, b) => b.rating - a.rating);
+
+    const highest = getRiskLevel(risks[0].rating);
+    const missing = [...new Set(risks.flatMap(risk => risk.missing))];
+
+    return {
+      overallLevel: highest.level,
+      overallLabel: highest.label,
+      counts: risks.reduce((counts, risk) => ({ ...counts, [risk.level]: (counts[risk.level] || 0) + 1 }), {}),
+      risks,
+      matrix: this.buildMatrix(risks),
+      missing
+    };
+  }
+
+  buildRisk(key, { likelihood, impact, drivers, mitigations, missing }) {
+    const definition = OPERATIONAL_RISKS[key];
+    const finalLikelihood = clamp(definition.baseLikelihood + likelihood);
+    const finalImpact = clamp(definition.baseImpact + impact);
+    const rating = finalLikelihood * finalImpact;
+    const level = getRiskLevel(rating);
+
+    return {
+      key,
+      label: definition.label,
+      likelihood: finalLikelihood,
+      likelihoodLabel: LIKELIHOOD_LABELS[finalLikelihood],
+      impact: finalImpact,
+      impactLabel: IMPACT_LABELS[finalImpact],
+      rating,
+      level: level.level,
+      levelLabel: level.label,
+      drivers,
+      mitigations,
+      missing
+    };
+  }
+
+  // Likelihood rows from almost certain down to rare, impact columns from
+  // negligible up to severe
+  buildMatrix(risks) {
+    return [5, 4, 3, 2, 1].map(likelihood => ({
+      likelihood,
+      label: LIKELIHOOD_LABELS[likelihood],
+      cells: [1, 2, 3, 4, 5].map(impact => ({
+        impact,
+        level: getRiskLevel(likelihood * impact).level,
+        risks: risks.filter(risk => risk.likelihood === likelihood && risk.impact === impact).map(risk => risk.label)
+      }))
+    }));
+  }
+
+  assessFire({ field, phase }) {
+    const result = { likelihood: 0, impact: 0, drivers: [], mitigations: [], missing: [] };
+    const condition = this.rateCondition(field.fire_guard_condition);
+
+    if (this.agronomy.isNo(field.fire_guard_present)) {
+      result.likelihood += 2;
+      result.drivers.push('No fire guard around the field');
+      result.mitigations.push(`Cut a fire guard at least ${RISK_THRESHOLDS.fireGuardWidth} m wide around the field and clear it of dry grass before the fire season.`);
+    } else if (this.agronomy.isYes(field.fire_guard_present)) {
+      if (condition === 'poor') {
+        result.likelihood += 1;
+        result.drivers.push(`Fire guard in poor condition (${field.fire_guard_condition})`);
+        result.mitigations.push(`Re-clear the fire guard to its full ${RISK_THRESHOLDS.fireGuardWidth} m width and remove dry vegetation along the field edge.`);
+      } else if (condition === 'good') {
+        result.likelihood -= 1;
+        result.drivers.push('Fire guard in place and maintained');
+      } else {
+        result.drivers.push('Fire guard in place');
+        if (!field.fire_guard_condition) result.missing.push('Fire guard condition');
+      }
+    } else {
+      result.missing.push('Fire guard');
+    }
+
+    if (phase === 'maturity') {
+      result.likelihood += 1;
+      result.impact += 1;
+      result.drivers.push('Crop is drying down at maturity');
+      result.mitigations.push('Harvest as soon as the crop is dry enough and keep fire beaters and water at the field until then.');
+    }
+
+    return result;
+  }
+
+  assessTheft({ field, phase, cropKey }) {
+    const result = { likelihood: 0, impact: 0, drivers: [], mitigations: [], missing: [] };
+    const incidents = toNumber(field.theft_incidents_last_3_years);
+
+    if (incidents !== null) {
+      if (incidents > 0) {
+        result.likelihood += incidents <= 1 ? 1 : incidents <= 3 ? 2 : 3;
+        result.drivers.push(`${incidents} theft incident(s) in the last 3 years`);
+        result.mitigations.push('Report every theft to the police and the insurer; recorded incidents are needed to support a claim.');
+      } else {
+        result.drivers.push('No theft incidents in the last 3 years');
+      }
+    } else if (this.agronomy.isYes(field.theft_history)) {
+      result.likelihood += 2;
+      result.drivers.push('Theft history recorded');
+    } else {
+      result.missing.push('Theft incidents');
+    }
+
+    const fencing = this.rateCondition(field.field_fencing_status);
+    if (fencing === 'poor') {
+      result.likelihood += 1;
+      result.drivers.push(`Fencing: ${field.field_fencing_status}`);
+      result.mitigations.push('Repair or complete the perimeter fence and gates, starting with the sides nearest roads and settlements.');
+    } else if (fencing === 'good') {
+      result.drivers.push(`Fencing: ${field.field_fencing_status}`);
+    } else if (!field.field_fencing_status) {
+      result.missing.push('Field fencing');
+    }
+
+    if (!field.security_measures) {
+      result.missing.push('Security measures');
+    } else if (this.agronomy.rateLevel(field.security_measures) === 'none') {
+      result.likelihood += 1;
+      result.drivers.push('No security measures');
+      result.mitigations.push('Arrange guards or night patrols from grain fill until the crop is harvested and stored.');
+    } else {
+      result.drivers.push(`Security: ${field.security_measures}`);
+      // A sound fence and active security together deter most theft
+      if (fencing === 'good') result.likelihood -= 1;
+    }
+
+    if (['reproductive', 'maturity'].includes(phase)) {
+      result.impact += 1;
+      result.drivers.push('Crop close to harvest is at its most valuable');
+    }
+    if (HIGH_VALUE_CROPS.includes(cropKey)) {
+      result.impact += 1;
+      result.drivers.push(`${field.crop_type} is a high-value crop`);
+    }
+
+    return result;
+  }
+
+  assessFlood({ field, phase }) {
+    const result = { likelihood: 0, impact: 0, drivers: [], mitigations: [], missing: [] };
+    const level = this.agronomy.rateLevel(field.flood_risk_level);
+    // Relative to the base likelihood of 2
+    const likelihood = { none: -1, low: -1, medium: 1, high: 2 };
+
+    if (level === null) {
+      result.missing.push('Flood risk level');
+    } else {
+      result.likelihood += likelihood[level];
+      result.drivers.push(`Flood risk level: ${field.flood_risk_level}`);
+    }
+
+    if (['medium', 'high'].includes(level)) {
+      result.mitigations.push('Clear drains and waterways around the field before the rains and keep inputs and harvested crop off low ground.');
+    }
+    if (level === 'high') {
+      result.mitigations.push('Check that the crop insurance covers flood and agree where stored grain and equipment will be moved when flooding is forecast.');
+    }
+
+    if (phase === 'harvested') {
+      result.impact -= 1;
+      result.drivers.push('Crop already harvested; stored produce and infrastructure remain exposed');
+    }
+
+    return result;
+  }
+
+  assessPower({ field, phase, irrigated }) {
+    const result = { likelihood: 0, impact: 0, drivers: [], mitigations: [], missing: [] };
+    const base = OPERATIONAL_RISKS.power;
+    const sourceText = String(field.power_source || '').toLowerCase();
+    const source = POWER_SOURCES.find(entry => entry.keywords.some(keyword => sourceText.includes(keyword)));
+
+    if (source) {
+      result.likelihood += source.likelihood - base.baseLikelihood;
+      result.drivers.push(`Power from ${source.label}`);
+    } else if (!field.power_source) {
+      result.missing.push('Power source');
+    }
+
+    if (this.agronomy.isYes(field.backup_power_available)) {
+      result.likelihood -= 2;
+      result.drivers.push('Backup power available');
+    } else if (this.agronomy.isNo(field.backup_power_available)) {
+      result.drivers.push('No backup power');
+      if (irrigated) {
+        result.mitigations.push(`Install backup power (generator or solar) for the ${field.irrigation_method_enhanced} pumps, or schedule irrigation around published load-shedding times.`);
+      }
+    } else {
+      result.missing.push('Backup power');
+    }
+
+    // Power only puts the crop at risk where it pumps irrigation water
+    if (!irrigated) {
+      result.impact -= 3;
+      result.drivers.push('Rainfed field; outages only affect farm operations');
+    } else if (phase === 'reproductive') {
+      result.impact += 1;
+      result.drivers.push('Irrigated crop in flowering and grain fill, its most water-sensitive phase');
+    }
+
+    return result;
+  }
+
+  assessStorage({ field, farmFields, phase, cropKey }) {
+    const result = { likelihood: 0, impact: 0, drivers: [], mitigations: [], missing: [] };
+    const production = round(farmFields.reduce((sum, farmField) => {
+      const yieldPerHectare = toNumber(farmField.actual_yield_per_hectare) ?? toNumber(farmField.expected_yield_per_hectare);
+      const area = toNumber(farmField.field_size);
+      return sum + (yieldPerHectare !== null && area !== null ? yieldPerHectare * area : 0);
+    }, 0));
+    const capacity = toNumber(field.storage_capacity_tons);
+
+    if (this.agronomy.isNo(field.storage_facilities_present)) {
+      result.likelihood += 2;
+      result.drivers.push('No storage facilities on the farm');
+      result.mitigations.push('Arrange storage before harvest: hermetic bags, hired warehouse space or a forward sale so the crop leaves the field directly.');
+    } else if (capacity !== null && production > 0) {
+      const ratio = capacity / production;
+      if (ratio >= 1) {
+        result.likelihood -= 1;
+        result.drivers.push(`Storage of ${capacity} t covers the expected production of ${production} t`);
+      } else {
+        result.likelihood += ratio >= RISK_THRESHOLDS.storageShortfallRatio ? 1 : 2;
+        result.drivers.push(`Storage of ${capacity} t covers ${Math.round(ratio * 100)}% of the expected production of ${production} t`);
+        result.mitigations.push(`Secure another ${round(production - capacity)} t of storage, or arrange to sell that share at harvest, before the crop is cut.`);
+      }
+    } else {
+      if (capacity === null) result.missing.push('Storage capacity');
+      if (production === 0) result.missing.push('Expected yield');
+    }
+
+    if (['maturity', 'harvested'].includes(phase)) {
+      result.impact += 1;
+      result.drivers.push(phase === 'harvested' ? 'Crop harvested and in storage' : 'Harvest is approaching');
+    }
+
+    if (result.likelihood > 0 && !['tobacco', 'cotton'].includes(cropKey)) {
+      result.mitigations.push('Treat stores against weevils and grain borers and use hermetic bags to keep post-harvest losses down.');
+    }
+
+    return result;
+  }
+
+  rateCondition(value) {
+    if (!value) return null;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (CONDITION_KEYWORDS.poor.some(keyword => normalized.includes(keyword))) return 'poor';
+    if (CONDITION_KEYWORDS.good.some(keyword => normalized.includes(keyword))) return 'good';
+    return null;
+  }
+}
+
+module.exports = OperationalRiskService;
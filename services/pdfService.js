@@ -0,0 +1,683 @@
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  primary: '#012E37',
+  accent: '#B6BF00',
+  text: '#333333',
+  muted: '#666666',
+  border: '#E9ECEF',
+  stripe: '#F8F9FA',
+  warning: '#856404'
+};
+
+const RISK_COLORS = {
+  low: '#D4EDDA',
+  medium: '#FFF3CD',
+  high: '#FFE0B2',
+  critical: '#F8D7DA'
+};
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 40;
+
+class PdfService {
+  renderReport(data) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+          bufferPages: true,
+          info: {
+            Title: `${this.getTitle(data)} ${data.reportId}`,
+            Author: 'Yieldera Agricultural Intelligence',
+            Subject: `${data.reportType} - ${data.farmName}`
+          }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.drawHeader(doc, data);
+        this.drawOverview(doc, data);
+        if (this.showSection(data, 'lossAssessment')) this.drawLossAssessment(doc, data.lossAssessment);
+        if (this.showSection(data, 'fieldDetails')) this.drawFieldDetails(doc, data);
+        if (this.showSection(data, 'stakeholderData')) this.drawStakeholderData(doc, data);
+        if (this.showSection(data, 'creditScorecard')) this.drawCreditScorecard(doc, data.creditScore);
+        if (this.showSection(data, 'indexInsurance')) this.drawIndexInsurance(doc, data.indexInsurance);
+        if (this.showSection(data, 'weatherAlerts')) this.drawWeatherAlerts(doc, data);
+        if (this.showSection(data, 'weather')) this.drawWeather(doc, data);
+        if (this.showSection(data, 'waterBalance')) this.drawWaterBalance(doc, data.waterBalance);
+        if (this.showSection(data, 'yieldForecast')) this.drawYieldForecast(doc, data.yieldForecast);
+        if (this.showSection(data, 'operationalRisk')) this.drawOperationalRisk(doc, data.operationalRisk);
+        if (this.showSection(data, 'cropAnalysis')) this.drawCropAnalysis(doc, data);
+        if (this.showSection(data, 'aiAnalysis')) this.drawEngineAnalysis(doc, data.aiAnalysis);
+        if (this.showSection(data, 'weatherRecommendations')) this.drawWeatherRecommendations(doc, data);
+        if (this.showSection(data, 'aiRecommendations')) this.drawEngineRecommendations(doc, data.recommendationsTitle || 'Strategic Recommendations', data.aiRecommendations);
+        this.drawSignature(doc, data);
+        this.drawFooters(doc, data);
+
+        doc.end();
+      } catch (error) {
+        reject(new Error(`Failed to render PDF report: ${error.message}`));
+      }
+    });
+  }
+
+  drawHeader(doc, data) {
+    const width = doc.page.width;
+
+    doc.save();
+    doc.rect(0, 0, width, 110).fill(COLORS.primary);
+    doc.rect(0, 110, width, 4).fill(COLORS.accent);
+    doc.restore();
+
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(22)
+      .text(this.getTitle(data), PAGE_MARGIN, 35, { width: width - PAGE_MARGIN * 2 });
+    doc.fillColor(COLORS.accent).font('Helvetica').fontSize(11)
+      .text(`${data.reportType} | ${data.farmName} | ${data.generatedDate}`, PAGE_MARGIN, 68, { width: width - PAGE_MARGIN * 2 });
+
+    doc.fillColor(COLORS.text);
+    doc.y = 135;
+    doc.x = PAGE_MARGIN;
+  }
+
+  getTitle(data) {
+    return data.template === 'loss' ? 'Yieldera Loss Assessment' : 'Yieldera Field Report';
+  }
+
+  drawOverview(doc, data) {
+    this.drawSectionHeading(doc, 'Field Overview');
+    this.drawKeyValueRows(doc, [
+      ['Prepared for', data.recipientName],
+      ['Farm', `${data.farmName}${data.farmerName ? ` (${data.farmerName})` : ''}`],
+      ['Assessment Date', data.assessmentDate],
+      ['Assessment Reason', data.assessmentTrigger],
+      ['Report ID', data.reportId]
+    ]);
+  }
+
+  drawFieldDetails(doc, data) {
+    const field = data.triggerField || {};
+
+    this.drawSectionHeading(doc, `${field.field_name || 'Field'} Details`);
+    this.drawKeyValueRows(doc, [
+      ['Crop & Variety', `${field.crop_type || 'Not specified'}${field.variety ? ` (${field.variety})` : ''}`],
+      ['Field Size', `${field.field_size} hectares`],
+      ['GPS Coordinates', field.latitude ? `${field.latitude}, ${field.longitude}` : null],
+      ['GPS Accuracy', field.accuracy ? `${field.accuracy}m` : null],
+      ['Soil Type', field.soil_type],
+      ['Planting Date', field.planting_date],
+      ['Expected Harvest', field.expected_harvest_date],
+      ['Growth Stage', this.formatGrowthStage(field, data.growthStage)],
+      ['Next Stage', data.growthStage && data.growthStage.nextStage ? `${data.growthStage.nextStage} (around ${data.growthStage.nextStageDate})` : null],
+      ['Irrigation', field.irrigation_method_enhanced || 'Not specified']
+    ]);
+  }
+
+  formatGrowthStage(field, growthStage) {
+    if (field.current_growth_stage) {
+      return growthStage && growthStage.mismatch
+        ? `${field.current_growth_stage} (${growthStage.method} suggest ${growthStage.stage} - please verify)`
+        : field.current_growth_stage;
+    }
+    if (growthStage) return `${growthStage.stage} (estimated from ${growthStage.method})`;
+    return 'Not captured during visit';
+  }
+
+  drawStakeholderData(doc, data) {
+    if (!data.stakeholderData) return;
+
+    this.drawSectionHeading(doc, data.stakeholderData.title);
+    this.drawKeyValueRows(doc, data.stakeholderData.items.map(item => [item.label, item.value]));
+  }
+
+  drawCreditScorecard(doc, scorecard) {
+    if (!scorecard) return;
+
+    this.drawSectionHeading(doc, 'Credit Risk Scorecard');
+    this.drawCallout(doc,
+      `Grade ${scorecard.grade} (${scorecard.gradeLabel}): ${scorecard.score} of 100 points. Financial ${scorecard.financial.points} of ${scorecard.financial.maxPoints}, agronomic ${scorecard.agronomic.points} of ${scorecard.agronomic.maxPoints}.`,
+      scorecard.lowGrade
+    );
+    this.drawTable(doc,
+      ['Factor', 'Recorded', 'Points', 'Impact'],
+      scorecard.factors.map(factor => [
+        factor.label,
+        factor.missing ? 'Not captured' : factor.value,
+        `${factor.points} / ${factor.maxPoints}`,
+        factor.impactLabel
+      ]),
+      [150, 175, 90, 80]
+    );
+    this.drawCallout(doc, `Impact is the factor's points above or below half its maximum. Factors without data score half their points. Scorecard ${scorecard.version}.`, false);
+  }
+
+  drawIndexInsurance(doc, policies) {
+    if (!policies || policies.length === 0) return;
+
+    this.drawSectionHeading(doc, 'Weather Index Cover');
+    policies.forEach(policy => {
+      this.drawSubheading(doc, policy.productName);
+      this.drawCallout(doc,
+        `${policy.statusLabel}: ${policy.payoutPercent}% payout earned, ${policy.projectedPayoutPercent}% projected for the season${policy.payoutAmount ? ` (${policy.currency} ${policy.payoutAmount} earned)` : ''}${policy.dataThrough ? `. Weather through ${policy.dataThrough}` : ''}.`,
+        policy.payoutPercent > 0
+      );
+
+      if (policy.rows.length > 0) {
+        this.drawTable(doc,
+          ['Phase', 'Cover', 'To Date', 'Projected', 'Trigger - Exit', 'Payout'],
+          policy.rows.map(row => [row.phase, row.cover, row.value, row.projected, row.range, `${row.statusLabel}, ${row.payout}`]),
+          [110, 75, 60, 60, 80, 110]
+        );
+      }
+    });
+  }
+
+  drawWeatherAlerts(doc, data) {
+    if (!data.weatherAlerts) return;
+
+    this.drawSectionHeading(doc, 'Weather Alert');
+    data.weatherAlerts.forEach(alert => {
+      this.drawCallout(doc, `${alert.severityLabel}: ${alert.message}.${alert.action ? ` ${alert.action}` : ''}`, true);
+    });
+
+    const forecast = data.weather && data.weather.current ? data.weather.current.forecast : null;
+    if (forecast && forecast.length > 0) {
+      this.drawSubheading(doc, 'Next 7 Days Forecast');
+      this.drawTable(doc,
+        ['Date', 'Max (°C)', 'Min (°C)', 'Rain (mm)', 'Gusts (km/h)', 'Conditions'],
+        forecast.map(day => [day.date, day.tempMax, day.tempMin, day.precipitation, day.windGust, day.description]),
+        [65, 60, 60, 65, 70, 175]
+      );
+    }
+  }
+
+  // Claim evidence: reported loss, perils against the weather record and the yield shortfall
+  drawLossAssessment(doc, assessment) {
+    if (!assessment) return;
+
+    this.drawSectionHeading(doc, 'Loss Assessment');
+    this.drawKeyValueRows(doc, [
+      ['Reported Loss', assessment.lossPercentage ? `${assessment.lossPercentage}%` : 'Not quantified'],
+      [assessment.dateRecorded ? 'Loss Date' : 'Loss Reported', assessment.lossDate],
+      ['Reported Cause', assessment.reportedPerils.length > 0 ? assessment.reportedPerils.join(', ') : 'Not specified'],
+      ['Weather Checked', assessment.eventWindow]
+    ]);
+
+    this.drawSubheading(doc, 'Damage Against the Weather Record');
+    this.drawTable(doc,
+      ['Peril', 'Reported', 'Weather Record', 'Evidence'],
+      assessment.perils.map(peril => [peril.label, peril.reported ? 'Yes' : 'No', peril.statusLabel, peril.evidence]),
+      [60, 55, 130, 250]
+    );
+
+    if (assessment.weather.days.length > 0) {
+      this.drawSubheading(doc, 'Weather Around the Loss Date');
+      this.drawTable(doc,
+        ['Date', 'Max (°C)', 'Min (°C)', 'Rain (mm)', 'Gusts (km/h)', 'Conditions'],
+        assessment.weather.days.map(day => [
+          `${day.date}${day.isLossDate ? ' *' : ''}${day.inEventWindow ? ' (checked)' : ''}`,
+          day.tempMax, day.tempMin, day.precipitation, day.windGust, day.description
+        ]),
+        [95, 55, 55, 60, 65, 165]
+      );
+    }
+
+    const yieldAssessment = assessment.yield;
+    const tonnes = (perHectare, total) => (perHectare === null ? null : `${perHectare} t/ha${total !== null ? ` (${total} t over the field)` : ''}`);
+    this.drawSubheading(doc, 'Yield Shortfall');
+    this.drawKeyValueRows(doc, [
+      ['Expected Yield', yieldAssessment.expected !== null ? `${yieldAssessment.expected} t/ha` : 'Not recorded'],
+      ['Previous Season', yieldAssessment.previous !== null ? `${yieldAssessment.previous} t/ha` : 'Not recorded'],
+      [yieldAssessment.measured ? 'Actual Yield' : 'Estimated Yield', yieldAssessment.estimated !== null ? `${yieldAssessment.estimated} t/ha` : null],
+      ['Shortfall vs Expected', tonnes(yieldAssessment.shortfall, yieldAssessment.shortfallTotal)],
+      ['Guaranteed Yield', yieldAssessment.guaranteed !== null ? `${yieldAssessment.guaranteed} t/ha (${yieldAssessment.coveragePercent}% of ${yieldAssessment.referenceLabel.toLowerCase()})` : null],
+      ['Indemnity Shortfall', tonnes(yieldAssessment.indemnityShortfall, yieldAssessment.indemnityShortfallTotal)]
+    ]);
+
+    assessment.notes.forEach(note => this.drawCallout(doc, note, false));
+  }
+
+  drawWeather(doc, data) {
+    const weather = data.weather;
+    if (!weather) return;
+
+    this.drawSectionHeading(doc, 'Weather Analysis');
+
+    (data.weatherNotices || []).forEach(notice => this.drawCallout(doc, notice, true));
+
+    if (weather.historical && weather.historical.length > 0) {
+      this.drawSubheading(doc, 'Past 7 Days Weather');
+      this.drawTable(doc,
+        ['Date', 'Max (°C)', 'Min (°C)', 'Rain (mm)', 'Conditions'],
+        weather.historical.map(day => [day.date, day.tempMax, day.tempMin, day.precipitation, day.description]),
+        [70, 70, 70, 70, 215]
+      );
+    }
+
+    if (weather.current && weather.current.forecast && weather.current.forecast.length > 0) {
+      this.drawSubheading(doc, 'Next 7 Days Forecast');
+      this.drawTable(doc,
+        ['Date', 'Max (°C)', 'Min (°C)', 'Rain (mm)', 'Wind (km/h)', 'Conditions'],
+        weather.current.forecast.map(day => [day.date, day.tempMax, day.tempMin, day.precipitation, day.windSpeed, day.description]),
+        [65, 60, 60, 65, 70, 175]
+      );
+    }
+
+    if (data.season) this.drawSeason(doc, data.season);
+
+    const insights = weather.agronomicInsights ? weather.agronomicInsights.insights : [];
+    if (insights && insights.length > 0) {
+      this.drawSubheading(doc, 'Weather Alerts');
+      insights.forEach(insight => {
+        this.drawCallout(doc, `${this.capitalize(insight.category)}: ${insight.message}`, insight.type === 'warning');
+      });
+    }
+  }
+
+  drawSeason(doc, season) {
+    const normal = (key) => (season.climatology ? season.climatology[key] : '-');
+
+    this.drawSubheading(doc, `Season to Date (${season.start} - ${season.dataThrough})`);
+    this.drawTable(doc,
+      ['Measure', 'This Season', season.climatology ? `${season.climatology.years}-Year Normal` : 'Normal'],
+      [
+        ['Rainfall (mm)', `${season.rainfall}${season.rainfallCategory ? ` (${season.rainfallPercentOfNormal}% of normal, ${season.rainfallCategory})` : ''}`, normal('rainfall')],
+        ['Rain days', `${season.rainyDays} of ${season.days}`, normal('rainyDays')],
+        ['Longest dry spell (days)', `${season.longestDrySpell}${season.currentDrySpell ? ` (${season.currentDrySpell} days and counting)` : ''}`, normal('longestDrySpell')],
+        [`Heat stress days (>= ${season.thresholds.heatStressTemp}°C)`, season.heatStressDays, normal('heatStressDays')],
+        [`Frost days (<= ${season.thresholds.frostTemp}°C)`, season.frostDays, normal('frostDays')]
+      ],
+      [165, 215, 115]
+    );
+
+    if (season.sensitive) {
+      const sensitive = season.sensitive;
+      this.drawCallout(doc, `Flowering and grain fill: ${sensitive.days} days so far, ${sensitive.rainfall}mm of rain, longest dry spell ${sensitive.longestDrySpell} days, ${sensitive.heatStressDays} heat stress days, ${sensitive.frostDays} frost days.`, false);
+    }
+  }
+
+  drawWaterBalance(doc, balance) {
+    if (!balance || (!balance.irrigation && !balance.status)) return;
+
+    const rootZone = `${balance.rootDepth}m of ${balance.soil}${balance.soilAssumed ? ' (assumed)' : ''}`;
+
+    if (balance.irrigation) {
+      this.drawSectionHeading(doc, 'Irrigation Schedule');
+      this.drawKeyValueRows(doc, [
+        ['Crop Water Use (7 days)', `${balance.etcNext7Days}mm (forecast rain ${balance.rainNext7Days}mm)`],
+        ['Root Zone', `${rootZone}, ${balance.readilyAvailableWater}mm readily available`],
+        ['Typical Cycle', `${balance.applicationGrossMm}mm (${balance.applicationVolumeM3} m³) every ${balance.intervalDays} days with ${balance.method}`]
+      ]);
+
+      if (balance.schedule.length > 0) {
+        this.drawTable(doc,
+          ['Date', 'Net (mm)', 'Gross (mm)', 'Volume (m³)'],
+          balance.schedule.map(event => [event.date, event.netMm, event.grossMm, event.volumeM3]),
+          [135, 120, 120, 120]
+        );
+      } else if (balance.depletionAssumed) {
+        this.drawCallout(doc, 'The current soil water deficit is unknown: there is no soil moisture reading or weather record since planting for this field. Check soil moisture before deciding whether to irrigate this week.', true);
+      } else {
+        this.drawCallout(doc, 'No irrigation is needed in the next 7 days.', false);
+      }
+
+      if (balance.depletionAssumed) {
+        this.drawCallout(doc, 'The schedule assumes the root zone is full today; check soil moisture before the first application.', false);
+      } else if (balance.depletionFromSoilMoisture) {
+        this.drawCallout(doc, `The schedule starts from a root zone deficit of ${balance.depletion}mm (${balance.deficitPercent}%) from modelled soil moisture.`, false);
+      } else {
+        this.drawCallout(doc, `The schedule starts from a root zone deficit of ${balance.depletion}mm (${balance.deficitPercent}%) from a water balance since planting, which does not include irrigation already applied; check soil moisture before the first application.`, false);
+      }
+      return;
+    }
+
+    this.drawSectionHeading(doc, 'Soil Water');
+    this.drawKeyValueRows(doc, [
+      ['Root Zone Deficit', `${balance.deficitPercent}% of available water (${balance.status})`],
+      ['In 7 Days', `${balance.projectedDeficitPercent}% (${balance.projectedStatus})`],
+      ['Crop Water Use (7 days)', `${balance.etcNext7Days}mm (forecast rain ${balance.rainNext7Days}mm)`],
+      ['Root Zone', `${rootZone}, stress beyond ${balance.readilyAvailableWater}mm`]
+    ]);
+  }
+
+  drawYieldForecast(doc, forecast) {
+    if (!forecast) return;
+
+    const total = value => (value !== null ? ` (${value} t)` : '');
+    const recorded = value => (value !== null ? `${value} t/ha` : 'Not captured');
+
+    this.drawSectionHeading(doc, 'Yield Forecast');
+    this.drawKeyValueRows(doc, forecast.measured
+      ? [
+        ['Harvested Yield', `${forecast.forecast} t/ha${total(forecast.forecastTotal)}`],
+        ["Farmer's Expectation", recorded(forecast.expected)],
+        ['Previous Season', recorded(forecast.previous)]
+      ]
+      : [
+        ['Forecast', `${forecast.forecast} t/ha${total(forecast.forecastTotal)}`],
+        ['Range', `${forecast.low} - ${forecast.high} t/ha${forecast.lowTotal !== null ? ` (${forecast.lowTotal} - ${forecast.highTotal} t)` : ''}`],
+        ['Confidence', `${forecast.confidenceLabel} (±${forecast.bandPercent}%)`],
+        ['Baseline', `${forecast.baseline} t/ha (${forecast.basisLabel})`],
+        ["Farmer's Expectation", recorded(forecast.expected)],
+        ['Previous Season', recorded(forecast.previous)]
+      ]);
+
+    if (forecast.factors.length > 0) {
+      this.drawTable(doc,
+        ['Factor', 'Effect on Yield'],
+        forecast.factors.map(factor => [factor.label, `${factor.effect}%`]),
+        [380, 115]
+      );
+    }
+    forecast.notes.forEach(note => this.drawCallout(doc, note, false));
+  }
+
+  drawOperationalRisk(doc, profile) {
+    if (!profile) return;
+
+    this.drawSectionHeading(doc, 'Operational Risk');
+    this.drawRiskMatrix(doc, profile.matrix);
+    this.drawTable(doc,
+      ['Risk', 'Likelihood', 'Impact', 'Level', 'Drivers'],
+      profile.risks.map(risk => [risk.label, risk.likelihoodLabel, risk.impactLabel, risk.levelLabel, risk.drivers.join('; ') || '-']),
+      [80, 70, 70, 60, 215]
+    );
+
+    profile.risks.filter(risk => risk.mitigations.length > 0).forEach(risk => {
+      this.drawSubheading(doc, `${risk.label} (${risk.levelLabel})`);
+      risk.mitigations.forEach(item => this.drawCallout(doc, item, ['high', 'critical'].includes(risk.level)));
+    });
+
+    if (profile.missing.length > 0) {
+      this.drawCallout(doc, `Not captured at the field visit: ${profile.missing.join(', ')}. These risks are rated from their typical levels.`, false);
+    }
+  }
+
+  // Likelihood rows against impact columns, each cell shaded by its risk level
+  drawRiskMatrix(doc, matrix) {
+    const labelWidth = 95;
+    const cellWidth = 80;
+    const headers = ['Likelihood / Impact', 'Negligible', 'Minor', 'Moderate', 'Major', 'Severe'];
+
+    const drawRow = (cells, fills, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+      const widths = [labelWidth, ...cells.slice(1).map(() => cellWidth)];
+      const height = Math.max(24, ...cells.map((cell, i) => doc.heightOfString(cell || ' ', { width: widths[i] - 8 }) + 10));
+      this.ensureSpace(doc, height);
+
+      const y = doc.y;
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, i) => {
+        doc.save();
+        doc.rect(x, y, widths[i], height).fillAndStroke(fills[i], '#FFFFFF');
+        doc.restore();
+        doc.fillColor(fills[i] === COLORS.primary ? COLORS.accent : COLORS.text)
+          .text(cell, x + 4, y + 5, { width: widths[i] - 8, align: 'center' });
+        x += widths[i];
+      });
+      doc.y = y + height;
+    };
+
+    drawRow(headers, headers.map(() => COLORS.primary), true);
+    matrix.forEach(row => drawRow(
+      [row.label, ...row.cells.map(cell => cell.risks.join('\n'))],
+      [COLORS.stripe, ...row.cells.map(cell => RISK_COLORS[cell.level])],
+      false
+    ));
+    doc.moveDown(0.5);
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawCropAnalysis(doc, data) {
+    if (!data.cropAnalysis || data.cropAnalysis.length === 0) return;
+
+    this.drawSectionHeading(doc, 'Farm Crops');
+    this.drawTable(doc,
+      ['Crop', 'Fields', 'Area (ha)', 'Varieties', 'Planting Dates', 'Losses'],
+      data.cropAnalysis.map(crop => [
+        crop.crop_type,
+        crop.field_count,
+        crop.total_area,
+        crop.varieties,
+        crop.earliest_planting ? `${crop.earliest_planting} to ${crop.latest_planting}` : '-',
+        crop.fields_with_losses > 0 ? `${crop.fields_with_losses} of ${crop.field_count}` : 'None'
+      ]),
+      [70, 45, 60, 130, 110, 80]
+    );
+  }
+
+  drawEngineAnalysis(doc, analysis) {
+    if (!analysis) return;
+
+    this.drawSectionHeading(doc, 'Yieldera Field Analysis');
+    this.drawParagraphs(doc, [analysis.summary, ...(analysis.details || [])]);
+
+    if (analysis.risks && analysis.risks.length > 0) {
+      this.drawSubheading(doc, 'Key Risks');
+      analysis.risks.forEach(risk => {
+        this.drawCallout(doc, `${risk.title} (${risk.severityLabel})${risk.detail ? `: ${risk.detail}` : ''}`, ['high', 'critical'].includes(risk.severity));
+      });
+    }
+
+    this.drawDataGaps(doc, analysis.dataGaps);
+  }
+
+  drawEngineRecommendations(doc, title, recommendations) {
+    if (!recommendations) return;
+
+    this.drawSectionHeading(doc, title);
+    if (recommendations.summary) this.drawParagraphs(doc, [recommendations.summary]);
+
+    (recommendations.recommendations || []).forEach((item, index) => {
+      this.ensureSpace(doc, 45);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary)
+        .text(`${index + 1}. ${item.title}`, PAGE_MARGIN, doc.y, { width: this.contentWidth(doc) });
+      doc.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted)
+        .text([item.urgencyLabel, item.timeframe, item.costLabel].filter(Boolean).join(' | '), { width: this.contentWidth(doc) });
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+        .text(item.action, { width: this.contentWidth(doc), lineGap: 2 });
+      if (item.ruleConflict) {
+        doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.warning)
+          .text(`Agronomy check: ${item.ruleConflict.message}`, { width: this.contentWidth(doc) });
+        doc.fillColor(COLORS.text);
+      }
+      doc.moveDown(0.6);
+    });
+
+    this.drawDataGaps(doc, recommendations.dataGaps);
+  }
+
+  drawDataGaps(doc, dataGaps) {
+    if (!dataGaps || dataGaps.length === 0) return;
+    this.drawCallout(doc, `Data gaps: ${dataGaps.join('; ')}`, false);
+  }
+
+  drawParagraphs(doc, paragraphs) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    paragraphs.filter(Boolean).forEach(paragraph => {
+      this.ensureSpace(doc, 30);
+      doc.text(paragraph, PAGE_MARGIN, doc.y, { width: this.contentWidth(doc), lineGap: 2 });
+      doc.moveDown(0.6);
+    });
+  }
+
+  drawWeatherRecommendations(doc, data) {
+    const recommendations = data.weather && data.weather.agronomicInsights
+      ? data.weather.agronomicInsights.recommendations
+      : [];
+    if (!recommendations || recommendations.length === 0) return;
+
+    this.drawSectionHeading(doc, 'Weather-Based Recommendations');
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    recommendations.forEach(recommendation => {
+      this.ensureSpace(doc, 20);
+      doc.text(`•  ${recommendation}`, PAGE_MARGIN + 5, doc.y, { width: this.contentWidth(doc) - 5, lineGap: 2 });
+      doc.moveDown(0.3);
+    });
+  }
+
+  drawSignature(doc, data) {
+    this.ensureSpace(doc, 70);
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.primary)
+      .text('Report by Yieldera Agricultural Intelligence', PAGE_MARGIN, doc.y, { width: this.contentWidth(doc), align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text('Combining field observations, weather data, and agricultural intelligence for all stakeholders.', { width: this.contentWidth(doc), align: 'center' })
+      .text(`Generated ${data.generatedDate} | Report ${data.reportId}`, { width: this.contentWidth(doc), align: 'center' });
+  }
+
+  drawFooters(doc, data) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.height - PAGE_MARGIN - 10;
+
+      // Writing below the bottom margin would otherwise trigger a new page
+      const originalMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc.save();
+      doc.moveTo(PAGE_MARGIN, bottom - 8).lineTo(doc.page.width - PAGE_MARGIN, bottom - 8)
+        .lineWidth(0.5).strokeColor(COLORS.accent).stroke();
+      doc.restore();
+
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`Yieldera - Empowering Agriculture Through Data | Report ${data.reportId}`, PAGE_MARGIN, bottom, { width: this.contentWidth(doc), align: 'left', lineBreak: false })
+        .text(`Page ${i - range.start + 1} of ${range.count}`, PAGE_MARGIN, bottom, { width: this.contentWidth(doc), align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = originalMargin;
+    }
+  }
+
+  drawSectionHeading(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+
+    const y = doc.y;
+    doc.save();
+    doc.rect(PAGE_MARGIN, y, 4, 16).fill(COLORS.accent);
+    doc.restore();
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.primary)
+      .text(title, PAGE_MARGIN + 12, y + 1, { width: this.contentWidth(doc) - 12 });
+    doc.moveDown(0.5);
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawSubheading(doc, title) {
+    this.ensureSpace(doc, 50);
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.primary)
+      .text(title, PAGE_MARGIN, doc.y, { width: this.contentWidth(doc) });
+    doc.moveDown(0.3);
+  }
+
+  drawKeyValueRows(doc, rows) {
+    const labelWidth = 130;
+    const valueWidth = this.contentWidth(doc) - labelWidth;
+
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      this.ensureSpace(doc, 18);
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(label, PAGE_MARGIN, y, { width: labelWidth });
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.primary)
+        .text(String(value), PAGE_MARGIN + labelWidth, y, { width: valueWidth });
+      doc.y = Math.max(doc.y, y + 14) + 3;
+    });
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawTable(doc, headers, rows, widths) {
+    const rowPadding = 5;
+
+    const drawRow = (cells, isHeader, striped) => {
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(isHeader ? 9 : 8.5);
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? '-'), { width: widths[i] - rowPadding * 2 }))) + rowPadding * 2;
+
+      if (this.ensureSpace(doc, height) && !isHeader) {
+        drawRow(headers, true, false);
+      }
+
+      const y = doc.y;
+      const totalWidth = widths.reduce((sum, w) => sum + w, 0);
+
+      doc.save();
+      if (isHeader) {
+        doc.rect(PAGE_MARGIN, y, totalWidth, height).fill(COLORS.primary);
+      } else if (striped) {
+        doc.rect(PAGE_MARGIN, y, totalWidth, height).fill(COLORS.stripe);
+      }
+      doc.restore();
+
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, i) => {
+        doc.fillColor(isHeader ? COLORS.accent : COLORS.text)
+          .text(String(cell ?? '-'), x + rowPadding, y + rowPadding, { width: widths[i] - rowPadding * 2, align: 'center' });
+        x += widths[i];
+      });
+
+      doc.save();
+      doc.moveTo(PAGE_MARGIN, y + height).lineTo(PAGE_MARGIN + totalWidth, y + height)
+        .lineWidth(0.5).strokeColor(COLORS.border).stroke();
+      doc.restore();
+
+      doc.y = y + height;
+    };
+
+    drawRow(headers, true, false);
+    rows.forEach((row, index) => drawRow(row, false, index % 2 === 1));
+    doc.moveDown(0.5);
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawCallout(doc, message, isWarning) {
+    doc.font('Helvetica').fontSize(9);
+    const width = this.contentWidth(doc) - 20;
+    const height = doc.heightOfString(message, { width }) + 14;
+    this.ensureSpace(doc, height + 6);
+
+    const y = doc.y;
+    doc.save();
+    doc.rect(PAGE_MARGIN, y, this.contentWidth(doc), height).fill(isWarning ? '#FFF3CD' : '#E6EBEC');
+    doc.rect(PAGE_MARGIN, y, 3, height).fill(isWarning ? '#FFC107' : COLORS.primary);
+    doc.restore();
+
+    doc.fillColor(isWarning ? COLORS.warning : COLORS.primary)
+      .text(message, PAGE_MARGIN + 12, y + 7, { width });
+    doc.y = y + height + 6;
+    doc.x = PAGE_MARGIN;
+  }
+
+  showSection(data, key) {
+    // Reports rendered before stakeholder profiles existed carry no section map
+    return !data.sections || data.sections[key] !== false;
+  }
+
+  // Adds a page when the remaining space is too small; returns true if it did
+  ensureSpace(doc, height) {
+    const limit = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height > limit) {
+      doc.addPage();
+      doc.x = PAGE_MARGIN;
+      return true;
+    }
+    return false;
+  }
+
+  contentWidth(doc) {
+    return doc.page.width - PAGE_MARGIN * 2;
+  }
+
+  capitalize(value) {
+    if (!value) return '';
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+}
+
+module.exports = PdfService;
@@ -0,0 +1,146 @@
+const moment = require('moment');
+const {
+  CROP_CALENDARS,
+  PHENOLOGY,
+  PHASE_LABELS,
+  resolveCropKey,
+  classifyGrowthStage,
+  getVarietyFactor
+} = require('../config/agronomyRules');
+
+// Estimates a field's growth stage from growing degree days (GDD) accumulated
+// since planting. Falls back to the crop calendar (days since planting) when
+// the field has no coordinates or the weather archive is unavailable.
+class PhenologyService {
+  constructor(weatherService) {
+    this.weather = weatherService;
+    // Recent days used to project GDD forward for missing days and the next stage
+    this.projectionDays = parseInt(process.env.PHENOLOGY_PROJECTION_DAYS) || 14;
+  }
+
+  // `series` is the daily weather since planting when the caller already has
+  // it; otherwise it is fetched here
+  async estimate(fieldDetails, { series, now = new Date() } = {}) {
+    if (!fieldDetails || !fieldDetails.planting_date || !moment(fieldDetails.planting_date).isValid()) {
+      return null;
+    }
+
+    const today = moment(now).startOf('day');
+    const plantingDate = moment(fieldDetails.planting_date).startOf('day');
+    const daysSincePlanting = today.diff(plantingDate, 'days');
+    if (daysSincePlanting < 0) return null;
+
+    const cropKey = resolveCropKey(fieldDetails.crop_type);
+    const { model, factor, stages } = this.getModel(fieldDetails);
+
+    const days = series !== undefined ? series : await this.fetchSeries(fieldDetails, plantingDate, today);
+    const accumulated = this.accumulateGdd(days, model, plantingDate, today);
+    const calendarRate = stages[stages.length - 1].gdd / CROP_CALENDARS[cropKey].daysToMaturity;
+    const gdd = accumulated ? accumulated.gdd : daysSincePlanting * calendarRate;
+    const dailyRate = accumulated && accumulated.dailyRate > 0 ? accumulated.dailyRate : calendarRate;
+
+    const reachedIndex = stages.reduce((found, stage, index) => (gdd >= stage.gdd ? index : found), -1);
+    const current = reachedIndex >= 0 ? stages[reachedIndex] : { name: 'Planted, not yet emerged', phase: 'establishment' };
+    const next = stages[reachedIndex + 1] || null;
+
+    const observedStage = fieldDetails.current_growth_stage || null;
+    const observedPhase = classifyGrowthStage(observedStage);
+    const mismatch = observedPhase ? this.isMismatch(observedPhase, gdd, stages) : false;
+
+    return {
+      crop: cropKey === 'default' ? fieldDetails.crop_type || null : CROP_CALENDARS[cropKey].name,
+      source: accumulated ? 'gdd' : 'calendar',
+      baseTemp: model.baseTemp,
+      varietyFactor: factor,
+      daysSincePlanting,
+      gdd: Math.round(gdd),
+      dailyGdd: Math.round(dailyRate * 10) / 10,
+      estimatedDays: accumulated ? accumulated.estimatedDays : daysSincePlanting,
+      stage: current.name,
+      phase: current.phase,
+      nextStage: next ? next.name : null,
+      nextStageDate: next ? today.clone().add(Math.ceil((next.gdd - gdd) / dailyRate), 'days').format('YYYY-MM-DD') : null,
+      observedStage,
+      observedPhase,
+      mismatch,
+      mismatchNote: mismatch
+        ? `Recorded stage "${observedStage}" does not match the ${Math.round(gdd)} growing degree days accumulated since planting, which indicate ${current.name.toLowerCase()} (${PHASE_LABELS[current.phase]})`
+        : null
+    };
+  }
+
+  // Crop model with stage thresholds scaled for the variety's maturity class
+  getModel(fieldDetails) {
+    const model = PHENOLOGY[resolveCropKey(fieldDetails.crop_type)];
+    const factor = getVarietyFactor(fieldDetails.variety);
+
+    return {
+      model,
+      factor,
+      stages: model.stages.map(stage => ({ ...stage, gdd: Math.round(stage.gdd * factor) }))
+    };
+  }
+
+  // Crop phase on each observed day of a daily series that starts at planting
+  buildTimeline(days, fieldDetails) {
+    const { model, stages } = this.getModel(fieldDetails);
+    let gdd = 0;
+
+    return days
+      .filter(day => typeof day.tempMax === 'number' && typeof day.tempMin === 'number')
+      .map(day => {
+        gdd += this.dailyGdd(day.tempMax, day.tempMin, model);
+        const reached = stages.filter(stage => gdd >= stage.gdd);
+        return { date: day.date, gdd, phase: reached.length > 0 ? reached[reached.length - 1].phase : 'establishment' };
+      });
+  }
+
+  // GDD from planting to today; days the archive has not filled in yet are
+  // projected from the average of the most recent observed days
+  accumulateGdd(days, model, plantingDate, today) {
+    if (!days || days.length === 0) return null;
+
+    const observed = days
+      .filter(day => typeof day.tempMax === 'number' && typeof day.tempMin === 'number')
+      .map(day => this.dailyGdd(day.tempMax, day.tempMin, model));
+    if (observed.length === 0) return null;
+
+    const recent = observed.slice(-this.projectionDays);
+    const dailyRate = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+    const estimatedDays = Math.max(today.diff(plantingDate, 'days') - observed.length, 0);
+
+    return {
+      gdd: observed.reduce((sum, value) => sum + value, 0) + estimatedDays * dailyRate,
+      dailyRate,
+      estimatedDays
+    };
+  }
+
+  async fetchSeries(fieldDetails, plantingDate, today) {
+    if (!fieldDetails.latitude || !fieldDetails.longitude || !this.weather) return null;
+    return this.weather.getDailySeries(fieldDetails.latitude, fieldDetails.longitude, plantingDate, today);
+  }
+
+  dailyGdd(tempMax, tempMin, { baseTemp, capTemp }) {
+    const max = Math.min(Math.max(tempMax, baseTemp), capTemp);
+    const min = Math.min(Math.max(tempMin, baseTemp), capTemp);
+    return Math.max((max + min) / 2 - baseTemp, 0);
+  }
+
+  // A recorded stage is suspect when the GDD total is more than 20% outside
+  // the range of the phase it names
+  isMismatch(observedPhase, gdd, stages) {
+    if (observedPhase === 'harvested') return false;
+
+    const phaseStages = stages.filter(stage => stage.phase === observedPhase);
+    if (phaseStages.length === 0) return false;
+
+    const following = stages[stages.indexOf(phaseStages[phaseStages.length - 1]) + 1];
+    const start = observedPhase === 'establishment' ? 0 : phaseStages[0].gdd;
+    const end = following ? following.gdd : Infinity;
+
+    return gdd < start * 0.8 || gdd > end * 1.2;
+  }
+}
+
+module.exports = PhenologyService;
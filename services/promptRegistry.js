@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+
+// Versioned Handlebars prompt templates, read from PROMPTS_DIR (defaults to
+// prompts/). Each version directory holds:
+//   <name>.hbs                 base templates (analysis, recommendations, system-*)
+//   partials/<name>.hbs        shared partials
+//   crops/default/<name>.hbs   generic crop partials
+//   crops/<crop>/<name>.hbs    crop pack; pack.json may list aliases for crop_type
+//   version.json               optional { "description": "...", "extends": "<older version>" }
+// A name resolves crop pack -> default pack -> base file, searching the
+// version and then every version it extends, so a new version or crop pack
+// only has to contain the files it changes.
+class PromptRegistry {
+  constructor({ baseDir, version } = {}) {
+    this.baseDir = baseDir || process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+    this.requestedVersion = version || process.env.PROMPT_VERSION || null;
+    this.reload();
+  }
+
+  // Re-reads the prompt files, so agronomists can change prompts without a deploy
+  reload() {
+    const versions = this.listVersions();
+    const version = this.requestedVersion || versions[versions.length - 1];
+
+    if (!versions.includes(version)) {
+      throw new Error(`Prompt version "${version}" not found in ${this.baseDir}`);
+    }
+
+    this.version = version;
+    this.versionChain = this.resolveVersionChain(version);
+    this.cropPacks = this.loadCropPacks();
+    this.fingerprint = this.computeFingerprint();
+    this.environments = new Map();
+
+    console.log(`📝 Loaded prompt templates ${this.version} (${[...new Set(this.cropPacks.values())].length} crop packs)`);
+  }
+
+  listVersions() {
+    if (!fs.existsSync(this.baseDir)) {
+      throw new Error(`Prompt directory ${this.baseDir} does not exist`);
+    }
+
+    return fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  readJson(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+
+  resolveVersionChain(version) {
+    const chain = [];
+    let current = version;
+
+    while (current && !chain.includes(current)) {
+      if (!fs.existsSync(path.join(this.baseDir, current))) {
+        throw new Error(`Prompt version "${chain[chain.length - 1]}" extends missing version "${current}"`);
+      }
+      chain.push(current);
+      current = this.readJson(path.join(this.baseDir, current, 'version.json')).extends;
+    }
+
+    return chain;
+  }
+
+  // Maps every crop name and alias (lowercased) to its pack directory
+  loadCropPacks() {
+    const packs = new Map();
+
+    [...this.versionChain].reverse().forEach(version => {
+      const cropsDir = path.join(this.baseDir, version, 'crops');
+      if (!fs.existsSync(cropsDir)) return;
+
+      fs.readdirSync(cropsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'default')
+        .forEach(entry => {
+          const pack = this.readJson(path.join(cropsDir, entry.name, 'pack.json'));
+          [entry.name, pack.name, ...(pack.aliases || [])]
+            .filter(Boolean)
+            .forEach(name => packs.set(name.trim().toLowerCase(), entry.name));
+        });
+    });
+
+    return packs;
+  }
+
+  // Hash of every file in the version chain; edits made in place without a new
+  // version still invalidate cached engine output
+  computeFingerprint() {
+    const hash = crypto.createHash('sha256');
+
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            walk(entryPath);
+          } else {
+            hash.update(path.relative(this.baseDir, entryPath));
+            hash.update(fs.readFileSync(entryPath));
+          }
+        });
+    };
+
+    this.versionChain.forEach(version => walk(path.join(this.baseDir, version)));
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  resolveCropPack(cropType) {
+    if (!cropType) return 'default';
+
+    const name = String(cropType).trim().toLowerCase();
+    return this.cropPacks.get(name) || this.cropPacks.get(name.replace(/\s+/g, '-')) || 'default';
+  }
+
+  // Recorded on every report, e.g. "v1/maize"
+  getPromptVersion(cropType) {
+    return `${this.version}/${this.resolveCropPack(cropType)}`;
+  }
+
+  render(name, context, cropType) {
+    const pack = this.resolveCropPack(cropType);
+    const environment = this.getEnvironment(pack);
+
+    if (!environment.templates.has(name)) {
+      const source = environment.handlebars.partials[name];
+      if (source === undefined) {
+        throw new Error(`Prompt template "${name}" not found for ${this.version}/${pack}`);
+      }
+      environment.templates.set(name, environment.handlebars.compile(source, { noEscape: true }));
+    }
+
+    return environment.templates.get(name)(context).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // Every template file is registered as a partial, least specific first, so
+  // the most specific file for a name wins and templates can include each other
+  getEnvironment(pack) {
+    if (this.environments.has(pack)) return this.environments.get(pack);
+
+    const instance = handlebars.create();
+    this.registerHelpers(instance);
+
+    const oldestFirst = [...this.versionChain].reverse();
+    const layers = [
+      ...oldestFirst.map(version => path.join(this.baseDir, version)),
+      ...oldestFirst.map(version => path.join(this.baseDir, version, 'partials')),
+      ...oldestFirst.map(version => path.join(this.baseDir, version, 'crops', 'default')),
+      ...(pack !== 'default' ? oldestFirst.map(version => path.join(this.baseDir, version, 'crops', pack)) : [])
+    ];
+
+    layers.filter(dir => fs.existsSync(dir)).forEach(dir => {
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.hbs'))
+        .forEach(file => {
+          instance.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(dir, file), 'utf8'));
+        });
+    });
+
+    const environment = { handlebars: instance, templates: new Map() };
+    this.environments.set(pack, environment);
+    return environment;
+  }
+
+  registerHelpers(instance) {
+    instance.registerHelper('or', (...args) => args.slice(0, -1).find(Boolean) || '');
+    instance.registerHelper('join', (items, separator) => (Array.isArray(items) ? items.join(typeof separator === 'string' ? separator : ', ') : ''));
+    instance.registerHelper('upper', value => String(value || '').toUpperCase());
+    instance.registerHelper('eq', (a, b) => a === b);
+  }
+
+  getInfo() {
+    return {
+      version: this.version,
+      fingerprint: this.fingerprint,
+      versions: this.listVersions(),
+      extends: this.versionChain.slice(1),
+      description: this.readJson(path.join(this.baseDir, this.version, 'version.json')).description || null,
+      cropPacks: [...new Set(this.cropPacks.values())].sort()
+    };
+  }
+}
+
+module.exports = PromptRegistry;
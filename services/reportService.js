@@ -1,49 +1,105 @@
-const OpenAI = require('openai');
 const moment = require('moment');
+const os = require('os');
+const { envInteger } = require('../utils/env');
+const RetryScheduler = require('./retryScheduler');
+const DistributionService = require('./distributionService');
+const ArchiveService = require('./archiveService');
+const EngineCache = require('./engineCache');
+const NotificationService = require('./notificationService');
+const LlmService = require('./llmService');
+const PromptRegistry = require('./promptRegistry');
+const AgronomyEngine = require('./agronomyEngine');
+const PhenologyService = require('./phenologyService');
+const SeasonalWeatherService = require('./seasonalWeatherService');
+const WaterBalanceService = require('./waterBalanceService');
+const WeatherAlertService = require('./weatherAlertService');
+const LossAssessmentService = require('./lossAssessmentService');
+const IndexInsuranceService = require('./indexInsuranceService');
+const YieldForecastService = require('./yieldForecastService');
+const CreditScorecardService = require('./creditScorecardService');
+const OperationalRiskService = require('./operationalRiskService');
+const WorkerPool = require('../utils/workerPool');
+const { getProfileForUserType, getSectionsForTrigger, buildStakeholderData } = require('../config/stakeholderProfiles');
+const { IRRIGATED_METHODS } = require('../config/agronomyRules');
+const {
+  SEVERITIES,
+  URGENCIES,
+  ANALYSIS_FORMAT,
+  RECOMMENDATIONS_FORMAT,
+  COMBINED_FORMAT,
+  validateAnalysis,
+  validateRecommendations,
+  validateCombined,
+  label
+} = require('../utils/engineOutput');
 
 class ReportService {
   constructor(dbService, emailService, weatherService) {
     this.db = dbService;
     this.email = emailService;
     this.weather = weatherService;
-    
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.retryScheduler = new RetryScheduler(dbService);
+    this.distribution = new DistributionService(dbService);
+    this.archive = new ArchiveService(dbService);
+    this.notifications = new NotificationService(emailService);
+
+    this.workerId = process.env.WORKER_ID || process.env.RENDER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+    this.leaseSeconds = envInteger('REPORT_LEASE_SECONDS', 600, { min: 1 });
+    this.batchSize = envInteger('REPORT_BATCH_SIZE', 10, { min: 1 });
+    this.pool = new WorkerPool(envInteger('REPORT_CONCURRENCY', 3, { min: 1 }));
+
+    this.llm = new LlmService();
+    this.prompts = new PromptRegistry();
+    this.engineCache = new EngineCache(dbService);
+    this.agronomy = new AgronomyEngine();
+    this.phenology = new PhenologyService(weatherService);
+    this.seasonalWeather = new SeasonalWeatherService(dbService, weatherService, this.phenology);
+    this.waterBalance = new WaterBalanceService(this.phenology);
+    this.weatherAlerts = new WeatherAlertService(dbService, weatherService);
+    this.lossAssessment = new LossAssessmentService(weatherService);
+    this.indexInsurance = new IndexInsuranceService(dbService, this.seasonalWeather);
+    this.yieldForecast = new YieldForecastService(this.seasonalWeather, this.phenology, this.agronomy);
+    this.creditScorecard = new CreditScorecardService(dbService, this.agronomy);
+    this.operationalRisk = new OperationalRiskService(this.agronomy);
+    // "combined" asks for analysis and recommendations in a single engine request
+    this.engineMode = process.env.ENGINE_MODE === 'combined' ? 'combined' : 'separate';
   }
 
   async processPendingReports() {
     try {
-      const pendingReports = await this.db.getPendingReports();
+      const reclaimed = await this.db.reclaimExpiredReports(this.retryScheduler.maxRetries);
+      if (reclaimed.requeued > 0 || reclaimed.deadLettered > 0) {
+        console.log(`♻️ Reclaimed ${reclaimed.requeued} reports with expired leases (${reclaimed.deadLettered} moved to dead letter)`);
+      }
+
+      const pendingReports = await this.db.claimPendingReports(this.workerId, this.batchSize, this.leaseSeconds);
       
       if (pendingReports.length === 0) {
-        return { processed: 0, errors: 0 };
+        return { processed: 0, errors: 0, deadLettered: 0 };
       }
 
-      console.log(`📋 Found ${pendingReports.length} pending reports to process`);
+      console.log(`📋 Worker ${this.workerId} claimed ${pendingReports.length} pending reports to process (concurrency ${this.pool.size})`);
       
       let processed = 0;
       let errors = 0;
+      let deadLettered = 0;
 
-      for (const report of pendingReports) {
+      await this.pool.run(pendingReports, async (report) => {
         try {
           await this.processIndividualReport(report);
-          await this.db.markReportProcessed(report.id);
+          await this.db.markReportProcessed(report.id, report.lock_token);
           processed++;
           
           console.log(`✅ Processed report ${report.id} for field ${report.field_name}`);
-          
-          // Small delay to avoid overwhelming the APIs
-          await this.delay(1000);
-          
         } catch (error) {
           console.error(`❌ Error processing report ${report.id}:`, error.message);
-          await this.db.markReportError(report.id, error.message);
+          const outcome = await this.retryScheduler.handleFailure(report, error);
+          if (outcome.status === 'dead_letter') deadLettered++;
           errors++;
         }
-      }
+      });
 
-      return { processed, errors };
+      return { processed, errors, deadLettered };
     } catch (error) {
       console.error('❌ Error in processPendingReports:', error);
       throw error;
@@ -55,49 +111,196 @@ class ReportService {
       console.log(`🔄 Processing report for ${report.field_name} (${report.crop_type})`);
       
       // Gather all necessary data
-      const [fieldDetails, farmFields, farmStats, cropAnalysis, weatherData] = await Promise.all([
+      const [fieldDetails, farmFields, farmStats, cropAnalysis] = await Promise.all([
         this.db.getFieldDetails(report.field_id),
         this.db.getFarmFields(report.farm_id),
         this.db.getFarmStatistics(report.farm_id),
-        this.db.getCropAnalysis(report.farm_id),
-        this.getWeatherDataForField(report.field_id)
+        this.db.getCropAnalysis(report.farm_id)
       ]);
 
-      // Generate AI analysis
-      const aiAnalysis = await this.generateAIAnalysis(fieldDetails, weatherData, report.trigger_type);
-      const aiRecommendations = await this.generateAIRecommendations(fieldDetails, farmFields, weatherData, cropAnalysis);
-
-      // Prepare report data
-      const reportData = this.prepareReportData({
-        report,
-        fieldDetails,
-        farmFields,
-        farmStats,
-        cropAnalysis,
-        weatherData,
-        aiAnalysis,
-        aiRecommendations
+      if (!fieldDetails) {
+        throw new Error(`Field ${report.field_id} not found`);
+      }
+
+      // One archive series since planting feeds both the growth stage estimate and the season summary
+      const [weatherData, seasonSeries] = await Promise.all([
+        this.getWeatherDataForField(fieldDetails),
+        this.seasonalWeather.getSeasonSeries(fieldDetails)
+      ]);
+      const [phenology, season] = await Promise.all([
+        this.phenology.estimate(fieldDetails, { series: seasonSeries }),
+        this.seasonalWeather.summarize(fieldDetails, seasonSeries)
+      ]);
+      const waterBalance = this.waterBalance.assess(fieldDetails, { weatherData, seasonSeries, phenology });
+      // Forecast hazards recorded by the alert scan that queued this report
+      const weatherAlerts = report.trigger_type === 'weather_alert' ? await this.weatherAlerts.getReportAlerts(report.id) : null;
+      // Claim evidence for reported losses: peril corroboration and yield shortfall
+      const lossAssessment = report.trigger_type === 'loss_event'
+        ? await this.lossAssessment.assess(fieldDetails, { reportedAt: report.created_at, season })
+        : null;
+      const yieldForecast = this.yieldForecast.forecast(fieldDetails, { phenology, season });
+      const operationalRisk = this.operationalRisk.assess(fieldDetails, { farmFields, phenology });
+      // Farm credit risk, recorded with every report for the lender's score history
+      const creditScore = this.creditScorecard.score(fieldDetails, farmFields);
+      await this.creditScorecard.record(report, creditScore);
+      // Weather index cover on the field, evaluated on the same season series
+      const indexInsurance = await this.indexInsurance.evaluateField(fieldDetails, seasonSeries);
+
+      // Resolve every interested party for this field and the channels each is
+      // reached on, skipping deliveries that succeeded on an earlier attempt
+      const recipients = await this.distribution.resolveRecipients(fieldDetails, {
+        id: report.user_id,
+        email: report.email,
+        phone: report.phone_number,
+        first_name: report.first_name,
+        last_name: report.last_name,
+        user_type: report.user_type,
+        organization: report.organization
       });
+      const alreadyDelivered = await this.db.getDeliveredRecipients(report.id);
+
+      const pendingRecipients = recipients
+        .map(recipient => ({ ...recipient, phone: this.notifications.normalizePhone(recipient.phone) }))
+        .map(recipient => ({
+          recipient,
+          channels: this.notifications.selectChannels(recipient, fieldDetails, { urgent: report.trigger_type === 'weather_alert' })
+            .filter(channel => !alreadyDelivered.includes(`${channel}:${this.notifications.getAddress(channel, recipient).toLowerCase()}`))
+        }))
+        .filter(entry => entry.channels.length > 0);
+
+      if (pendingRecipients.length === 0) {
+        console.log(`ℹ️ Report ${report.id} has no outstanding recipients`);
+        return { delivered: 0, failed: 0 };
+      }
 
-      // Send email
-      await this.email.sendReport(
-        report.email,
-        `${report.first_name} ${report.last_name}`,
-        reportData
-      );
+      // Engine output depends only on the stakeholder profile, so generate it once per profile
+      const engineOutputs = new Map();
+      const failures = [];
+      let delivered = 0;
+
+      for (const { recipient, channels } of pendingRecipients) {
+        const profile = getProfileForUserType(recipient.userType);
+
+        if (!engineOutputs.has(profile.key)) {
+          engineOutputs.set(profile.key, await this.generateEngineOutput({
+            fieldDetails,
+            farmFields,
+            weatherData,
+            cropAnalysis,
+            triggerType: report.trigger_type,
+            profile,
+            phenology,
+            season,
+            waterBalance,
+            weatherAlerts,
+            lossAssessment,
+            yieldForecast,
+            operationalRisk
+          }));
+        }
 
-      return reportData;
+        const { aiAnalysis, aiRecommendations, promptVersion } = engineOutputs.get(profile.key);
+        // The scorecard carries the farm's bureau score and debt figures, so it
+        // only goes into the report data and archive of profiles that show it
+        const recipientCreditScore = getSectionsForTrigger(profile, report.trigger_type).creditScorecard ? creditScore : null;
+
+        // Prepare report data
+        const reportData = this.prepareReportData({
+          report,
+          recipient,
+          fieldDetails,
+          farmFields,
+          farmStats,
+          cropAnalysis,
+          weatherData,
+          profile,
+          aiAnalysis,
+          aiRecommendations,
+          promptVersion,
+          phenology,
+          season,
+          waterBalance,
+          weatherAlerts,
+          lossAssessment,
+          indexInsurance,
+          yieldForecast,
+          creditScore: recipientCreditScore,
+          operationalRisk
+        });
+
+        try {
+          // Archive before sending so that what the recipient receives can always be reproduced
+          await this.archive.archiveReport({
+            report,
+            recipient,
+            reportData,
+            html: this.email.generateReportHTML(reportData),
+            inputs: {
+              fieldDetails,
+              farmFields,
+              farmStats,
+              cropAnalysis,
+              weatherData,
+              phenology,
+              season,
+              waterBalance,
+              weatherAlerts,
+              lossAssessment,
+              indexInsurance,
+              yieldForecast,
+              creditScore: recipientCreditScore,
+              operationalRisk,
+              engineOutput: { aiAnalysis, aiRecommendations }
+            }
+          });
+        } catch (error) {
+          console.error(`⚠️ ${error.message}`);
+        }
+
+        for (const channel of channels) {
+          try {
+            await this.deliverReport(report, recipient, reportData, channel);
+            delivered++;
+          } catch (error) {
+            failures.push(`${this.notifications.getAddress(channel, recipient)} (${recipient.role}, ${channel}): ${error.message}`);
+          }
+        }
+      }
+
+      if (failures.length > 0) {
+        throw new Error(`Delivery failed for ${failures.length} of ${delivered + failures.length} deliveries: ${failures.join('; ')}`);
+      }
+
+      return { delivered, failed: 0 };
     } catch (error) {
       throw new Error(`Failed to process individual report: ${error.message}`);
     }
   }
 
-  async getWeatherDataForField(fieldId) {
+  async deliverReport(report, recipient, reportData, channel) {
+    const address = this.notifications.getAddress(channel, recipient);
+    const delivery = await this.db.createDelivery(report.id, reportData.reportId, recipient, channel, address);
+
     try {
-      const fieldDetails = await this.db.getFieldDetails(fieldId);
-      
-      if (!fieldDetails || !fieldDetails.latitude || !fieldDetails.longitude) {
-        console.log(`⚠️ No GPS coordinates for field ${fieldId}, using default weather data`);
+      const result = await this.notifications.send(
+        channel,
+        recipient,
+        reportData,
+        { userType: recipient.userType, trackingToken: delivery.trackingToken }
+      );
+
+      await this.db.markDeliverySent(delivery.id, result.messageId);
+      return result;
+    } catch (error) {
+      await this.db.markDeliveryFailed(delivery.id, error.message);
+      throw error;
+    }
+  }
+
+  async getWeatherDataForField(fieldDetails) {
+    try {
+      if (!fieldDetails.latitude || !fieldDetails.longitude) {
+        console.log(`⚠️ No GPS coordinates for field ${fieldDetails.id}, using default weather data`);
         return null;
       }
 
@@ -108,95 +311,170 @@ class ReportService {
 
       return weatherData;
     } catch (error) {
-      console.error(`❌ Error fetching weather data for field ${fieldId}:`, error);
+      console.error(`❌ Error fetching weather data for field ${fieldDetails.id}:`, error);
       return null;
     }
   }
 
-  async generateAIAnalysis(fieldDetails, weatherData, triggerType) {
+  // Analysis and recommendations for one stakeholder profile, reused from the
+  // engine cache while the field, weather summary and prompts are unchanged.
+  // `inputs` holds fieldDetails, farmFields, weatherData, cropAnalysis,
+  // triggerType, profile, phenology, season, waterBalance, weatherAlerts,
+  // lossAssessment, yieldForecast and operationalRisk.
+  async generateEngineOutput(inputs) {
+    const { fieldDetails, weatherData, triggerType, profile, phenology, season, waterBalance } = inputs;
+    const model = this.llm.getModel(triggerType);
+    const promptVersion = this.prompts.getPromptVersion(fieldDetails.crop_type);
+    const cacheKey = this.engineCache.buildKey({
+      ...inputs,
+      model,
+      promptVersion,
+      promptFingerprint: this.prompts.fingerprint
+    });
+
+    let output = await this.engineCache.get(cacheKey);
+    if (output) {
+      console.log(`♻️ Reusing cached Yieldera Engine output for ${fieldDetails.field_name} (${profile.key})`);
+    } else {
+      output = await this.runEngine(inputs, { cacheKey, model, promptVersion });
+    }
+
+    // Checked on every use rather than cached, so rule changes apply straight away
+    return {
+      ...output,
+      aiRecommendations: this.agronomy.reviewRecommendations(output.aiRecommendations, fieldDetails, weatherData, { phenology, season, waterBalance })
+    };
+  }
+
+  async runEngine(inputs, { cacheKey, model, promptVersion }) {
+    const { fieldDetails, profile } = inputs;
+    const output = this.engineMode === 'combined'
+      ? await this.generateCombinedOutput(inputs)
+      : {
+        aiAnalysis: await this.generateAIAnalysis(inputs),
+        aiRecommendations: await this.generateAIRecommendations(inputs)
+      };
+    output.promptVersion = promptVersion;
+
+    // Fallback text is never cached, so the next report tries the engine again
+    if (!output.aiAnalysis.fallback && !output.aiRecommendations.fallback) {
+      await this.engineCache.set(cacheKey, { fieldId: fieldDetails.id, profile: profile.key, model, promptVersion }, output);
+    }
+
+    return output;
+  }
+
+  async generateAIAnalysis(inputs) {
     try {
-      const prompt = this.buildFieldAnalysisPrompt(fieldDetails, weatherData, triggerType);
+      const prompt = `${this.buildFieldAnalysisPrompt(inputs)}\n\n**RESPONSE FORMAT:**\n${ANALYSIS_FORMAT}`;
       
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are the Yieldera Agricultural Intelligence Engine, a specialized system for Zimbabwe and Southern African agriculture. You have deep expertise in crop-specific agronomy, irrigation management, and local farming conditions. Key principles: 1) If a field has irrigation (Center Pivot, Drip, Sprinkler, etc.), DO NOT focus on rainfall - focus on irrigation efficiency and timing. 2) Winter wheat and barley in Zimbabwe are typically irrigated crops. 3) Provide crop-specific analysis, not generic farming advice. 4) Consider local pest pressures, climate patterns, and market conditions. 5) Be practical and actionable in your recommendations. Never refer to yourself as AI - you are the Yieldera Engine."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1200,
-        temperature: 0.6
-      });
-
-      return response.choices[0].message.content;
+      const response = await this.llm.completeJson({
+        purpose: 'analysis',
+        triggerType: inputs.triggerType,
+        system: this.prompts.render('system-analysis', {}, inputs.fieldDetails.crop_type),
+        prompt
+      }, validateAnalysis);
+
+      return response.output;
     } catch (error) {
       console.error('❌ Error generating Yieldera Engine analysis:', error);
-      return `Yieldera Engine analysis temporarily unavailable. Field assessment shows ${fieldDetails.crop_type} crop${fieldDetails.current_growth_stage ? ` in ${fieldDetails.current_growth_stage} stage` : ''} on ${fieldDetails.field_size} hectares with ${fieldDetails.irrigation_method_enhanced || 'irrigation method not specified'}.`;
+      return this.buildAnalysisFallback(inputs);
     }
   }
 
-  async generateAIRecommendations(fieldDetails, farmFields, weatherData, cropAnalysis) {
+  async generateAIRecommendations(inputs) {
     try {
-      const prompt = this.buildRecommendationsPrompt(fieldDetails, farmFields, weatherData, cropAnalysis);
+      const prompt = `${this.buildRecommendationsPrompt(inputs)}\n\n**RESPONSE FORMAT:**\n${RECOMMENDATIONS_FORMAT}`;
       
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are the Yieldera Agricultural Intelligence Engine providing strategic recommendations for Zimbabwe and Southern African agriculture. Key principles: 1) If a field has irrigation infrastructure, focus on irrigation optimization, NOT rainfall concerns. 2) Be highly crop-specific - wheat recommendations are different from barley recommendations. 3) Consider Zimbabwe's climate, seasons, and farming practices. 4) Provide practical, implementable actions with timelines. 5) Focus on yield optimization and risk mitigation specific to the crop and irrigation method. 6) Avoid generic farming advice. Never refer to yourself as AI - you are the Yieldera Engine."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1200,
-        temperature: 0.6
-      });
-
-      return response.choices[0].message.content;
+      const response = await this.llm.completeJson({
+        purpose: 'recommendations',
+        triggerType: inputs.triggerType,
+        system: this.prompts.render('system-recommendations', {}, inputs.fieldDetails.crop_type),
+        prompt
+      }, validateRecommendations);
+
+      return response.output;
     } catch (error) {
       console.error('❌ Error generating Yieldera Engine recommendations:', error);
-      return `Yieldera Engine recommendations temporarily unavailable. Consider consulting with local agricultural extension services for ${fieldDetails.crop_type} management guidance specific to ${fieldDetails.irrigation_method_enhanced || 'your irrigation system'}.`;
+      return this.buildRecommendationsFallback(inputs);
     }
   }
 
-  buildFieldAnalysisPrompt(field, weather, triggerType) {
-    let prompt = `Please analyze this agricultural field data and provide expert insights:\n\n`;
-    
-    prompt += `**FIELD INFORMATION:**\n`;
-    prompt += `- Field: ${field.field_name}\n`;
-    prompt += `- Crop: ${field.crop_type}${field.variety ? ` (${field.variety} variety)` : ''}\n`;
-    prompt += `- Size: ${field.field_size} hectares\n`;
-    prompt += `- Soil Type: ${field.soil_type || 'Not specified'}\n`;
-    prompt += `- Planting Date: ${field.planting_date || 'Not specified'}\n`;
-    prompt += `- Location: Zimbabwe (Southern Africa)\n`;
-    
-    // Handle missing growth stage specifically
-    if (field.current_growth_stage) {
-      prompt += `- Growth Stage: ${field.current_growth_stage}\n`;
-    } else {
-      prompt += `- Growth Stage: Not captured during field visit (data collection gap)\n`;
+  async generateCombinedOutput(inputs) {
+    try {
+      let prompt = this.buildFieldAnalysisPrompt(inputs);
+      prompt += `\n\n---\n\n${this.buildRecommendationsPrompt(inputs)}`;
+      prompt += `\n\n**RESPONSE FORMAT:**\n${COMBINED_FORMAT}`;
+
+      const response = await this.llm.completeJson({
+        purpose: 'combined',
+        triggerType: inputs.triggerType,
+        system: this.prompts.render('system-combined', {}, inputs.fieldDetails.crop_type),
+        prompt,
+        maxTokens: this.llm.combinedMaxTokens
+      }, validateCombined);
+
+      return { aiAnalysis: response.output.analysis, aiRecommendations: response.output.recommendations };
+    } catch (error) {
+      console.error('❌ Error generating combined Yieldera Engine output:', error);
+      return {
+        aiAnalysis: this.buildAnalysisFallback(inputs),
+        aiRecommendations: this.buildRecommendationsFallback(inputs)
+      };
     }
-    
-    // Irrigation analysis - key logic fix
+  }
+
+  // When the engine is unavailable the report carries the rule-based findings
+  // and actions instead of an empty section
+  buildAnalysisFallback({ fieldDetails, weatherData, phenology, season, waterBalance, weatherAlerts }) {
+    const rules = this.agronomy.evaluate(fieldDetails, weatherData, { phenology, season, waterBalance, weatherAlerts });
+    const stage = fieldDetails.current_growth_stage || (phenology ? `estimated ${phenology.stage.toLowerCase()}` : rules.phase ? `expected ${rules.phase}` : null);
+    const age = rules.daysSincePlanting !== null && rules.daysSincePlanting >= 0 ? `, ${rules.daysSincePlanting} days after planting` : '';
+
+    return {
+      summary: `Yieldera Engine analysis temporarily unavailable. Rule-based assessment of the ${fieldDetails.crop_type} crop${stage ? ` (${stage} stage${age})` : age} on ${fieldDetails.field_size} hectares with ${fieldDetails.irrigation_method_enhanced || 'irrigation method not specified'}.`,
+      details: [],
+      risks: [...rules.findings].sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)),
+      dataGaps: rules.dataGaps,
+      fallback: true,
+      source: 'rules'
+    };
+  }
+
+  buildRecommendationsFallback({ fieldDetails, weatherData, phenology, season, waterBalance, weatherAlerts }) {
+    const rules = this.agronomy.evaluate(fieldDetails, weatherData, { phenology, season, waterBalance, weatherAlerts });
+
+    return {
+      summary: rules.actions.length > 0
+        ? 'Yieldera Engine recommendations temporarily unavailable. The actions below come from Yieldera agronomy rules for this crop and field.'
+        : `Yieldera Engine recommendations temporarily unavailable. Consider consulting with local agricultural extension services for ${fieldDetails.crop_type} management guidance specific to ${fieldDetails.irrigation_method_enhanced || 'your irrigation system'}.`,
+      recommendations: [...rules.actions].sort((a, b) => URGENCIES.indexOf(a.urgency) - URGENCIES.indexOf(b.urgency)),
+      dataGaps: [],
+      fallback: true,
+      source: 'rules'
+    };
+  }
+
+  buildFieldAnalysisPrompt(inputs) {
+    return this.prompts.render('analysis', this.buildPromptContext(inputs), inputs.fieldDetails.crop_type);
+  }
+
+  buildRecommendationsPrompt(inputs) {
+    return this.prompts.render('recommendations', this.buildPromptContext(inputs), inputs.fieldDetails.crop_type);
+  }
+
+  // Everything the prompt templates can refer to; the wording itself lives in prompts/
+  buildPromptContext({ fieldDetails: field, farmFields = [], weatherData: weather = null, cropAnalysis = [], triggerType = null, profile = null, phenology = null, season = null, waterBalance = null, weatherAlerts = null, lossAssessment = null, yieldForecast = null, operationalRisk = null }) {
     const irrigation = field.irrigation_method_enhanced || 'Not specified';
-    prompt += `- Irrigation: ${irrigation}\n`;
-    
-    // Determine irrigation context
+    const hasIrrigationInfrastructure = IRRIGATED_METHODS.includes(irrigation);
+
     let irrigationContext = '';
     if (irrigation === 'Rainfed') {
       irrigationContext = 'This is a rainfed field dependent on natural rainfall.';
-    } else if (['Center Pivot', 'Drip', 'Sprinkler', 'Flood', 'Furrow'].includes(irrigation)) {
+    } else if (hasIrrigationInfrastructure) {
       irrigationContext = `This field has ${irrigation} irrigation infrastructure, making it largely independent of rainfall patterns.`;
     }
-    
+
     // Zimbabwe seasonal context
     let seasonalContext = '';
     if (field.planting_date) {
@@ -207,20 +485,7 @@ class ReportService {
         seasonalContext = 'This is a summer crop in Zimbabwe, planted at the start of the rainy season.';
       }
     }
-    
-    if (irrigationContext || seasonalContext) {
-      prompt += `- Context: ${irrigationContext} ${seasonalContext}\n`;
-    }
-    
-    if (field.basal_fertilizer === 'Yes') {
-      prompt += `- Basal Fertilizer: ${field.basal_fertilizer_type || 'Applied'} at ${field.basal_fertilizer_rate || 'standard rate'}\n`;
-    }
-    
-    if (field.top_dressing === 'Yes') {
-      prompt += `- Top Dressing: ${field.top_dressing_type || 'Applied'}\n`;
-    }
 
-    // Risk factors
     const riskFactors = [];
     if (field.loss_occurred_current_season) riskFactors.push(`Field losses reported (${field.loss_percentage}%)`);
     if (field.pest_infestation_level && field.pest_infestation_level !== 'None') riskFactors.push(`Pest level: ${field.pest_infestation_level}`);
@@ -228,175 +493,62 @@ class ReportService {
     if (field.drought_damage) riskFactors.push('Drought damage');
     if (field.flood_damage) riskFactors.push('Flood damage');
     if (field.hail_damage) riskFactors.push('Hail damage');
-    
-    if (riskFactors.length > 0) {
-      prompt += `- Risk Factors: ${riskFactors.join(', ')}\n`;
-    }
 
-    // Weather context - adjust based on irrigation
-    if (weather && weather.analysis && weather.analysis.last7Days) {
-      prompt += `\n**WEATHER CONDITIONS:**\n`;
-      prompt += `- 7-day rainfall: ${weather.analysis.last7Days.totalRainfall || 0}mm\n`;
-      prompt += `- Temperature range: ${weather.analysis.last7Days.lowestTemp || 'N/A'}°C to ${weather.analysis.last7Days.highestTemp || 'N/A'}°C\n`;
-      
-      // Important: Adjust rainfall significance based on irrigation
-      if (irrigation === 'Rainfed') {
-        prompt += `- Rainfall significance: Critical - this rainfed field depends entirely on natural precipitation\n`;
-      } else if (['Center Pivot', 'Drip', 'Sprinkler', 'Flood', 'Furrow'].includes(irrigation)) {
-        prompt += `- Rainfall significance: Supplementary - field has irrigation infrastructure to manage water needs\n`;
-      }
-    }
-
-    prompt += `\n**ASSESSMENT TRIGGER:** This assessment was triggered by: ${this.getTriggerDescription(triggerType)}\n`;
-
-    prompt += `\n**ANALYSIS REQUEST:**\n`;
-    prompt += `Please provide a focused agronomic analysis for ${field.crop_type} specifically in Zimbabwe, considering:\n`;
-    
-    // Crop-specific analysis points
-    if (field.crop_type === 'Wheat') {
-      prompt += `1. Current wheat development status - considering this is likely winter wheat in Zimbabwe\n`;
-      prompt += `2. Wheat-specific risk assessment based on irrigation status and Zimbabwe climate\n`;
-      prompt += `3. Critical wheat yield factors including tillering, protein content, and disease pressure\n`;
-      prompt += `4. Wheat variety-specific considerations${field.variety ? ` for ${field.variety}` : ''}\n`;
-      if (irrigation !== 'Rainfed') {
-        prompt += `5. Irrigation management recommendations specific to wheat production\n`;
-      } else {
-        prompt += `5. Risk assessment for rainfed wheat production in Zimbabwe\n`;
-      }
-    } else if (field.crop_type === 'Barley') {
-      prompt += `1. Current barley development status - considering this is likely winter barley in Zimbabwe\n`;
-      prompt += `2. Barley-specific risk assessment including malting quality considerations\n`;
-      prompt += `3. Critical barley yield factors including head formation and grain quality\n`;
-      prompt += `4. Barley variety-specific considerations${field.variety ? ` for ${field.variety}` : ''}\n`;
-      if (irrigation !== 'Rainfed') {
-        prompt += `5. Irrigation management for optimal barley quality and yield\n`;
-      } else {
-        prompt += `5. Risk assessment for rainfed barley production\n`;
-      }
-    } else {
-      prompt += `1. Current ${field.crop_type} development status in Zimbabwe context\n`;
-      prompt += `2. ${field.crop_type}-specific risk assessment\n`;
-      prompt += `3. Critical ${field.crop_type} yield factors\n`;
-      prompt += `4. Variety-specific considerations${field.variety ? ` for ${field.variety}` : ''}\n`;
-      prompt += `5. Water management recommendations\n`;
-    }
-    
-    // Handle missing growth stage in prompt
-    if (!field.current_growth_stage) {
-      prompt += `\nIMPORTANT: Growth stage was not captured during field visit - mention this as a data collection gap that affects precision of recommendations.\n`;
-    }
-    
-    // Irrigation-specific instructions
-    if (irrigation !== 'Rainfed') {
-      prompt += `\nDO NOT focus on rainfall concerns - this field has ${irrigation} irrigation. Focus on irrigation efficiency, timing, and crop water requirements instead.\n`;
-    }
-    
-    prompt += `\nKeep your analysis focused on ${field.crop_type} crop specifics in Zimbabwe. `;
-    prompt += `Avoid generic farming advice. Provide actionable, location-specific insights.`;
-
-    return prompt;
-  }
-
-  buildRecommendationsPrompt(field, farmFields, weather, cropAnalysis) {
-    let prompt = `Generate strategic agricultural recommendations based on this farm assessment:\n\n`;
-    
-    prompt += `**FARM CONTEXT:**\n`;
-    prompt += `- Location: Zimbabwe (Southern Africa)\n`;
-    prompt += `- Total Fields: ${farmFields.length}\n`;
-    prompt += `- Total Area: ${farmFields.reduce((sum, f) => sum + (parseFloat(f.field_size) || 0), 0)} hectares\n`;
-    prompt += `- Crops: ${[...new Set(farmFields.map(f => f.crop_type).filter(Boolean))].join(', ')}\n`;
-    
-    prompt += `\n**FOCUS FIELD:**\n`;
-    prompt += `- ${field.field_name}: ${field.crop_type}${field.variety ? ` (${field.variety} variety)` : ''} (${field.field_size} ha)\n`;
-    prompt += `- Irrigation: ${field.irrigation_method_enhanced || 'Not specified'}\n`;
-    
-    // Handle missing growth stage
-    if (field.current_growth_stage) {
-      prompt += `- Current stage: ${field.current_growth_stage}\n`;
-    } else {
-      prompt += `- Current stage: Not captured during field visit\n`;
-    }
-
-    // Irrigation context for recommendations
-    const irrigation = field.irrigation_method_enhanced || 'Not specified';
-    if (irrigation !== 'Rainfed') {
-      prompt += `- Water management: Field has ${irrigation} irrigation infrastructure\n`;
-    } else {
-      prompt += `- Water management: Rainfed field dependent on natural precipitation\n`;
-    }
-    
-    // Weather insights - adjust based on irrigation
-    if (weather && weather.agronomicInsights && weather.agronomicInsights.insights.length > 0) {
-      prompt += `\n**WEATHER INSIGHTS:**\n`;
-      weather.agronomicInsights.insights.forEach(insight => {
-        prompt += `- ${insight.category}: ${insight.message}\n`;
-      });
-    }
-
-    // Crop analysis summary
-    if (cropAnalysis && cropAnalysis.length > 0) {
-      prompt += `\n**CROP PERFORMANCE SUMMARY:**\n`;
-      cropAnalysis.forEach(crop => {
-        prompt += `- ${crop.crop_type}: ${crop.field_count} fields, ${crop.total_area} ha`;
-        if (crop.fields_with_losses > 0) prompt += ` (${crop.fields_with_losses} fields with losses)`;
-        if (crop.pest_affected_fields > 0) prompt += ` (${crop.pest_affected_fields} with pests)`;
-        prompt += `\n`;
-      });
-    }
-
-    prompt += `\n**RECOMMENDATION REQUEST:**\n`;
-    prompt += `Provide specific, actionable recommendations for ${field.crop_type} production in Zimbabwe:\n`;
-    
-    // Crop-specific recommendation structure
-    if (field.crop_type === 'Wheat') {
-      prompt += `1. **WHEAT MANAGEMENT:** Immediate wheat-specific actions for current conditions\n`;
-      prompt += `2. **YIELD OPTIMIZATION:** Wheat tillering, head formation, and grain filling strategies\n`;
-      prompt += `3. **QUALITY FACTORS:** Protein content, test weight, and market grade considerations\n`;
-      prompt += `4. **DISEASE MANAGEMENT:** Wheat rust, blight, and other disease prevention\n`;
-      if (irrigation !== 'Rainfed') {
-        prompt += `5. **IRRIGATION SCHEDULING:** Optimal water timing for wheat growth stages\n`;
-      } else {
-        prompt += `5. **RISK MITIGATION:** Drought tolerance and water conservation strategies\n`;
-      }
-    } else if (field.crop_type === 'Barley') {
-      prompt += `1. **BARLEY MANAGEMENT:** Immediate barley-specific actions for current conditions\n`;
-      prompt += `2. **MALTING QUALITY:** Grain uniformity, protein levels, and brewing industry requirements\n`;
-      prompt += `3. **HEAD DEVELOPMENT:** Barley spike formation and grain filling optimization\n`;
-      prompt += `4. **PEST CONTROL:** Barley-specific pest and disease management\n`;
-      if (irrigation !== 'Rainfed') {
-        prompt += `5. **WATER MANAGEMENT:** Irrigation timing for optimal barley quality\n`;
-      } else {
-        prompt += `5. **DROUGHT STRATEGIES:** Water stress management for barley\n`;
-      }
-    } else {
-      prompt += `1. **IMMEDIATE ACTIONS:** What needs to be done in the next 1-7 days\n`;
-      prompt += `2. **CROP OPTIMIZATION:** ${field.crop_type}-specific yield enhancement strategies\n`;
-      prompt += `3. **RISK MANAGEMENT:** Key risks and prevention measures\n`;
-      prompt += `4. **QUALITY ASSURANCE:** Maintaining crop quality standards\n`;
-      prompt += `5. **RESOURCE MANAGEMENT:** Efficient use of inputs and infrastructure\n`;
-    }
-    
-    prompt += `\n**CONTEXT REQUIREMENTS:**\n`;
-    
-    // Irrigation-specific instructions
-    if (irrigation !== 'Rainfed') {
-      prompt += `- This field has ${irrigation} irrigation - DO NOT recommend relying on rainfall\n`;
-      prompt += `- Focus on irrigation efficiency, timing, and water use optimization\n`;
-      prompt += `- Consider fertigation opportunities and irrigation-specific pest management\n`;
-    } else {
-      prompt += `- This is a rainfed field - focus on water conservation and drought mitigation\n`;
-      prompt += `- Consider supplemental irrigation options if available\n`;
-    }
-    
-    prompt += `- Location is Zimbabwe - consider local climate, pest pressures, and market conditions\n`;
-    prompt += `- Focus on practical, implementable actions with specific timelines\n`;
-    prompt += `- Prioritize recommendations by urgency and impact\n`;
-    prompt += `- Make recommendations specific to ${field.crop_type} production\n`;
-    prompt += `- Avoid generic farming advice - be crop and location-specific\n\n`;
-    
-    prompt += `Provide actionable recommendations that agricultural stakeholders (farmers, insurers, banks, contractors) can implement immediately.`;
+    const last7Days = weather && weather.available !== false && weather.analysis ? weather.analysis.last7Days : null;
 
-    return prompt;
+    return {
+      field: {
+        ...field,
+        planting_date: field.planting_date ? moment(field.planting_date).format('YYYY-MM-DD') : null
+      },
+      irrigation,
+      isRainfed: irrigation === 'Rainfed',
+      hasIrrigationInfrastructure,
+      contextNote: [irrigationContext, seasonalContext].filter(Boolean).join(' '),
+      basalFertilizer: field.basal_fertilizer === 'Yes'
+        ? `${field.basal_fertilizer_type || 'Applied'} at ${field.basal_fertilizer_rate || 'standard rate'}`
+        : null,
+      topDressing: field.top_dressing === 'Yes' ? field.top_dressing_type || 'Applied' : null,
+      riskFactors,
+      // Always set, so the prompts say when weather is missing instead of leaving it out
+      weather: last7Days ? {
+        available: true,
+        rainfall: last7Days.totalRainfall,
+        hasRainfall: typeof last7Days.totalRainfall === 'number',
+        lowestTemp: last7Days.lowestTemp,
+        highestTemp: last7Days.highestTemp,
+        hasTemperature: typeof last7Days.lowestTemp === 'number' && typeof last7Days.highestTemp === 'number',
+        partial: weather.analysis.quality === 'partial',
+        completeDays: last7Days.completeDays,
+        staleSince: weather.stale ? moment(weather.fetchedAt).format('MMM D, YYYY HH:mm') : null
+      } : { available: false },
+      weatherInsights: weather && weather.agronomicInsights ? weather.agronomicInsights.insights || [] : [],
+      phenology,
+      season,
+      waterBalance,
+      weatherAlerts,
+      lossAssessment,
+      yieldForecast,
+      operationalRisk,
+      trigger: triggerType ? this.getTriggerDescription(triggerType) : null,
+      farm: {
+        fieldCount: farmFields.length,
+        totalArea: farmFields.reduce((sum, f) => sum + (parseFloat(f.field_size) || 0), 0),
+        crops: [...new Set(farmFields.map(f => f.crop_type).filter(Boolean))]
+      },
+      cropPerformance: (cropAnalysis || []).map(crop => {
+        let line = `${crop.crop_type}: ${crop.field_count} fields, ${crop.total_area} ha`;
+        if (crop.fields_with_losses > 0) line += ` (${crop.fields_with_losses} fields with losses)`;
+        if (crop.pest_affected_fields > 0) line += ` (${crop.pest_affected_fields} with pests)`;
+        return line;
+      }),
+      audience: profile ? {
+        text: profile.audience,
+        analysisFocus: profile.analysisFocus,
+        recommendationsFocus: profile.recommendationsFocus,
+        stakeholderData: buildStakeholderData(profile, field)
+      } : null
+    };
   }
 
   getTriggerDescription(triggerType) {
@@ -404,14 +556,15 @@ class ReportService {
       'new_field': 'New field registration and initial assessment',
       'field_update': 'Field data update or modification',
       'growth_stage_change': 'Crop growth stage progression',
-      'loss_event': 'Loss or damage reported'
+      'loss_event': 'Loss or damage reported',
+      'weather_alert': 'Severe weather forecast for this field'
     };
     
     return descriptions[triggerType] || triggerType;
   }
 
   prepareReportData(data) {
-    const { report, fieldDetails, farmFields, farmStats, cropAnalysis, weatherData, aiAnalysis, aiRecommendations } = data;
+    const { report, recipient, fieldDetails, farmFields, farmStats, cropAnalysis, weatherData, profile, aiAnalysis, aiRecommendations, promptVersion, phenology, season, waterBalance, weatherAlerts, lossAssessment, indexInsurance, yieldForecast, creditScore, operationalRisk } = data;
     
     // Calculate planting date range with simple formatting
     const plantingDates = farmFields.filter(f => f.planting_date).map(f => f.planting_date);
@@ -427,10 +580,16 @@ class ReportService {
       latestPlanting = latest.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     }
 
+    // Dated from when the report was queued, so a retry on a later day keeps
+    // the same id in the archive and delivery history
+    const reportId = `YLD-${report.id}-${moment(report.created_at).format('YYYYMMDD')}`;
+
     return {
       // Report metadata
       reportType: this.getReportTypeDescription(report.trigger_type),
-      reportId: `YLD-${report.id}-${moment().format('YYYYMMDD')}`,
+      reportId,
+      // Loss reports use the claim evidence layout
+      template: lossAssessment ? 'loss' : 'standard',
       generatedDate: moment().format('MMMM Do, YYYY [at] h:mm A'),
       assessmentDate: moment(report.created_at).format('MMMM Do, YYYY'),
       assessmentTrigger: this.getTriggerDescription(report.trigger_type),
@@ -442,7 +601,15 @@ class ReportService {
       totalArea: Math.round(farmFields.reduce((sum, f) => sum + (parseFloat(f.field_size) || 0), 0) * 10) / 10,
       
       // User information
-      recipientName: `${report.first_name} ${report.last_name}`,
+      recipientName: recipient.name,
+      recipientRole: recipient.role,
+
+      // Stakeholder profile - decides which sections the templates render
+      profile: profile.key,
+      subject: this.getSubject(profile, fieldDetails, weatherAlerts, lossAssessment),
+      sections: getSectionsForTrigger(profile, report.trigger_type),
+      recommendationsTitle: profile.recommendationsTitle,
+      stakeholderData: buildStakeholderData(profile, fieldDetails),
 
       // Crop analysis with simple date formatting
       cropAnalysis: cropAnalysis ? cropAnalysis.map(crop => ({
@@ -454,7 +621,31 @@ class ReportService {
       })) : null,
 
       // Weather data
+      weatherAlerts: weatherAlerts && weatherAlerts.length > 0 ? weatherAlerts : null,
       weather: weatherData,
+      weatherNotices: this.getWeatherNotices(weatherData),
+      season: season ? {
+        ...season,
+        start: moment(season.start).format('MMM D, YYYY'),
+        dataThrough: moment(season.dataThrough).format('MMM D, YYYY')
+      } : null,
+      lossAssessment: lossAssessment ? this.formatLossAssessment(lossAssessment) : null,
+      indexInsurance: indexInsurance ? indexInsurance.map(policy => this.formatIndexPolicy(policy)) : null,
+      yieldForecast: yieldForecast ? {
+        ...yieldForecast,
+        measured: yieldForecast.basis === 'actual',
+        basisLabel: this.getYieldBasisLabel(yieldForecast.basis)
+      } : null,
+      creditScore: creditScore ? this.formatCreditScore(creditScore) : null,
+      operationalRisk,
+      claimSummary: lossAssessment ? this.lossAssessment.buildClaimSummary(lossAssessment, { reportId, fieldDetails }) : null,
+      waterBalance: waterBalance ? {
+        ...waterBalance,
+        irrigation: waterBalance.mode === 'irrigation',
+        depletionAssumed: waterBalance.depletionSource === 'assumed',
+        depletionFromSoilMoisture: waterBalance.depletionSource === 'soil_moisture',
+        schedule: (waterBalance.schedule || []).map(event => ({ ...event, date: moment(event.date).format('ddd, MMM D') }))
+      } : null,
 
       // Field details (the specific field that triggered the report)
       triggerField: {
@@ -468,38 +659,158 @@ class ReportService {
         captureDate: fieldDetails.created_at ? moment(fieldDetails.created_at).format('MMMM Do, YYYY [at] h:mm A') : null
       },
 
+      // Growth stage estimated from degree days; shown when the observed stage is missing or doubtful
+      growthStage: phenology ? {
+        ...phenology,
+        nextStageDate: phenology.nextStageDate ? moment(phenology.nextStageDate).format('MMMM Do, YYYY') : null,
+        method: phenology.source === 'gdd' ? `${phenology.gdd} growing degree days since planting` : `${phenology.daysSincePlanting} days since planting`
+      } : null,
+
       // Yieldera Engine generated content
-      aiAnalysis: aiAnalysis ? this.formatYielderaContent(aiAnalysis) : null,
-      aiRecommendations: aiRecommendations ? this.formatYielderaContent(aiRecommendations) : null
+      promptVersion: promptVersion || null,
+      aiAnalysis: aiAnalysis ? this.formatEngineAnalysis(aiAnalysis) : null,
+      aiRecommendations: aiRecommendations ? this.formatEngineRecommendations(aiRecommendations) : null
     };
   }
 
+  getSubject(profile, fieldDetails, weatherAlerts, lossAssessment) {
+    if (weatherAlerts && weatherAlerts.length > 0) {
+      return `Weather Alert: ${[...new Set(weatherAlerts.map(alert => alert.label))].join(', ')}`;
+    }
+    if (lossAssessment) return `Loss Assessment: ${fieldDetails.field_name}`;
+    return profile.subject;
+  }
+
   getReportTypeDescription(triggerType) {
     const types = {
       'new_field': 'Field Registration Report',
       'field_update': 'Field Assessment Update',
       'growth_stage_change': 'Crop Development Report',
-      'loss_event': 'Loss Assessment Report'
+      'loss_event': 'Loss Assessment Report',
+      'weather_alert': 'Weather Alert'
     };
     
     return types[triggerType] || 'Agricultural Assessment Report';
   }
 
-  formatYielderaContent(content) {
-    // Convert Yieldera Engine response to HTML with basic formatting
-    return content
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>')
-      .replace(/^/, '<p>')
-      .replace(/$/, '</p>')
-      .replace(/(\d+\.)/g, '<br><strong>$1</strong>')
-      .replace(/<p><br>/g, '<p>');
+  getYieldBasisLabel(basis) {
+    const labels = {
+      actual: 'Harvested yield',
+      blend: 'Expected and previous season yield',
+      previous_season: 'Previous season yield',
+      expected: 'Expected yield',
+      reference: 'Typical yield for the crop'
+    };
+
+    return labels[basis] || basis;
+  }
+
+  // Signed impact labels for the scorecard tables
+  formatCreditScore(scorecard) {
+    return {
+      ...scorecard,
+      lowGrade: ['D', 'E'].includes(scorecard.grade),
+      factors: scorecard.factors.map(factor => ({
+        ...factor,
+        direction: factor.impact > 0 ? 'up' : factor.impact < 0 ? 'down' : 'none',
+        impactLabel: factor.impact > 0 ? `+${factor.impact}` : String(factor.impact)
+      }))
+    };
+  }
+
+  // Display dates and one row per cover for the index insurance tables
+  formatIndexPolicy(policy) {
+    const date = value => (value ? moment(value).format('MMM D') : null);
+
+    return {
+      ...policy,
+      dataThrough: policy.dataThrough ? moment(policy.dataThrough).format('MMM D, YYYY') : null,
+      rows: policy.phases.flatMap(phase => phase.covers.map(cover => ({
+        phase: `${phase.label} (${date(phase.start)} - ${date(phase.end)})`,
+        phaseStatus: phase.status,
+        cover: cover.label,
+        value: cover.value === null ? null : `${cover.value} ${cover.unit}`,
+        projected: cover.projected === null ? null : `${cover.projected} ${cover.unit}`,
+        range: `${cover.trigger} - ${cover.exit} ${cover.unit}`,
+        status: cover.status,
+        statusLabel: cover.statusLabel,
+        payout: `${cover.payoutPercent}% (projected ${cover.projectedPayoutPercent}%)`
+      })))
+    };
+  }
+
+  // Display dates and flags for the loss assessment email and PDF layouts
+  formatLossAssessment(assessment) {
+    return {
+      ...assessment,
+      lossDate: moment(assessment.lossDate).format('MMMM Do, YYYY'),
+      dateRecorded: assessment.dateSource === 'recorded',
+      eventWindow: `${moment(assessment.eventWindow.start).format('MMM D')} - ${moment(assessment.eventWindow.end).format('MMM D, YYYY')}`,
+      weather: {
+        ...assessment.weather,
+        days: assessment.weather.days.map(day => ({ ...day, date: moment(day.date).format('ddd, MMM D') }))
+      },
+      yield: {
+        ...assessment.yield,
+        measured: assessment.yield.estimateBasis === 'actual',
+        coveragePercent: Math.round(assessment.yield.coverageLevel * 100),
+        referenceLabel: assessment.yield.referenceBasis === 'previous_season' ? 'Previous season yield' : 'Expected yield'
+      }
+    };
+  }
+
+  // Adds display labels to validated engine output for the email and PDF templates
+  formatEngineAnalysis(analysis) {
+    return {
+      ...analysis,
+      risks: analysis.risks.map(risk => ({ ...risk, severityLabel: label('severity', risk.severity) }))
+    };
+  }
+
+  formatEngineRecommendations(recommendations) {
+    return {
+      ...recommendations,
+      recommendations: recommendations.recommendations.map(item => ({
+        ...item,
+        urgencyLabel: label('urgency', item.urgency),
+        costLabel: label('costTier', item.costTier)
+      }))
+    };
+  }
+
+  // Plain-language caveats shown above the weather tables when weather data is
+  // missing, incomplete or served from the cache
+  getWeatherNotices(weatherData) {
+    if (!weatherData) return [];
+    if (weatherData.available === false) {
+      return ['Weather data could not be retrieved for this field, so this report makes no weather-based assessment.'];
+    }
+
+    const notices = [];
+    const quality = weatherData.quality || {};
+
+    if (weatherData.stale) {
+      notices.push(`The weather service could not be reached for this report. Weather below was fetched on ${moment(weatherData.fetchedAt).format('MMMM Do, YYYY [at] h:mm A')}.`);
+    }
+    if (quality.history === 'unavailable') {
+      notices.push('Past weather could not be retrieved; only the forecast is shown.');
+    } else if (quality.history === 'partial') {
+      notices.push(`Only ${weatherData.analysis.last7Days.completeDays} of the last 7 days have complete weather readings. Missing readings are shown as "-" and left out of the totals.`);
+    }
+    if (quality.forecast === 'unavailable') {
+      notices.push('The weather forecast could not be retrieved.');
+    }
+
+    return notices;
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getRateLimiterStats() {
+    return [
+      this.llm.limiter.getStats(),
+      this.weather.limiter.getStats(),
+      this.email.limiter.getStats(),
+      ...this.notifications.getRateLimiterStats()
+    ];
   }
 }
 
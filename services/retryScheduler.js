@@ -0,0 +1,36 @@
+const { envInteger } = require('../utils/env');
+
+class RetryScheduler {
+  constructor(dbService) {
+    this.db = dbService;
+
+    this.maxRetries = envInteger('REPORT_MAX_RETRIES', 5, { min: 0 });
+    this.baseDelaySeconds = envInteger('REPORT_RETRY_BASE_DELAY_SECONDS', 60, { min: 0 });
+    this.maxDelaySeconds = envInteger('REPORT_RETRY_MAX_DELAY_SECONDS', 3600, { min: 0 });
+  }
+
+  getRetryDelay(retryCount) {
+    // Exponential backoff: base, 2x base, 4x base ... capped at the configured maximum
+    const delay = this.baseDelaySeconds * Math.pow(2, Math.max(retryCount - 1, 0));
+    return Math.min(delay, this.maxDelaySeconds);
+  }
+
+  async handleFailure(report, error) {
+    const retryCount = (report.retry_count || 0) + 1;
+    const errorMessage = error.message || String(error);
+
+    if (retryCount > this.maxRetries) {
+      await this.db.markReportDeadLetter(report.id, report.lock_token, errorMessage, retryCount - 1);
+      console.error(`☠️ Report ${report.id} moved to dead letter after ${retryCount - 1} retries`);
+      return { status: 'dead_letter', retryCount: retryCount - 1 };
+    }
+
+    const delaySeconds = this.getRetryDelay(retryCount);
+    await this.db.markReportRetry(report.id, report.lock_token, errorMessage, retryCount, delaySeconds);
+    console.log(`🔁 Report ${report.id} scheduled for retry ${retryCount}/${this.maxRetries} in ${delaySeconds}s`);
+
+    return { status: 'retry', retryCount, delaySeconds };
+  }
+}
+
+module.exports = RetryScheduler;
@@ -0,0 +1,236 @@
+const moment = require('moment');
+const { THRESHOLDS } = require('../config/agronomyRules');
+
+// Season-to-date weather for a field, from planting to the latest archive day,
+// compared with the same calendar window in each of the previous
+// CLIMATOLOGY_YEARS years.
+class SeasonalWeatherService {
+  constructor(dbService, weatherService, phenologyService) {
+    this.db = dbService;
+    this.weather = weatherService;
+    this.phenology = phenologyService;
+    this.climatologyYears = parseInt(process.env.CLIMATOLOGY_YEARS) || 30;
+    // Fewer comparable years than this and the climatology is left out
+    this.minClimatologyYears = Math.min(5, this.climatologyYears);
+    this.pendingClimatology = new Map();
+  }
+
+  // Daily series since planting; shared with the phenology model so the
+  // archive is only asked once per report
+  async getSeasonSeries(fieldDetails, now = new Date()) {
+    if (!fieldDetails || !fieldDetails.latitude || !fieldDetails.longitude) return null;
+    if (!fieldDetails.planting_date || !moment(fieldDetails.planting_date).isValid()) return null;
+
+    const start = moment(fieldDetails.planting_date).startOf('day');
+    const end = moment(now).startOf('day');
+    const days = end.diff(start, 'days');
+
+    // A planting date more than a year old belongs to an earlier season
+    if (days < 1 || days > 366) return null;
+
+    return this.weather.getDailySeries(fieldDetails.latitude, fieldDetails.longitude, start, end);
+  }
+
+  async summarize(fieldDetails, series) {
+    if (!series) return null;
+
+    const observed = series.filter(day => this.isComplete(day));
+    if (observed.length === 0) return null;
+
+    const phases = new Map(this.phenology.buildTimeline(observed, fieldDetails).map(day => [day.date, day.phase]));
+    const sensitiveDays = observed.filter(day => phases.get(day.date) === 'reproductive');
+    const stats = this.computeStats(observed);
+    const start = observed[0].date;
+    const dataThrough = observed[observed.length - 1].date;
+
+    const climatology = await this.getClimatology(fieldDetails, start, dataThrough);
+    const summary = {
+      start,
+      dataThrough,
+      days: observed.length,
+      ...stats,
+      currentDrySpell: this.trailingDrySpell(observed),
+      sensitive: sensitiveDays.length > 0 ? this.computeStats(sensitiveDays) : null,
+      thresholds: {
+        heatStressTemp: THRESHOLDS.heatStressTemp,
+        frostTemp: THRESHOLDS.frostTemp,
+        dryDayRainfall: THRESHOLDS.dryDayRainfall
+      },
+      climatology: null,
+      rainfallPercentOfNormal: null,
+      rainfallAnomaly: null,
+      rainfallPercentile: null,
+      rainfallCategory: null
+    };
+
+    if (climatology) {
+      summary.climatology = climatology.normal;
+      summary.rainfallAnomaly = Math.round((stats.rainfall - climatology.normal.rainfall) * 10) / 10;
+      summary.rainfallPercentOfNormal = climatology.normal.rainfall > 0
+        ? Math.round((stats.rainfall / climatology.normal.rainfall) * 100)
+        : null;
+      summary.rainfallPercentile = Math.round(
+        (climatology.rainfallByYear.filter(value => value < stats.rainfall).length / climatology.rainfallByYear.length) * 100
+      );
+      summary.rainfallCategory = this.categorizeRainfall(summary.rainfallPercentOfNormal);
+    }
+
+    return summary;
+  }
+
+  computeStats(days) {
+    let longestDrySpell = 0;
+    let drySpell = 0;
+
+    days.forEach(day => {
+      drySpell = day.precipitation < THRESHOLDS.dryDayRainfall ? drySpell + 1 : 0;
+      longestDrySpell = Math.max(longestDrySpell, drySpell);
+    });
+
+    const total = (key) => days.reduce((sum, day) => sum + day[key], 0);
+
+    return {
+      rainfall: Math.round(total('precipitation') * 10) / 10,
+      rainyDays: days.filter(day => day.precipitation >= THRESHOLDS.dryDayRainfall).length,
+      dryDays: days.filter(day => day.precipitation < THRESHOLDS.dryDayRainfall).length,
+      longestDrySpell,
+      heatStressDays: days.filter(day => day.tempMax >= THRESHOLDS.heatStressTemp).length,
+      frostDays: days.filter(day => day.tempMin <= THRESHOLDS.frostTemp).length,
+      meanMaxTemp: Math.round((total('tempMax') / days.length) * 10) / 10,
+      meanMinTemp: Math.round((total('tempMin') / days.length) * 10) / 10,
+      days: days.length
+    };
+  }
+
+  trailingDrySpell(days) {
+    let count = 0;
+    for (let index = days.length - 1; index >= 0 && days[index].precipitation < THRESHOLDS.dryDayRainfall; index--) {
+      count++;
+    }
+    return count;
+  }
+
+  categorizeRainfall(percentOfNormal) {
+    if (percentOfNormal === null) return null;
+    if (percentOfNormal < 60) return 'well below normal';
+    if (percentOfNormal < 85) return 'below normal';
+    if (percentOfNormal <= 115) return 'near normal';
+    if (percentOfNormal <= 140) return 'above normal';
+    return 'well above normal';
+  }
+
+  // Same calendar window (planting day to latest archive day) in each past year
+  async getClimatology(fieldDetails, startDate, endDate) {
+    const history = await this.getClimatologySeries(fieldDetails.latitude, fieldDetails.longitude);
+    if (!history) return null;
+
+    const byDate = new Map(history.map(day => [day.date, day]));
+    const windows = [];
+
+    for (let yearsBack = 1; yearsBack <= this.climatologyYears; yearsBack++) {
+      const start = moment(startDate).subtract(yearsBack, 'years');
+      const end = moment(endDate).subtract(yearsBack, 'years');
+      const days = [];
+
+      for (const date = start.clone(); date.isSameOrBefore(end); date.add(1, 'day')) {
+        const day = byDate.get(date.format('YYYY-MM-DD'));
+        if (day && this.isComplete(day)) days.push(day);
+      }
+
+      // Skip years with gaps rather than under-count their rainfall
+      if (days.length >= (end.diff(start, 'days') + 1) * 0.9) {
+        windows.push(this.computeStats(days));
+      }
+    }
+
+    if (windows.length < this.minClimatologyYears) return null;
+
+    const mean = (key) => Math.round((windows.reduce((sum, window) => sum + window[key], 0) / windows.length) * 10) / 10;
+
+    return {
+      normal: {
+        years: windows.length,
+        rainfall: mean('rainfall'),
+        rainyDays: mean('rainyDays'),
+        longestDrySpell: mean('longestDrySpell'),
+        heatStressDays: mean('heatStressDays'),
+        frostDays: mean('frostDays'),
+        meanMaxTemp: mean('meanMaxTemp'),
+        meanMinTemp: mean('meanMinTemp')
+      },
+      rainfallByYear: windows.map(window => window.rainfall)
+    };
+  }
+
+  // Long-term daily series for the field's 0.1° cell, read from the
+  // climatology cache or fetched once and stored. The range covers the
+  // previous CLIMATOLOGY_YEARS years plus one, for seasons that cross a new year.
+  async getClimatologySeries(latitude, longitude) {
+    const lat = Math.round(parseFloat(latitude) * 10) / 10;
+    const lon = Math.round(parseFloat(longitude) * 10) / 10;
+    const locationKey = `${lat.toFixed(1)},${lon.toFixed(1)}`;
+    const endYear = moment().year() - 1;
+    const startYear = endYear - this.climatologyYears;
+    const pendingKey = `${locationKey}:${startYear}-${endYear}`;
+
+    // Reports for neighbouring fields run concurrently; share one fetch
+    if (this.pendingClimatology.has(pendingKey)) return this.pendingClimatology.get(pendingKey);
+
+    const request = (async () => {
+      try {
+        const cached = await this.db.getClimatologySeries(locationKey, startYear, endYear);
+        if (cached) return this.expandSeries(JSON.parse(cached.series));
+      } catch (error) {
+        console.error('⚠️ Climatology cache lookup failed:', error.message);
+      }
+
+      console.log(`🌍 Fetching ${this.climatologyYears}-year climatology for ${locationKey}`);
+      const series = await this.weather.getDailySeries(lat, lon, `${startYear}-01-01`, `${endYear}-12-31`, { cache: false });
+      if (!series || series.length === 0) return null;
+
+      try {
+        await this.db.saveClimatologySeries(locationKey, startYear, endYear, JSON.stringify(this.compactSeries(series)));
+      } catch (error) {
+        console.error('⚠️ Climatology cache write failed:', error.message);
+      }
+
+      return series;
+    })();
+
+    this.pendingClimatology.set(pendingKey, request);
+    try {
+      return await request;
+    } finally {
+      this.pendingClimatology.delete(pendingKey);
+    }
+  }
+
+  // Stored as parallel arrays from a start date to keep 30 years of days small
+  compactSeries(series) {
+    const round = value => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+    return {
+      start: series[0].date,
+      tempMax: series.map(day => round(day.tempMax)),
+      tempMin: series.map(day => round(day.tempMin)),
+      precipitation: series.map(day => round(day.precipitation))
+    };
+  }
+
+  expandSeries(compact) {
+    const start = moment(compact.start);
+
+    return compact.precipitation.map((precipitation, index) => ({
+      date: start.clone().add(index, 'days').format('YYYY-MM-DD'),
+      tempMax: compact.tempMax[index],
+      tempMin: compact.tempMin[index],
+      precipitation
+    }));
+  }
+
+  isComplete(day) {
+    return typeof day.tempMax === 'number' && typeof day.tempMin === 'number' && typeof day.precipitation === 'number';
+  }
+}
+
+module.exports = SeasonalWeatherService;
@@ -0,0 +1,169 @@
+const { THRESHOLDS } = require('../config/agronomyRules');
+
+const WEATHER_RISK_LABELS = {
+  drought: 'Dry spell',
+  frost: 'Frost risk',
+  heat_stress: 'Heat stress',
+  disease_pressure: 'Disease pressure'
+};
+
+// Condensed, character-limited version of a report for SMS and WhatsApp
+class SummaryService {
+  buildSummary(reportData, maxLength = 459, options = {}) {
+    const field = reportData.triggerField || {};
+    const header = `Yieldera ${reportData.reportType}: ${field.field_name} (${field.crop_type || 'crop'})`;
+    const risks = this.getKeyRisks(reportData).slice(0, 3);
+    const actions = this.getTopActions(reportData).slice(0, 3);
+    const footer = `Ref ${reportData.reportId}`;
+
+    // Shorten action items until the whole message fits, then drop whole parts
+    for (const actionLength of [120, 90, 70, 50]) {
+      const message = this.composeMessage(header, risks, actions.map(action => this.truncate(action, actionLength)), footer);
+      if (message.length <= maxLength) return this.finalize(message, options);
+    }
+
+    for (let count = actions.length - 1; count >= 0; count--) {
+      const message = this.composeMessage(header, risks.slice(0, 2), actions.slice(0, count).map(action => this.truncate(action, 50)), footer);
+      if (message.length <= maxLength) return this.finalize(message, options);
+    }
+
+    return this.finalize(this.truncate(`${header}. ${footer}`, maxLength), options);
+  }
+
+  // The same summary as the four body parameters of a WhatsApp message
+  // template: report and field, key risks, top actions and the report reference.
+  // Template parameters are single-line and may not be empty.
+  buildTemplateParameters(reportData, maxLength = 1000) {
+    const field = reportData.triggerField || {};
+    const header = `${reportData.reportType}: ${field.field_name} (${field.crop_type || 'crop'})`;
+    const risks = this.getKeyRisks(reportData).slice(0, 3);
+    const actions = this.getTopActions(reportData).slice(0, 3);
+    const compose = actionLength => [
+      header,
+      risks.length > 0 ? risks.join('; ') : 'None reported',
+      actions.length > 0
+        ? actions.map((action, index) => `${index + 1}) ${this.truncate(action, actionLength)}`).join(' ')
+        : 'See the full report',
+      reportData.reportId
+    ].map(text => String(text).replace(/\s+/g, ' ').trim());
+
+    for (const actionLength of [120, 90, 70, 50]) {
+      const parameters = compose(actionLength);
+      if (parameters.join('').length <= maxLength) return parameters;
+    }
+
+    return compose(50);
+  }
+
+  composeMessage(header, risks, actions, footer) {
+    const parts = [header];
+
+    if (risks.length > 0) {
+      parts.push(`Risks: ${risks.join('; ')}`);
+    }
+
+    if (actions.length > 0) {
+      parts.push(`Actions: ${actions.map((action, index) => `${index + 1}) ${action}`).join(' ')}`);
+    }
+
+    parts.push(footer);
+    return parts.join('\n');
+  }
+
+  getKeyRisks(reportData) {
+    const field = reportData.triggerField || {};
+    const weather = reportData.weather;
+    const season = reportData.season;
+    // A running season dry spell replaces the 7-day drought risk
+    const drySpell = Boolean(season && season.currentDrySpell >= THRESHOLDS.drySpellDays);
+    const risks = [];
+
+    // Forecast hazards lead on weather alert reports
+    (reportData.weatherAlerts || []).forEach(alert => risks.push(`${alert.label} ${alert.window}`));
+
+    if (field.loss_occurred_current_season) {
+      risks.push(`Loss reported${field.loss_percentage ? ` (${field.loss_percentage}%)` : ''}`);
+    }
+
+    if (reportData.aiAnalysis && reportData.aiAnalysis.risks) {
+      reportData.aiAnalysis.risks
+        .filter(risk => ['critical', 'high'].includes(risk.severity))
+        .forEach(risk => risks.push(risk.title));
+    }
+
+    if (weather && weather.analysis && weather.analysis.trends && weather.analysis.trends.riskFactors) {
+      const last7Days = weather.analysis.last7Days || {};
+      weather.analysis.trends.riskFactors.forEach(risk => {
+        if (risk === 'frost') risks.push(`${WEATHER_RISK_LABELS.frost} (min ${last7Days.lowestTemp}°C)`);
+        else if (risk === 'heat_stress') risks.push(`${WEATHER_RISK_LABELS.heat_stress} (max ${last7Days.highestTemp}°C)`);
+        else if (risk === 'drought') {
+          if (!drySpell) risks.push(`${WEATHER_RISK_LABELS.drought} (${last7Days.totalRainfall}mm in 7 days)`);
+        } else if (WEATHER_RISK_LABELS[risk]) risks.push(WEATHER_RISK_LABELS[risk]);
+      });
+    }
+
+    if (season) {
+      if (drySpell) risks.push(`${WEATHER_RISK_LABELS.drought} (${season.currentDrySpell} days)`);
+      if (['below normal', 'well below normal'].includes(season.rainfallCategory)) {
+        risks.push(`Season rain ${season.rainfallPercentOfNormal}% of normal`);
+      }
+    }
+
+    if (reportData.waterBalance && reportData.waterBalance.status === 'severe') {
+      risks.push(`Soil water deficit ${reportData.waterBalance.deficitPercent}%`);
+    }
+
+    if (field.pest_infestation_level && !['None', 'Low'].includes(field.pest_infestation_level)) {
+      risks.push(`Pests ${field.pest_infestation_level.toLowerCase()}`);
+    }
+
+    if (field.disease_occurrence) {
+      risks.push('Disease observed');
+    }
+
+    return risks;
+  }
+
+  getTopActions(reportData) {
+    const actions = [];
+    const balance = reportData.waterBalance;
+
+    if (balance && balance.irrigation && balance.schedule.length > 0) {
+      const next = balance.schedule[0];
+      actions.push(`Irrigate ${next.grossMm}mm (${next.volumeM3}m3) on ${next.date}`);
+    }
+
+    // Engine recommendations arrive ordered by urgency; ones that contradict an
+    // agronomy rule need the full report's explanation, so they stay out of SMS
+    if (reportData.aiRecommendations && reportData.aiRecommendations.recommendations) {
+      actions.push(...reportData.aiRecommendations.recommendations
+        .filter(item => !item.ruleConflict)
+        .map(item => item.action.split(/(?<=[.!?])\s/)[0]));
+    }
+
+    const weatherRecommendations = reportData.weather && reportData.weather.agronomicInsights
+      ? reportData.weather.agronomicInsights.recommendations || []
+      : [];
+    actions.push(...weatherRecommendations);
+
+    return actions;
+  }
+
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return `${text.slice(0, maxLength - 3).trimEnd()}...`;
+  }
+
+  finalize(message, options) {
+    if (!options.asciiOnly) return message;
+
+    return message
+      .replace(/°C/g, 'C')
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[–—]/g, '-')
+      .replace(/[^\x20-\x7E\n]/g, '');
+  }
+}
+
+module.exports = SummaryService;
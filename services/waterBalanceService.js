@@ -0,0 +1,230 @@
+const moment = require('moment');
+const {
+  CROP_WATER,
+  PHASE_WATER,
+  DEFAULT_SOIL,
+  IRRIGATED_METHODS,
+  IRRIGATION_EFFICIENCY,
+  THRESHOLDS,
+  resolveCropKey,
+  resolveSoil,
+  classifyGrowthStage
+} = require('../config/agronomyRules');
+
+// Crop water use (ETc = Kc x ET0) and a single-bucket root zone water balance
+// (FAO-56). Irrigated fields get a 7-day irrigation schedule with volumes;
+// rainfed fields get a soil water deficit indicator.
+class WaterBalanceService {
+  constructor(phenologyService) {
+    this.phenology = phenologyService;
+  }
+
+  // `seasonSeries` is the daily archive since planting, `phenology` the growth
+  // stage estimate; either may be null
+  assess(fieldDetails, { weatherData = null, seasonSeries = null, phenology = null, now = new Date() } = {}) {
+    const irrigation = fieldDetails.irrigation_method_enhanced;
+    const irrigated = IRRIGATED_METHODS.includes(irrigation);
+    if (!irrigated && irrigation !== 'Rainfed') return null;
+
+    // Water use no longer affects yield once the crop is mature
+    const phase = classifyGrowthStage(fieldDetails.current_growth_stage) || (phenology ? phenology.phase : null);
+    if (!phase || ['maturity', 'harvested'].includes(phase)) return null;
+
+    const forecast = weatherData && weatherData.current ? weatherData.current.forecast || [] : [];
+    const forecastDays = forecast.filter(day => typeof day.et0 === 'number');
+    if (forecastDays.length === 0) return null;
+
+    const crop = CROP_WATER[resolveCropKey(fieldDetails.crop_type)];
+    const recordedSoil = resolveSoil(fieldDetails.soil_type);
+    const soil = recordedSoil || DEFAULT_SOIL;
+    const root = this.getRootZone(crop, soil, phase);
+    const kc = PHASE_WATER[phase].kc(crop);
+
+    const result = {
+      mode: irrigated ? 'irrigation' : 'deficit',
+      phase,
+      kc: Math.round(kc * 100) / 100,
+      rootDepth: root.depth,
+      soil: soil.name,
+      soilAssumed: !recordedSoil,
+      totalAvailableWater: Math.round(root.taw),
+      readilyAvailableWater: Math.round(root.raw),
+      et0Next7Days: this.round(forecastDays.reduce((sum, day) => sum + day.et0, 0)),
+      etcNext7Days: this.round(forecastDays.reduce((sum, day) => sum + day.et0 * kc, 0)),
+      rainNext7Days: this.round(forecastDays.reduce((sum, day) => sum + (day.precipitation || 0), 0))
+    };
+
+    const soilMoisture = weatherData.current.current ? weatherData.current.current.soilMoisture : null;
+    const current = this.getCurrentDepletion(fieldDetails, root, soil, soilMoisture, seasonSeries);
+
+    return irrigated
+      ? { ...result, ...this.buildSchedule(fieldDetails, irrigation, forecastDays, kc, root, current) }
+      : { ...result, ...this.buildDeficit(forecastDays, kc, root, current, now) };
+  }
+
+  getRootZone(crop, soil, phase) {
+    const depth = Math.round(Math.max(crop.maxRootDepth * PHASE_WATER[phase].rootShare, 0.25) * 100) / 100;
+    const taw = (soil.fieldCapacity - soil.wiltingPoint) * depth * 1000;
+
+    return { depth, taw, raw: taw * crop.depletionFraction, depletionFraction: crop.depletionFraction };
+  }
+
+  // Current root zone depletion from modelled soil moisture when available,
+  // otherwise from a daily balance since planting; null when neither is
+  // available. The season balance does not know about irrigation applied, so
+  // on irrigated fields it is the depletion had the crop not been irrigated.
+  getCurrentDepletion(fieldDetails, root, soil, soilMoisture, seasonSeries) {
+    let depletion = null;
+    let depletionSource = null;
+    let season = null;
+
+    const layers = soilMoisture ? [soilMoisture.upper, soilMoisture.lower].filter(value => typeof value === 'number') : [];
+    if (layers.length > 0) {
+      const moisture = layers.reduce((sum, value) => sum + value, 0) / layers.length;
+      depletion = this.clamp((soil.fieldCapacity - moisture) * root.depth * 1000, root.taw);
+      depletionSource = 'soil_moisture';
+    }
+
+    if (seasonSeries) {
+      season = this.runSeasonBalance(fieldDetails, seasonSeries, soil);
+      if (season && depletion === null) {
+        depletion = this.clamp(season.depletion, root.taw);
+        depletionSource = 'water_balance';
+      }
+    }
+
+    return { depletion, depletionSource, season };
+  }
+
+  // Irrigation events over the forecast week, refilling the root zone to field
+  // capacity whenever depletion reaches the readily available water. When the
+  // current depletion is unknown the root zone is assumed full at the start,
+  // so an empty schedule does not mean no irrigation is needed.
+  buildSchedule(fieldDetails, irrigation, forecastDays, kc, root, current) {
+    const efficiency = IRRIGATION_EFFICIENCY[irrigation] || 0.75;
+    const area = parseFloat(fieldDetails.field_size) || 0;
+    const schedule = [];
+    const known = current.depletion !== null;
+    const startDepletion = known ? current.depletion : 0;
+    let depletion = startDepletion;
+
+    forecastDays.forEach(day => {
+      depletion = this.clamp(depletion + day.et0 * kc - this.effectiveRain(day.precipitation), root.taw);
+
+      if (depletion >= root.raw) {
+        schedule.push(this.buildApplication(moment(day.isoDate), depletion, efficiency, area));
+        depletion = 0;
+      }
+    });
+
+    const averageEtc = forecastDays.reduce((sum, day) => sum + day.et0 * kc, 0) / forecastDays.length;
+    // A full refill of the readily available water at the forecast water use
+    const standard = this.buildApplication(null, root.raw, efficiency, area);
+
+    return {
+      method: irrigation,
+      efficiency,
+      depletionSource: known ? current.depletionSource : 'assumed',
+      depletion: known ? Math.round(startDepletion) : null,
+      deficitPercent: known ? Math.round((startDepletion / root.taw) * 100) : null,
+      schedule,
+      totalGrossMm: this.round(schedule.reduce((sum, event) => sum + event.grossMm, 0)),
+      totalVolumeM3: Math.round(schedule.reduce((sum, event) => sum + event.volumeM3, 0)),
+      intervalDays: averageEtc > 0 ? Math.max(Math.floor(root.raw / averageEtc), 1) : null,
+      applicationNetMm: standard.netMm,
+      applicationGrossMm: standard.grossMm,
+      applicationVolumeM3: standard.volumeM3
+    };
+  }
+
+  buildApplication(date, netMm, efficiency, area) {
+    const grossMm = netMm / efficiency;
+
+    return {
+      date: date ? date.format('YYYY-MM-DD') : null,
+      netMm: this.round(netMm),
+      grossMm: this.round(grossMm),
+      // 1mm over one hectare is 10m3
+      volumeM3: Math.round(grossMm * 10 * area)
+    };
+  }
+
+  // Current root zone depletion projected over the forecast
+  buildDeficit(forecastDays, kc, root, { depletion, depletionSource, season }, now) {
+    if (depletion === null) return { depletionSource: null, status: null };
+
+    let projected = depletion;
+    forecastDays.forEach(day => {
+      projected = this.clamp(projected + day.et0 * kc - this.effectiveRain(day.precipitation), root.taw);
+    });
+
+    return {
+      depletionSource,
+      depletion: Math.round(depletion),
+      deficitPercent: Math.round((depletion / root.taw) * 100),
+      stressCoefficient: this.round(this.stressCoefficient(depletion, root), 2),
+      status: this.classifyDeficit(depletion, root),
+      projectedDeficitPercent: Math.round((projected / root.taw) * 100),
+      projectedStatus: this.classifyDeficit(projected, root),
+      seasonEtc: season ? this.round(season.etc) : null,
+      seasonEffectiveRain: season ? this.round(season.effectiveRain) : null,
+      dataThrough: season ? season.dataThrough : moment(now).format('YYYY-MM-DD')
+    };
+  }
+
+  // Daily balance from planting, starting at field capacity, with the crop
+  // coefficient and rooting depth following the estimated phase on each day
+  runSeasonBalance(fieldDetails, seasonSeries, soil) {
+    const days = seasonSeries.filter(day => typeof day.et0 === 'number' && typeof day.precipitation === 'number');
+    if (days.length === 0) return null;
+
+    const crop = CROP_WATER[resolveCropKey(fieldDetails.crop_type)];
+    const phases = new Map(this.phenology.buildTimeline(seasonSeries, fieldDetails).map(day => [day.date, day.phase]));
+    let depletion = 0;
+    let etc = 0;
+    let effectiveRain = 0;
+
+    days.forEach(day => {
+      const phase = PHASE_WATER[phases.get(day.date)] ? phases.get(day.date) : 'establishment';
+      const root = this.getRootZone(crop, soil, phase);
+      const dayEtc = day.et0 * PHASE_WATER[phase].kc(crop);
+      const rain = this.effectiveRain(day.precipitation);
+
+      etc += dayEtc;
+      effectiveRain += rain;
+      depletion = this.clamp(depletion + dayEtc - rain, root.taw);
+    });
+
+    return { depletion, etc, effectiveRain, dataThrough: days[days.length - 1].date };
+  }
+
+  // FAO-56 water stress coefficient: 1 until the readily available water is used
+  stressCoefficient(depletion, root) {
+    if (depletion <= root.raw) return 1;
+    return Math.max((root.taw - depletion) / (root.taw - root.raw), 0);
+  }
+
+  classifyDeficit(depletion, root) {
+    const ks = this.stressCoefficient(depletion, root);
+    if (ks >= 1) return 'adequate';
+    if (ks >= 0.5) return 'moderate';
+    return 'severe';
+  }
+
+  effectiveRain(precipitation) {
+    return typeof precipitation === 'number' && precipitation >= THRESHOLDS.dryDayRainfall
+      ? precipitation * THRESHOLDS.effectiveRainfall
+      : 0;
+  }
+
+  clamp(value, max) {
+    return Math.min(Math.max(value, 0), max);
+  }
+
+  round(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = WaterBalanceService;
@@ -0,0 +1,165 @@
+const moment = require('moment');
+const { ALERT_RULES } = require('../config/weatherAlerts');
+const { THRESHOLDS, classifyGrowthStage } = require('../config/agronomyRules');
+const { SEVERITIES, label } = require('../utils/engineOutput');
+
+// Daily scan of every field with a standing crop against the 7-day forecast.
+// Forecast hazards queue an urgent 'weather_alert' report for the field; an
+// event that was already alerted is not alerted again unless the forecast
+// makes it more severe.
+class WeatherAlertService {
+  constructor(dbService, weatherService) {
+    this.db = dbService;
+    this.weather = weatherService;
+    this.lastScan = null;
+  }
+
+  // Only one instance scans at a time; resolves to null when another is scanning
+  async scan() {
+    const result = await this.db.withNamedLock('yieldera_weather_alert_scan', () => this.scanFields());
+    if (result === null) {
+      console.log('ℹ️ Weather alert scan already running on another instance');
+      return null;
+    }
+
+    this.lastScan = result;
+    return result;
+  }
+
+  async scanFields() {
+    const startedAt = new Date().toISOString();
+    const fields = (await this.db.getAlertScanFields(THRESHOLDS.harvestGraceDays))
+      .filter(field => classifyGrowthStage(field.current_growth_stage) !== 'harvested');
+    const stats = { fields: fields.length, events: 0, duplicates: 0, reportsQueued: 0, skipped: 0, errors: 0 };
+
+    console.log(`🌦️ Scanning ${fields.length} fields for forecast weather hazards...`);
+
+    // Fields are ordered by location, so neighbours reuse the cached forecast tile
+    for (const field of fields) {
+      try {
+        const forecast = await this.weather.getForecastDays(field.latitude, field.longitude);
+        // An old forecast served while the API is down could alert on weather that has moved on
+        if (!forecast || forecast.stale) {
+          stats.skipped++;
+          continue;
+        }
+
+        const events = this.detectEvents(forecast.days);
+        const fresh = [];
+        stats.events += events.length;
+
+        for (const event of events) {
+          if (await this.isDuplicate(field.id, event)) {
+            stats.duplicates++;
+          } else {
+            fresh.push(event);
+          }
+        }
+
+        if (fresh.length === 0) continue;
+
+        const queueId = await this.db.createWeatherAlertReport(field.id, fresh);
+        stats.reportsQueued++;
+        console.log(`⛈️ Queued weather alert report ${queueId} for ${field.field_name}: ${fresh.map(event => event.message).join('; ')}`);
+      } catch (error) {
+        stats.errors++;
+        console.error(`❌ Weather alert scan failed for field ${field.id}:`, error.message);
+      }
+    }
+
+    return { ...stats, startedAt, finishedAt: new Date().toISOString() };
+  }
+
+  // Consecutive forecast days that meet a rule form one event
+  detectEvents(days) {
+    const events = [];
+
+    Object.entries(ALERT_RULES).forEach(([type, rule]) => {
+      let run = [];
+      const close = () => {
+        if (run.length > 0 && run.length >= rule.minDays) events.push(this.buildEvent(type, rule, run));
+        run = [];
+      };
+
+      days.forEach(day => {
+        const value = rule.reading(day);
+        if (typeof value === 'number' && rule.applies(value)) {
+          run.push({ date: day.date, value });
+        } else {
+          close();
+        }
+      });
+      close();
+    });
+
+    return events.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  buildEvent(type, rule, run) {
+    const values = run.map(day => day.value);
+    const event = {
+      type,
+      start: run[0].date,
+      end: run[run.length - 1].date,
+      days: run.length,
+      peak: rule.peak === 'min' ? Math.min(...values) : Math.max(...values)
+    };
+
+    event.severity = rule.severity(event);
+    event.message = `${rule.label} ${this.formatWindow(event.start, event.end)}: ${rule.describe(event)}`;
+    return event;
+  }
+
+  formatWindow(start, end) {
+    return start === end
+      ? `on ${moment(start).format('ddd, MMM D')}`
+      : `from ${moment(start).format('ddd, MMM D')} to ${moment(end).format('ddd, MMM D')}`;
+  }
+
+  // An event overlapping or touching one already alerted for the field is the
+  // same event, unless this forecast makes it more severe. The recorded window
+  // follows the forecast so the event keeps matching on later scans.
+  async isDuplicate(fieldId, event) {
+    const existing = await this.db.getOverlappingWeatherAlerts(fieldId, event.type, event.start, event.end);
+    if (existing.length === 0) return false;
+
+    const alerted = Math.max(...existing.map(alert => SEVERITIES.indexOf(alert.severity)));
+    if (SEVERITIES.indexOf(event.severity) > alerted) return false;
+
+    await this.db.updateWeatherAlertWindow(existing[0].id, event.start, event.end, event.peak, event.message);
+    return true;
+  }
+
+  // The alerts a queued weather_alert report announces, with the protective
+  // action for each hazard
+  async getReportAlerts(queueId) {
+    const rows = await this.db.getWeatherAlertsForReport(queueId);
+
+    return rows.map(row => {
+      const rule = ALERT_RULES[row.alert_type] || {};
+      const start = moment(row.event_start).format('YYYY-MM-DD');
+      const end = moment(row.event_end).format('YYYY-MM-DD');
+
+      return {
+        type: row.alert_type,
+        label: rule.label || row.alert_type,
+        severity: row.severity,
+        severityLabel: label('severity', row.severity),
+        start,
+        end,
+        window: start === end
+          ? moment(start).format('ddd D MMM')
+          : `${moment(start).format('ddd D MMM')}-${moment(end).format('ddd D MMM')}`,
+        peak: row.peak_value === null ? null : parseFloat(row.peak_value),
+        message: row.message,
+        action: rule.action || null
+      };
+    });
+  }
+
+  getStats() {
+    return this.lastScan;
+  }
+}
+
+module.exports = WeatherAlertService;
@@ -0,0 +1,117 @@
+const moment = require('moment');
+const { envInteger } = require('../utils/env');
+
+// Open-Meteo responses shared between nearby fields. Coordinates are rounded
+// to a tile (WEATHER_CACHE_DECIMALS places, about 1km at 2) and the API is
+// asked for the tile, so every field in it gets the same response. Concurrent
+// requests for one tile share a single call, and the last good response is
+// served, marked stale, when the API is unreachable.
+class WeatherCache {
+  constructor(dbService) {
+    this.db = dbService;
+    this.enabled = process.env.WEATHER_CACHE_ENABLED !== 'false';
+    this.decimals = envInteger('WEATHER_CACHE_DECIMALS', 2, { min: 0 });
+    this.ttlSeconds = envInteger('WEATHER_CACHE_TTL_SECONDS', 10800, { min: 0 });
+    // How old a response may be and still be used when the API is down
+    this.maxStaleHours = envInteger('WEATHER_CACHE_MAX_STALE_HOURS', 72, { min: 0 });
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0, coalesced: 0, staleServed: 0, errors: 0 };
+  }
+
+  getTile(latitude, longitude) {
+    const factor = Math.pow(10, this.decimals);
+    const lat = Math.round(parseFloat(latitude) * factor) / factor;
+    const lon = Math.round(parseFloat(longitude) * factor) / factor;
+
+    return { lat, lon, key: `${lat.toFixed(this.decimals)},${lon.toFixed(this.decimals)}` };
+  }
+
+  // Resolves to { data, fetchedAt, stale }. `fetcher(lat, lon)` calls the API
+  // for the tile and should throw on failure; it is rethrown when there is no
+  // usable cached response either.
+  async fetch(kind, latitude, longitude, fetcher, requestDate = moment().format('YYYY-MM-DD')) {
+    const tile = this.getTile(latitude, longitude);
+    const pendingKey = `${tile.key}:${kind}:${requestDate}`;
+
+    if (this.pending.has(pendingKey)) {
+      this.stats.coalesced++;
+      return this.pending.get(pendingKey);
+    }
+
+    const request = this.load(tile, kind, requestDate, fetcher);
+    this.pending.set(pendingKey, request);
+    try {
+      return await request;
+    } finally {
+      this.pending.delete(pendingKey);
+    }
+  }
+
+  async load(tile, kind, requestDate, fetcher) {
+    if (this.enabled) {
+      try {
+        const entry = await this.db.getWeatherCacheEntry(tile.key, kind, requestDate);
+        if (entry) {
+          this.stats.hits++;
+          return { data: JSON.parse(entry.data), fetchedAt: new Date(entry.fetched_at).toISOString(), stale: false };
+        }
+      } catch (error) {
+        console.error('⚠️ Weather cache lookup failed:', error.message);
+      }
+      this.stats.misses++;
+    }
+
+    let data;
+    try {
+      data = await fetcher(tile.lat, tile.lon);
+    } catch (error) {
+      this.stats.errors++;
+      const fallback = await this.getStale(tile, kind);
+      if (!fallback) throw error;
+
+      console.log(`⚠️ Open-Meteo unreachable (${error.message}); using ${kind} weather for ${tile.key} fetched ${fallback.fetchedAt}`);
+      this.stats.staleServed++;
+      return fallback;
+    }
+
+    if (this.enabled) {
+      try {
+        await this.db.saveWeatherCacheEntry(tile.key, kind, requestDate, JSON.stringify(data), this.ttlSeconds);
+      } catch (error) {
+        console.error('⚠️ Weather cache write failed:', error.message);
+      }
+    }
+
+    return { data, fetchedAt: new Date().toISOString(), stale: false };
+  }
+
+  async getStale(tile, kind) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await this.db.getLatestWeatherCacheEntry(tile.key, kind, this.maxStaleHours);
+      if (!entry) return null;
+
+      return { data: JSON.parse(entry.data), fetchedAt: new Date(entry.fetched_at).toISOString(), stale: true };
+    } catch (error) {
+      console.error('⚠️ Weather cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async purge() {
+    return this.db.purgeWeatherCache(this.maxStaleHours);
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ttlSeconds: this.ttlSeconds,
+      maxStaleHours: this.maxStaleHours,
+      tileDecimals: this.decimals,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = WeatherCache;
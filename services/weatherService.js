@@ -1,25 +1,43 @@
 const axios = require('axios');
 const moment = require('moment');
+const RateLimiter = require('../utils/rateLimiter');
+
+// Missing readings stay null rather than becoming 0 or a display string
+function roundOrNull(value, decimals = 0) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+// Fewer days with rainfall than this and the 7-day total is left out rather
+// than under-counted into a false dry week
+const MIN_RAINFALL_DAYS = 5;
+
+// How far back the forecast API serves past days
+const RECENT_PAST_DAYS = 92;
 
 class WeatherService {
-  constructor() {
+  // `cache` is an optional WeatherCache shared by every report in the process
+  constructor(cache = null) {
     this.baseUrl = 'https://api.open-meteo.com/v1/forecast';
     this.historicalUrl = 'https://archive-api.open-meteo.com/v1/archive';
+    this.cache = cache;
+
+    this.limiter = new RateLimiter({
+      name: 'open-meteo',
+      requestsPerMinute: parseInt(process.env.WEATHER_RATE_LIMIT_PER_MINUTE) || 300,
+      maxConcurrent: parseInt(process.env.WEATHER_MAX_CONCURRENT) || 4
+    });
   }
 
   async getCurrentWeather(latitude, longitude) {
     try {
-      const params = {
-        latitude: latitude,
-        longitude: longitude,
-        current: 'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m,wind_direction_10m',
-        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,wind_speed_10m_max,sunrise,sunset',
-        timezone: 'auto',
-        forecast_days: 7
-      };
-
-      const response = await axios.get(this.baseUrl, { params });
-      return this.formatCurrentWeather(response.data);
+      const { data } = await this.fetchForecast(latitude, longitude);
+      return this.formatCurrentWeather(data);
     } catch (error) {
       console.error('Error fetching current weather:', error);
       return this.getDefaultWeatherData();
@@ -28,38 +46,195 @@ class WeatherService {
 
   async getHistoricalWeather(latitude, longitude, daysBack = 14) {
     try {
-      const endDate = moment().format('YYYY-MM-DD');
-      const startDate = moment().subtract(daysBack, 'days').format('YYYY-MM-DD');
+      const { data } = await this.fetchHistory(latitude, longitude, daysBack);
+      return this.formatHistoricalWeather(data);
+    } catch (error) {
+      console.error('Error fetching historical weather:', error);
+      return this.getDefaultHistoricalData();
+    }
+  }
 
+  fetchForecast(latitude, longitude) {
+    return this.request('forecast', latitude, longitude, async (lat, lon) => {
       const params = {
-        latitude: latitude,
-        longitude: longitude,
-        start_date: startDate,
-        end_date: endDate,
-        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code',
+        latitude: lat,
+        longitude: lon,
+        current: 'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m,wind_direction_10m',
+        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,wind_speed_10m_max,wind_gusts_10m_max,sunrise,sunset,et0_fao_evapotranspiration',
+        hourly: 'soil_moisture_9_to_27cm,soil_moisture_27_to_81cm',
+        timezone: 'auto',
+        forecast_days: 7
+      };
+
+      const response = await this.limiter.schedule(() => axios.get(this.baseUrl, { params }));
+      return response.data;
+    });
+  }
+
+  fetchHistory(latitude, longitude, daysBack) {
+    return this.request(`history:${daysBack}`, latitude, longitude, async (lat, lon) => {
+      const params = {
+        latitude: lat,
+        longitude: lon,
+        start_date: moment().subtract(daysBack, 'days').format('YYYY-MM-DD'),
+        end_date: moment().format('YYYY-MM-DD'),
+        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,et0_fao_evapotranspiration',
         timezone: 'auto'
       };
 
-      const response = await axios.get(this.historicalUrl, { params });
-      return this.formatHistoricalWeather(response.data);
+      const response = await this.limiter.schedule(() => axios.get(this.historicalUrl, { params }));
+      return response.data;
+    });
+  }
+
+  // Resolves to { data, fetchedAt, stale } through the cache when there is one
+  async request(kind, latitude, longitude, fetcher, requestDate) {
+    if (this.cache) return this.cache.fetch(kind, latitude, longitude, fetcher, requestDate);
+
+    return { data: await fetcher(latitude, longitude), fetchedAt: new Date().toISOString(), stale: false };
+  }
+
+  // Unrounded daily temperatures, rainfall and reference evapotranspiration
+  // (ET0) for degree-day, seasonal and water balance models. The archive lags
+  // a few days behind today, so the most recent days may come back empty.
+  // Pass `cache: false` for long ranges that are cached elsewhere.
+  async getDailySeries(latitude, longitude, startDate, endDate = moment().format('YYYY-MM-DD'), { cache = true } = {}) {
+    try {
+      const start = moment(startDate).format('YYYY-MM-DD');
+      const end = moment(endDate).format('YYYY-MM-DD');
+      const fetcher = async (lat, lon) => {
+        const params = {
+          latitude: lat,
+          longitude: lon,
+          start_date: start,
+          end_date: end,
+          daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,et0_fao_evapotranspiration',
+          timezone: 'auto'
+        };
+
+        const response = await this.limiter.schedule(() => axios.get(this.historicalUrl, { params }));
+        return response.data;
+      };
+
+      // Keyed by start date for the end date's day, so a stale fallback picks
+      // up the same season fetched on an earlier day
+      const { data } = cache
+        ? await this.request(`daily:${start}`, latitude, longitude, fetcher, end)
+        : { data: await fetcher(latitude, longitude) };
+      const daily = data.daily;
+
+      return daily.time.map((date, index) => ({
+        date,
+        tempMax: daily.temperature_2m_max[index],
+        tempMin: daily.temperature_2m_min[index],
+        precipitation: daily.precipitation_sum[index],
+        et0: daily.et0_fao_evapotranspiration ? daily.et0_fao_evapotranspiration[index] : null
+      }));
+    } catch (error) {
+      console.error('Error fetching daily weather series:', error.message);
+      return null;
+    }
+  }
+
+  // The 7-day forecast by ISO date for the weather alert scan, from the same
+  // cached response the reports use. Resolves to null when there is no forecast.
+  async getForecastDays(latitude, longitude) {
+    try {
+      const { data, fetchedAt, stale } = await this.fetchForecast(latitude, longitude);
+      const daily = data.daily;
+
+      const days = daily.time.slice(0, 7).map((date, index) => ({
+        date,
+        tempMax: roundOrNull(daily.temperature_2m_max[index]),
+        tempMin: roundOrNull(daily.temperature_2m_min[index]),
+        precipitation: roundOrNull(daily.precipitation_sum[index], 1),
+        weatherCode: daily.weather_code[index],
+        windSpeed: roundOrNull(daily.wind_speed_10m_max[index]),
+        windGust: daily.wind_gusts_10m_max ? roundOrNull(daily.wind_gusts_10m_max[index]) : null
+      }));
+
+      return { days, fetchedAt, stale };
     } catch (error) {
-      console.error('Error fetching historical weather:', error);
-      return this.getDefaultHistoricalData();
+      console.error('Error fetching forecast days:', error.message);
+      return null;
+    }
+  }
+
+  // Daily observed weather, with weather codes and gusts, for the days around
+  // a reported loss. The archive lags a few days behind today, so windows
+  // starting within the last three months come from the forecast API, which
+  // serves recent past days. Resolves to { source, days } or null.
+  async getDailyObservations(latitude, longitude, startDate, endDate) {
+    try {
+      const start = moment(startDate).format('YYYY-MM-DD');
+      const end = moment(endDate).format('YYYY-MM-DD');
+      const recent = moment().diff(moment(start), 'days') <= RECENT_PAST_DAYS;
+      const url = recent ? this.baseUrl : this.historicalUrl;
+
+      const { data } = await this.request(`observed:${start}`, latitude, longitude, async (lat, lon) => {
+        const params = {
+          latitude: lat,
+          longitude: lon,
+          start_date: start,
+          end_date: end,
+          daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,wind_gusts_10m_max',
+          timezone: 'auto'
+        };
+
+        const response = await this.limiter.schedule(() => axios.get(url, { params }));
+        return response.data;
+      }, end);
+      const daily = data.daily;
+
+      const days = daily.time.map((date, index) => ({
+        date,
+        tempMax: roundOrNull(daily.temperature_2m_max[index]),
+        tempMin: roundOrNull(daily.temperature_2m_min[index]),
+        precipitation: roundOrNull(daily.precipitation_sum[index], 1),
+        weatherCode: isNumber(daily.weather_code[index]) ? daily.weather_code[index] : null,
+        windGust: daily.wind_gusts_10m_max ? roundOrNull(daily.wind_gusts_10m_max[index]) : null,
+        description: isNumber(daily.weather_code[index]) ? this.getWeatherDescription(daily.weather_code[index]) : null
+      }));
+
+      return { source: recent ? 'forecast' : 'archive', days };
+    } catch (error) {
+      console.error('Error fetching daily observations:', error.message);
+      return null;
     }
   }
 
   async getComprehensiveWeatherData(latitude, longitude) {
     try {
-      const [current, historical] = await Promise.all([
-        this.getCurrentWeather(latitude, longitude),
-        this.getHistoricalWeather(latitude, longitude, 21) // 3 weeks of historical data
+      const [forecast, history] = await Promise.all([
+        this.fetchForecast(latitude, longitude).catch(error => {
+          console.error('Error fetching current weather:', error.message);
+          return null;
+        }),
+        // 3 weeks of historical data
+        this.fetchHistory(latitude, longitude, 21).catch(error => {
+          console.error('Error fetching historical weather:', error.message);
+          return null;
+        })
       ]);
 
+      const current = forecast ? this.formatCurrentWeather(forecast.data) : this.getDefaultWeatherData();
+      const historical = history ? this.formatHistoricalWeather(history.data) : this.getDefaultHistoricalData();
+      const analysis = this.analyzeWeatherPatterns(current, historical);
+      const responses = [forecast, history].filter(Boolean);
+
       return {
+        available: current.available || analysis.quality !== 'unavailable',
+        quality: {
+          forecast: current.available ? 'available' : 'unavailable',
+          history: analysis.quality
+        },
         current,
         historical,
-        analysis: this.analyzeWeatherPatterns(current, historical),
-        agronomicInsights: this.getAgronomicInsights(current, historical)
+        analysis,
+        agronomicInsights: this.getAgronomicInsights(current, historical),
+        // Oldest response used, and whether any came from the cache after an API failure
+        fetchedAt: responses.length > 0 ? responses.map(response => response.fetchedAt).sort()[0] : null,
+        stale: responses.some(response => response.stale)
       };
     } catch (error) {
       console.error('Error fetching comprehensive weather data:', error);
@@ -73,24 +248,29 @@ class WeatherService {
       const daily = data.daily;
 
       return {
+        available: true,
         current: {
-          temperature: current.temperature_2m,
-          humidity: current.relative_humidity_2m,
-          precipitation: current.precipitation,
+          temperature: roundOrNull(current.temperature_2m, 1),
+          humidity: roundOrNull(current.relative_humidity_2m),
+          precipitation: roundOrNull(current.precipitation, 1),
           weatherCode: current.weather_code,
-          windSpeed: current.wind_speed_10m,
+          windSpeed: roundOrNull(current.wind_speed_10m),
           windDirection: current.wind_direction_10m,
-          description: this.getWeatherDescription(current.weather_code)
+          description: this.getWeatherDescription(current.weather_code),
+          soilMoisture: this.getCurrentSoilMoisture(data)
         },
         forecast: daily.time.slice(0, 7).map((date, index) => ({
           date: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-          tempMax: daily.temperature_2m_max[index] ? Math.round(daily.temperature_2m_max[index]) : '-',
-          tempMin: daily.temperature_2m_min[index] ? Math.round(daily.temperature_2m_min[index]) : '-',
-          precipitation: daily.precipitation_sum[index] ? Math.round(daily.precipitation_sum[index] * 10) / 10 : '0',
+          isoDate: date,
+          tempMax: roundOrNull(daily.temperature_2m_max[index]),
+          tempMin: roundOrNull(daily.temperature_2m_min[index]),
+          precipitation: roundOrNull(daily.precipitation_sum[index], 1),
           weatherCode: daily.weather_code[index],
-          windSpeed: daily.wind_speed_10m_max[index] ? Math.round(daily.wind_speed_10m_max[index]) : '-',
+          windSpeed: roundOrNull(daily.wind_speed_10m_max[index]),
+          windGust: daily.wind_gusts_10m_max ? roundOrNull(daily.wind_gusts_10m_max[index]) : null,
           sunrise: daily.sunrise[index],
           sunset: daily.sunset[index],
+          et0: daily.et0_fao_evapotranspiration ? roundOrNull(daily.et0_fao_evapotranspiration[index], 1) : null,
           description: this.getWeatherDescription(daily.weather_code[index])
         }))
       };
@@ -100,56 +280,86 @@ class WeatherService {
     }
   }
 
+  // Modelled volumetric soil moisture (m3/m3) for the current hour at 9-27cm
+  // and 27-81cm. The model assumes no irrigation.
+  getCurrentSoilMoisture(data) {
+    const hourly = data.hourly;
+    if (!hourly || !hourly.time || !data.current || !data.current.time) return null;
+
+    const index = hourly.time.findIndex(time => time.slice(0, 13) === data.current.time.slice(0, 13));
+    if (index < 0) return null;
+
+    const layers = {
+      upper: roundOrNull(hourly.soil_moisture_9_to_27cm ? hourly.soil_moisture_9_to_27cm[index] : null, 3),
+      lower: roundOrNull(hourly.soil_moisture_27_to_81cm ? hourly.soil_moisture_27_to_81cm[index] : null, 3)
+    };
+    return isNumber(layers.upper) || isNumber(layers.lower) ? layers : null;
+  }
+
   formatHistoricalWeather(data) {
     try {
       const daily = data.daily;
       
       return daily.time.map((date, index) => ({
         date: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        tempMax: daily.temperature_2m_max[index] ? Math.round(daily.temperature_2m_max[index]) : '-',
-        tempMin: daily.temperature_2m_min[index] ? Math.round(daily.temperature_2m_min[index]) : '-',
-        precipitation: daily.precipitation_sum[index] ? Math.round(daily.precipitation_sum[index] * 10) / 10 : '0',
+        tempMax: roundOrNull(daily.temperature_2m_max[index]),
+        tempMin: roundOrNull(daily.temperature_2m_min[index]),
+        precipitation: roundOrNull(daily.precipitation_sum[index], 1),
         weatherCode: daily.weather_code[index],
+        et0: daily.et0_fao_evapotranspiration ? roundOrNull(daily.et0_fao_evapotranspiration[index], 1) : null,
         description: this.getWeatherDescription(daily.weather_code[index])
-      })).slice(-7); // Get last 7 days
+      }))
+        // The archive lags a few days; days it has not filled in yet are dropped
+        // so the last 7 days are the 7 most recent observed days
+        .filter(day => [day.tempMax, day.tempMin, day.precipitation].some(isNumber))
+        .slice(-7);
     } catch (error) {
       console.error('Error formatting historical weather:', error);
       return this.getDefaultHistoricalData();
     }
   }
 
+  // 7-day figures from the days that have each reading. A figure is null when
+  // no day has it (or, for rainfall, too few days); `quality` is 'complete',
+  // 'partial' or 'unavailable'.
   analyzeWeatherPatterns(current, historical) {
     try {
       const recentDays = historical.slice(-7); // Last 7 days
-      const totalPrecipitation = recentDays.reduce((sum, day) => sum + (day.precipitation || 0), 0);
-      const avgMaxTemp = recentDays.reduce((sum, day) => sum + (day.tempMax || 0), 0) / recentDays.length;
-      const avgMinTemp = recentDays.reduce((sum, day) => sum + (day.tempMin || 0), 0) / recentDays.length;
-      
-      const lowestTemp = Math.min(...recentDays.map(day => day.tempMin || 0));
-      const highestTemp = Math.max(...recentDays.map(day => day.tempMax || 0));
-      
-      const dryDays = recentDays.filter(day => (day.precipitation || 0) < 1).length;
-      const rainyDays = recentDays.filter(day => (day.precipitation || 0) >= 1).length;
+      const values = (key) => recentDays.map(day => day[key]).filter(isNumber);
+      const rainfall = values('precipitation');
+      const maxTemps = values('tempMax');
+      const minTemps = values('tempMin');
+      const average = (list) => (list.length > 0 ? roundOrNull(list.reduce((sum, value) => sum + value, 0) / list.length, 1) : null);
+
+      const completeDays = recentDays.filter(day => isNumber(day.precipitation) && isNumber(day.tempMax) && isNumber(day.tempMin)).length;
+      let quality = 'complete';
+      if (rainfall.length === 0 && maxTemps.length === 0 && minTemps.length === 0) quality = 'unavailable';
+      else if (completeDays < 7) quality = 'partial';
+
+      const last7Days = {
+        totalRainfall: rainfall.length >= MIN_RAINFALL_DAYS ? roundOrNull(rainfall.reduce((sum, value) => sum + value, 0), 1) : null,
+        avgMaxTemp: average(maxTemps),
+        avgMinTemp: average(minTemps),
+        lowestTemp: minTemps.length > 0 ? roundOrNull(Math.min(...minTemps), 1) : null,
+        highestTemp: maxTemps.length > 0 ? roundOrNull(Math.max(...maxTemps), 1) : null,
+        dryDays: rainfall.filter(value => value < 1).length,
+        rainyDays: rainfall.filter(value => value >= 1).length,
+        daysObserved: recentDays.length,
+        completeDays
+      };
 
       return {
-        last7Days: {
-          totalRainfall: Math.round(totalPrecipitation * 10) / 10,
-          avgMaxTemp: Math.round(avgMaxTemp * 10) / 10,
-          avgMinTemp: Math.round(avgMinTemp * 10) / 10,
-          lowestTemp: Math.round(lowestTemp * 10) / 10,
-          highestTemp: Math.round(highestTemp * 10) / 10,
-          dryDays: dryDays,
-          rainyDays: rainyDays
-        },
+        quality,
+        last7Days,
         trends: {
           temperatureTrend: this.calculateTemperatureTrend(recentDays),
           precipitationTrend: this.calculatePrecipitationTrend(recentDays),
-          riskFactors: this.identifyRiskFactors(current, recentDays)
+          riskFactors: this.identifyRiskFactors(current, last7Days)
         }
       };
     } catch (error) {
       console.error('Error analyzing weather patterns:', error);
-      return { last7Days: {}, trends: {} };
+      return this.getDefaultAnalysis();
     }
   }
 
@@ -159,7 +369,7 @@ class WeatherService {
       const insights = [];
 
       // Temperature insights
-      if (analysis.last7Days.lowestTemp < 5) {
+      if (isNumber(analysis.last7Days.lowestTemp) && analysis.last7Days.lowestTemp < 5) {
         insights.push({
           type: 'warning',
           category: 'temperature',
@@ -167,7 +377,7 @@ class WeatherService {
         });
       }
 
-      if (analysis.last7Days.highestTemp > 35) {
+      if (isNumber(analysis.last7Days.highestTemp) && analysis.last7Days.highestTemp > 35) {
         insights.push({
           type: 'warning',
           category: 'temperature',
@@ -176,7 +386,7 @@ class WeatherService {
       }
 
       // Rainfall insights - these will be context-specific based on irrigation in the report
-      if (analysis.last7Days.totalRainfall < 5) {
+      if (isNumber(analysis.last7Days.totalRainfall) && analysis.last7Days.totalRainfall < 5) {
         insights.push({
           type: 'info',
           category: 'water',
@@ -193,7 +403,7 @@ class WeatherService {
       }
 
       // Growing conditions
-      if (analysis.last7Days.avgMaxTemp >= 15 && analysis.last7Days.avgMaxTemp <= 28) {
+      if (isNumber(analysis.last7Days.avgMaxTemp) && analysis.last7Days.avgMaxTemp >= 15 && analysis.last7Days.avgMaxTemp <= 28) {
         insights.push({
           type: 'positive',
           category: 'growth',
@@ -213,35 +423,36 @@ class WeatherService {
 
   generateWeatherRecommendations(analysis, current) {
     const recommendations = [];
+    const { lowestTemp, avgMaxTemp, totalRainfall } = analysis.last7Days;
 
     // Temperature-based recommendations
-    if (analysis.last7Days.lowestTemp < 5) {
+    if (isNumber(lowestTemp) && lowestTemp < 5) {
       recommendations.push('Implement frost protection measures for sensitive crops');
     }
 
-    if (analysis.last7Days.avgMaxTemp > 32) {
+    if (isNumber(avgMaxTemp) && avgMaxTemp > 32) {
       recommendations.push('Monitor crops for heat stress and consider cooling strategies');
     }
 
     // Disease management based on conditions
-    if (analysis.last7Days.totalRainfall > 50 && current.current.humidity > 80) {
+    if (isNumber(totalRainfall) && totalRainfall > 50 && isNumber(current.current.humidity) && current.current.humidity > 80) {
       recommendations.push('High humidity and rainfall increase disease risk - monitor crops closely and consider preventive treatments');
     }
 
     // Pest management
-    if (analysis.last7Days.avgMaxTemp > 25 && analysis.last7Days.totalRainfall < 20) {
+    if (isNumber(avgMaxTemp) && isNumber(totalRainfall) && avgMaxTemp > 25 && totalRainfall < 20) {
       recommendations.push('Warm, dry conditions may increase pest activity - monitor for insect infestations');
     }
 
     // Water management (context-neutral)
-    if (analysis.last7Days.totalRainfall < 10) {
+    if (isNumber(totalRainfall) && totalRainfall < 10) {
       recommendations.push('Monitor soil moisture levels and ensure adequate water supply for crops');
     }
 
     // Planting window assessment
     if (current.forecast && current.forecast.length > 0) {
-      const upcoming3Days = current.forecast.slice(0, 3);
-      const upcomingRain = upcoming3Days.reduce((sum, day) => sum + (day.precipitation || 0), 0);
+      const upcoming3Days = current.forecast.slice(0, 3).filter(day => isNumber(day.precipitation));
+      const upcomingRain = upcoming3Days.reduce((sum, day) => sum + day.precipitation, 0);
       
       if (upcomingRain > 20) {
         recommendations.push('Favorable conditions ahead with expected precipitation in the next 3 days');
@@ -252,10 +463,11 @@ class WeatherService {
   }
 
   calculateTemperatureTrend(recentDays) {
-    if (recentDays.length < 3) return 'stable';
+    const days = recentDays.filter(day => isNumber(day.tempMax));
+    if (days.length < 3) return null;
     
-    const firstHalf = recentDays.slice(0, Math.floor(recentDays.length / 2));
-    const secondHalf = recentDays.slice(Math.floor(recentDays.length / 2));
+    const firstHalf = days.slice(0, Math.floor(days.length / 2));
+    const secondHalf = days.slice(Math.floor(days.length / 2));
     
     const avgFirst = firstHalf.reduce((sum, day) => sum + day.tempMax, 0) / firstHalf.length;
     const avgSecond = secondHalf.reduce((sum, day) => sum + day.tempMax, 0) / secondHalf.length;
@@ -268,31 +480,35 @@ class WeatherService {
   }
 
   calculatePrecipitationTrend(recentDays) {
-    const recentRain = recentDays.slice(-3).reduce((sum, day) => sum + (day.precipitation || 0), 0);
-    const earlierRain = recentDays.slice(0, 3).reduce((sum, day) => sum + (day.precipitation || 0), 0);
+    const days = recentDays.filter(day => isNumber(day.precipitation));
+    if (days.length < 3) return null;
+
+    const recentRain = days.slice(-3).reduce((sum, day) => sum + day.precipitation, 0);
+    const earlierRain = days.slice(0, 3).reduce((sum, day) => sum + day.precipitation, 0);
     
     if (recentRain > earlierRain * 1.5) return 'increasing';
     if (recentRain < earlierRain * 0.5) return 'decreasing';
     return 'stable';
   }
 
-  identifyRiskFactors(current, recentDays) {
+  // Only raised from readings that exist; a missing reading is not a signal
+  identifyRiskFactors(current, last7Days) {
     const risks = [];
+    const { totalRainfall, lowestTemp, highestTemp } = last7Days;
     
     // Drought risk
-    const totalRain = recentDays.reduce((sum, day) => sum + (day.precipitation || 0), 0);
-    if (totalRain < 5) risks.push('drought');
+    if (isNumber(totalRainfall) && totalRainfall < 5) risks.push('drought');
     
     // Frost risk
-    const minTemp = Math.min(...recentDays.map(day => day.tempMin || 0));
-    if (minTemp < 5) risks.push('frost');
+    if (isNumber(lowestTemp) && lowestTemp < 5) risks.push('frost');
     
     // Heat stress
-    const maxTemp = Math.max(...recentDays.map(day => day.tempMax || 0));
-    if (maxTemp > 35) risks.push('heat_stress');
+    if (isNumber(highestTemp) && highestTemp > 35) risks.push('heat_stress');
     
     // Disease pressure
-    if (totalRain > 50 && current.current.humidity > 80) risks.push('disease_pressure');
+    if (isNumber(totalRainfall) && totalRainfall > 50 && isNumber(current.current.humidity) && current.current.humidity > 80) {
+      risks.push('disease_pressure');
+    }
     
     return risks;
   }
@@ -324,11 +540,13 @@ class WeatherService {
 
   getDefaultWeatherData() {
     return {
+      available: false,
       current: {
         temperature: null,
         humidity: null,
         precipitation: null,
-        description: 'Weather data unavailable'
+        description: 'Weather data unavailable',
+        soilMoisture: null
       },
       forecast: []
     };
@@ -338,12 +556,34 @@ class WeatherService {
     return [];
   }
 
+  getDefaultAnalysis() {
+    return {
+      quality: 'unavailable',
+      last7Days: {
+        totalRainfall: null,
+        avgMaxTemp: null,
+        avgMinTemp: null,
+        lowestTemp: null,
+        highestTemp: null,
+        dryDays: 0,
+        rainyDays: 0,
+        daysObserved: 0,
+        completeDays: 0
+      },
+      trends: { temperatureTrend: null, precipitationTrend: null, riskFactors: [] }
+    };
+  }
+
   getDefaultComprehensiveData() {
     return {
+      available: false,
+      quality: { forecast: 'unavailable', history: 'unavailable' },
       current: this.getDefaultWeatherData(),
       historical: this.getDefaultHistoricalData(),
-      analysis: { last7Days: {}, trends: {} },
-      agronomicInsights: { insights: [], recommendations: [] }
+      analysis: this.getDefaultAnalysis(),
+      agronomicInsights: { insights: [], recommendations: [] },
+      fetchedAt: null,
+      stale: false
     };
   }
 }
@@ -0,0 +1,269 @@
+const moment = require('moment');
+const { CROP_CALENDARS, IRRIGATED_METHODS, THRESHOLDS, resolveCropKey } = require('../config/agronomyRules');
+const { YIELD_FORECAST, YIELD_FACTORS, CONFIDENCE_LABELS, getReferenceYield } = require('../config/yieldForecast');
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function round(value, decimals = 2) {
+  if (value === null) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Per-field yield forecast with a low/high band, independent of the farmer's
+// own expectation: the baseline is adjusted for management inputs, field
+// condition, season weather and reported losses (see config/yieldForecast.js).
+class YieldForecastService {
+  constructor(seasonalWeatherService, phenologyService, agronomyEngine) {
+    this.seasonalWeather = seasonalWeatherService;
+    this.phenology = phenologyService;
+    this.agronomy = agronomyEngine;
+  }
+
+  // Loads the season weather and growth stage itself, for the API
+  async forecastField(fieldDetails) {
+    const series = await this.seasonalWeather.getSeasonSeries(fieldDetails);
+    const [phenology, season] = await Promise.all([
+      this.phenology.estimate(fieldDetails, { series }),
+      this.seasonalWeather.summarize(fieldDetails, series)
+    ]);
+
+    return this.forecast(fieldDetails, { phenology, season });
+  }
+
+  // Null when there is no baseline to start from (no recorded yields and a crop
+  // without a reference yield)
+  forecast(fieldDetails, { phenology = null, season = null, now = new Date() } = {}) {
+    const cropKey = resolveCropKey(fieldDetails.crop_type);
+    const expected = toNumber(fieldDetails.expected_yield_per_hectare);
+    const previous = toNumber(fieldDetails.previous_season_yield);
+    const actual = toNumber(fieldDetails.actual_yield_per_hectare);
+    const area = toNumber(fieldDetails.field_size);
+    const total = value => (value !== null && area !== null ? round(value * area, 1) : null);
+
+    const base = {
+      crop: fieldDetails.crop_type || null,
+      expected,
+      previous,
+      actual,
+      area,
+      generatedOn: moment(now).format('YYYY-MM-DD')
+    };
+
+    // A harvested yield replaces the forecast
+    if (actual !== null) {
+      return {
+        ...base,
+        basis: 'actual',
+        baseline: actual,
+        factors: [],
+        adjustmentPercent: 0,
+        forecast: actual,
+        low: actual,
+        high: actual,
+        bandPercent: 0,
+        confidence: 'measured',
+        confidenceLabel: CONFIDENCE_LABELS.measured,
+        seasonProgress: 100,
+        forecastTotal: total(actual),
+        lowTotal: total(actual),
+        highTotal: total(actual),
+        versusExpectedPercent: expected !== null ? Math.round(((actual - expected) / expected) * 100) : null,
+        notes: ['The harvested yield is recorded for this field, so it is reported instead of a forecast.']
+      };
+    }
+
+    const baseline = this.getBaseline(cropKey, expected, previous);
+    if (!baseline) return null;
+
+    const daysSincePlanting = fieldDetails.planting_date ? moment(now).diff(moment(fieldDetails.planting_date), 'days') : null;
+    const seasonFactors = this.combineLossAndWeather(this.getWeatherFactors(fieldDetails, season), this.getLossFactors(fieldDetails));
+    const factors = [
+      ...this.getManagementFactors(fieldDetails, cropKey, daysSincePlanting),
+      ...seasonFactors.factors
+    ];
+
+    const multiplier = Math.max(factors.reduce((product, factor) => product * (1 + factor.effect), 1), 0);
+    const forecast = baseline.value * multiplier;
+
+    const progress = this.getSeasonProgress(cropKey, daysSincePlanting, phenology);
+    let band = YIELD_FORECAST.bandAtPlanting - (YIELD_FORECAST.bandAtPlanting - YIELD_FORECAST.bandAtMaturity) * progress;
+    if (baseline.basis === 'reference') band += YIELD_FORECAST.referenceBaselineBand;
+    if (!season) band += YIELD_FORECAST.noWeatherBand;
+
+    let confidence = 'low';
+    if (band <= YIELD_FORECAST.highConfidenceBand) confidence = 'high';
+    else if (band <= YIELD_FORECAST.mediumConfidenceBand) confidence = 'medium';
+
+    const low = forecast * (1 - band);
+    const high = forecast * (1 + band);
+
+    return {
+      ...base,
+      basis: baseline.basis,
+      baseline: round(baseline.value),
+      factors: factors.map(factor => ({ ...factor, effect: Math.round(factor.effect * 100) })),
+      adjustmentPercent: Math.round((multiplier - 1) * 100),
+      forecast: round(forecast),
+      low: round(low),
+      high: round(high),
+      bandPercent: Math.round(band * 100),
+      confidence,
+      confidenceLabel: CONFIDENCE_LABELS[confidence],
+      seasonProgress: Math.round(progress * 100),
+      forecastTotal: total(forecast),
+      lowTotal: total(low),
+      highTotal: total(high),
+      versusExpectedPercent: expected !== null ? Math.round(((forecast - expected) / expected) * 100) : null,
+      notes: this.getNotes(baseline, expected, { low, high }, season, seasonFactors.overlap)
+    };
+  }
+
+  getBaseline(cropKey, expected, previous) {
+    if (expected !== null && previous !== null) {
+      const cappedExpectation = Math.min(expected, previous * YIELD_FORECAST.maxExpectationRatio);
+      return {
+        basis: 'blend',
+        value: cappedExpectation * YIELD_FORECAST.expectationWeight + previous * (1 - YIELD_FORECAST.expectationWeight),
+        capped: cappedExpectation < expected
+      };
+    }
+    if (previous !== null) return { basis: 'previous_season', value: previous };
+    if (expected !== null) return { basis: 'expected', value: expected };
+
+    const reference = getReferenceYield(cropKey);
+    return reference ? { basis: 'reference', value: reference } : null;
+  }
+
+  getManagementFactors(fieldDetails, cropKey, daysSincePlanting) {
+    const calendar = CROP_CALENDARS[cropKey];
+    const factors = [];
+
+    if (this.agronomy.isNo(fieldDetails.basal_fertilizer) && daysSincePlanting !== null && daysSincePlanting > calendar.basalWindow) {
+      factors.push({ key: 'basal_fertilizer', label: 'No basal fertilizer', effect: YIELD_FACTORS.noBasalFertilizer });
+    }
+
+    const window = calendar.topDressingWindow;
+    if (window && this.agronomy.isNo(fieldDetails.top_dressing) && daysSincePlanting !== null && daysSincePlanting > window[1]) {
+      factors.push({ key: 'top_dressing', label: 'No top dressing by the end of its window', effect: YIELD_FACTORS.noTopDressing });
+    }
+
+    const pests = this.agronomy.rateLevel(fieldDetails.pest_infestation_level);
+    if (YIELD_FACTORS.pests[pests]) {
+      factors.push({ key: 'pests', label: `Pest infestation (${fieldDetails.pest_infestation_level})`, effect: YIELD_FACTORS.pests[pests] });
+    }
+
+    const weeds = this.agronomy.rateLevel(fieldDetails.weed_pressure_level);
+    if (YIELD_FACTORS.weeds[weeds]) {
+      factors.push({ key: 'weeds', label: `Weed pressure (${fieldDetails.weed_pressure_level})`, effect: YIELD_FACTORS.weeds[weeds] });
+    }
+
+    if (this.agronomy.isYes(fieldDetails.disease_occurrence)) {
+      factors.push({ key: 'disease', label: 'Disease reported', effect: YIELD_FACTORS.disease });
+    }
+
+    return factors;
+  }
+
+  getWeatherFactors(fieldDetails, season) {
+    if (!season) return [];
+
+    const irrigation = fieldDetails.irrigation_method_enhanced;
+    const irrigated = IRRIGATED_METHODS.includes(irrigation);
+    const factors = [];
+
+    // Irrigation makes up rainfall shortfalls, so only rainfed fields are marked down for them
+    if (!irrigated && season.rainfallCategory && YIELD_FACTORS.rainfall[season.rainfallCategory]) {
+      factors.push({
+        key: 'rainfall',
+        label: `Season rainfall ${season.rainfallCategory} (${season.rainfallPercentOfNormal}% of normal)`,
+        effect: YIELD_FACTORS.rainfall[season.rainfallCategory]
+      });
+    }
+
+    const sensitive = season.sensitive;
+    if (!sensitive) return factors;
+
+    if (!irrigated && sensitive.longestDrySpell >= THRESHOLDS.drySpellDays) {
+      factors.push({
+        key: 'dry_spell',
+        label: `${sensitive.longestDrySpell}-day dry spell during flowering and grain fill`,
+        effect: YIELD_FACTORS.reproductiveDrySpell
+      });
+    }
+
+    if (sensitive.heatStressDays > 0) {
+      factors.push({
+        key: 'heat',
+        label: `${sensitive.heatStressDays} heat stress day(s) at or above ${THRESHOLDS.heatStressTemp}°C during flowering and grain fill`,
+        effect: Math.max(sensitive.heatStressDays * YIELD_FACTORS.reproductiveHeatDay, YIELD_FACTORS.maxHeatEffect)
+      });
+    }
+
+    if (sensitive.frostDays > 0) {
+      factors.push({
+        key: 'frost',
+        label: `${sensitive.frostDays} frost day(s) during flowering and grain fill`,
+        effect: Math.max(sensitive.frostDays * YIELD_FACTORS.reproductiveFrostDay, YIELD_FACTORS.maxFrostEffect)
+      });
+    }
+
+    return factors;
+  }
+
+  getLossFactors(fieldDetails) {
+    const lossPercentage = toNumber(fieldDetails.loss_percentage);
+    if (!fieldDetails.loss_occurred_current_season || lossPercentage === null) return [];
+
+    return [{ key: 'reported_loss', label: `Reported loss (${lossPercentage}%)`, effect: -Math.min(lossPercentage, 100) / 100 }];
+  }
+
+  // A reported loss already includes the weather damage that caused it, so
+  // only whichever of the two takes more off the yield is applied
+  combineLossAndWeather(weatherFactors, lossFactors) {
+    if (weatherFactors.length === 0 || lossFactors.length === 0) {
+      return { factors: [...weatherFactors, ...lossFactors], overlap: null };
+    }
+
+    const weatherEffect = weatherFactors.reduce((product, factor) => product * (1 + factor.effect), 1) - 1;
+    const lossEffect = lossFactors[0].effect;
+    const overlap = { applied: lossEffect <= weatherEffect ? 'reported_loss' : 'weather', lossPercent: Math.round(-lossEffect * 100), weatherPercent: Math.round(-weatherEffect * 100) };
+
+    return { factors: overlap.applied === 'reported_loss' ? lossFactors : weatherFactors, overlap };
+  }
+
+  // Share of the season behind the crop, 0 at planting and 1 at maturity
+  getSeasonProgress(cropKey, daysSincePlanting, phenology) {
+    if (phenology && ['maturity', 'harvested'].includes(phenology.phase)) return 1;
+    if (daysSincePlanting === null) return 0;
+
+    return Math.min(Math.max(daysSincePlanting / CROP_CALENDARS[cropKey].daysToMaturity, 0), 1);
+  }
+
+  getNotes(baseline, expected, band, season, overlap) {
+    const notes = [];
+    if (baseline.basis === 'reference') {
+      notes.push('Neither an expected nor a previous season yield is recorded, so the forecast starts from a typical yield for the crop and its band is wider.');
+    }
+    if (baseline.capped) {
+      notes.push(`The expected yield is more than ${Math.round((YIELD_FORECAST.maxExpectationRatio - 1) * 100)}% above last season's and was capped before blending.`);
+    }
+    if (!season) {
+      notes.push('Season weather since planting is unavailable, so rainfall, dry spells, heat and frost are not reflected in the forecast.');
+    }
+    if (overlap && overlap.applied === 'reported_loss') {
+      notes.push(`The reported loss of ${overlap.lossPercent}% is applied in place of the season weather factors (${overlap.weatherPercent}% together), which it already includes.`);
+    } else if (overlap) {
+      notes.push(`The season weather factors (${overlap.weatherPercent}% together) are applied in place of the smaller reported loss of ${overlap.lossPercent}%, which they already include.`);
+    }
+    if (expected !== null && expected > band.high) {
+      notes.push(`The farmer's expected yield of ${expected} t/ha is above the forecast range.`);
+    }
+    return notes;
+  }
+}
+
+module.exports = YieldForecastService;
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const WaterBalanceService = require('../services/waterBalanceService');
+const PhenologyService = require('../services/phenologyService');
+const AgronomyEngine = require('../services/agronomyEngine');
+
+const now = new Date('2026-01-20T08:00:00Z');
+const field = {
+  field_name: 'North Pivot',
+  crop_type: 'Maize',
+  irrigation_method_enhanced: 'Center Pivot',
+  current_growth_stage: 'Flowering',
+  soil_type: 'Sandy loam',
+  field_size: 10,
+  planting_date: '2025-11-01'
+};
+
+// A dry forecast week: ET0 6mm a day and no rain
+function dryWeek({ soilMoisture = null } = {}) {
+  const forecast = [...Array(7)].map((_, index) => ({
+    isoDate: moment(now).add(index, 'days').format('YYYY-MM-DD'),
+    precipitation: 0,
+    et0: 6
+  }));
+  return { current: { available: true, current: { soilMoisture }, forecast } };
+}
+
+// Daily archive since planting without any rain
+function drySeason() {
+  const days = [];
+  for (let date = moment(field.planting_date); date.isBefore(now, 'day'); date.add(1, 'day')) {
+    days.push({ date: date.format('YYYY-MM-DD'), tempMax: 30, tempMin: 16, precipitation: 0, et0: 6 });
+  }
+  return days;
+}
+
+const service = new WaterBalanceService(new PhenologyService(null));
+
+test('dry week without a soil water record does not advise holding irrigation', () => {
+  const balance = service.assess(field, { weatherData: dryWeek(), now });
+
+  assert.strictEqual(balance.mode, 'irrigation');
+  assert.strictEqual(balance.depletionSource, 'assumed');
+  assert.strictEqual(balance.depletion, null);
+  assert.deepStrictEqual(balance.schedule, []);
+
+  const result = new AgronomyEngine().evaluate(field, { current: { forecast: [] } }, { waterBalance: balance, now });
+  assert.ok(!result.actions.some(action => /hold irrigation/i.test(action.title)));
+});
+
+test('dry week starts the schedule from the season water balance', () => {
+  const balance = service.assess(field, { weatherData: dryWeek(), seasonSeries: drySeason(), now });
+
+  assert.strictEqual(balance.depletionSource, 'water_balance');
+  assert.ok(balance.depletion >= balance.readilyAvailableWater);
+  assert.ok(balance.schedule.length > 0);
+  assert.strictEqual(balance.schedule[0].date, moment(now).format('YYYY-MM-DD'));
+});
+
+test('dry week starts the schedule from modelled soil moisture', () => {
+  const balance = service.assess(field, { weatherData: dryWeek({ soilMoisture: { upper: 0.12, lower: 0.14 } }), seasonSeries: drySeason(), now });
+
+  assert.strictEqual(balance.depletionSource, 'soil_moisture');
+  assert.ok(balance.schedule.length > 0);
+  assert.strictEqual(balance.schedule[0].date, moment(now).format('YYYY-MM-DD'));
+});
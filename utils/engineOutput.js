@@ -0,0 +1,231 @@
+// Schema for the structured output of the Yieldera Engine. The engine is asked
+// for JSON in this shape; responses are parsed, normalised and validated here
+// before any template or downstream consumer sees them.
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const URGENCIES = ['immediate', 'this_week', 'within_2_weeks', 'this_month', 'this_season'];
+const COST_TIERS = ['none', 'low', 'medium', 'high'];
+
+const ALIASES = {
+  severity: { moderate: 'medium', severe: 'high', extreme: 'critical', minor: 'low' },
+  urgency: {
+    urgent: 'immediate',
+    now: 'immediate',
+    today: 'immediate',
+    'this week': 'this_week',
+    week: 'this_week',
+    'within 2 weeks': 'within_2_weeks',
+    'two weeks': 'within_2_weeks',
+    '2 weeks': 'within_2_weeks',
+    'this month': 'this_month',
+    month: 'this_month',
+    'this season': 'this_season',
+    season: 'this_season',
+    'before harvest': 'this_season'
+  },
+  costTier: { free: 'none', zero: 'none', moderate: 'medium', expensive: 'high', cheap: 'low' }
+};
+
+const LABELS = {
+  severity: { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' },
+  urgency: {
+    immediate: 'Immediate',
+    this_week: 'This week',
+    within_2_weeks: 'Within 2 weeks',
+    this_month: 'This month',
+    this_season: 'This season'
+  },
+  costTier: { none: 'No cost', low: 'Low cost', medium: 'Medium cost', high: 'High cost' }
+};
+
+const ANALYSIS_FORMAT = `Respond with a single JSON object and nothing else, in this shape:
+{
+  "summary": "2-3 sentence overview of the field's condition",
+  "details": ["short paragraph", "..."],
+  "risks": [
+    { "title": "short risk name", "severity": "${SEVERITIES.join('|')}", "detail": "one or two sentences" }
+  ],
+  "dataGaps": ["information that was missing and limits this assessment"]
+}
+List risks from most to least severe. Use an empty array when there are no data gaps.`;
+
+const RECOMMENDATIONS_FORMAT = `Respond with a single JSON object and nothing else, in this shape:
+{
+  "summary": "one sentence framing the recommendations",
+  "recommendations": [
+    {
+      "title": "short heading",
+      "action": "what to do, in one or two sentences",
+      "urgency": "${URGENCIES.join('|')}",
+      "timeframe": "when, in plain words (e.g. before first irrigation, within 10 days)",
+      "costTier": "${COST_TIERS.join('|')}"
+    }
+  ],
+  "dataGaps": ["information that was missing and limits these recommendations"]
+}
+Give 3 to 7 recommendations ordered by urgency. Use an empty array when there are no data gaps.`;
+
+const COMBINED_FORMAT = `Respond with a single JSON object and nothing else, with two keys:
+{
+  "analysis": { ...the field analysis object described below... },
+  "recommendations": { ...the recommendations object described below... }
+}
+
+The "analysis" object:
+${ANALYSIS_FORMAT.split('\n').slice(1).join('\n')}
+
+The "recommendations" object:
+${RECOMMENDATIONS_FORMAT.split('\n').slice(1).join('\n')}`;
+
+// Accepts a bare object, a fenced ```json block or an object wrapped in prose
+function parseEngineJson(text) {
+  if (typeof text !== 'string') throw new Error('Engine response is empty');
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) throw new Error('Engine response contains no JSON object');
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Engine response is not valid JSON: ${error.message}`);
+  }
+}
+
+function normalizeEnum(value, allowed, aliases) {
+  if (typeof value !== 'string') return null;
+
+  const normalized = value.trim().toLowerCase();
+  if (allowed.includes(normalized)) return normalized;
+  if (allowed.includes(normalized.replace(/[\s-]+/g, '_'))) return normalized.replace(/[\s-]+/g, '_');
+  return aliases[normalized] || null;
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function textList(value, path, errors) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array of strings`);
+    return [];
+  }
+  return value.filter(isText).map(item => item.trim());
+}
+
+function validateAnalysis(output) {
+  const errors = [];
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: null };
+  }
+
+  if (!isText(output.summary)) errors.push('summary must be a non-empty string');
+
+  const risks = Array.isArray(output.risks) ? output.risks : null;
+  if (!risks) errors.push('risks must be an array');
+
+  const value = {
+    summary: isText(output.summary) ? output.summary.trim() : '',
+    details: textList(output.details, 'details', errors),
+    risks: (risks || []).map((risk, index) => {
+      const severity = normalizeEnum(risk && risk.severity, SEVERITIES, ALIASES.severity);
+      if (!risk || !isText(risk.title)) errors.push(`risks[${index}].title must be a non-empty string`);
+      if (!severity) errors.push(`risks[${index}].severity must be one of ${SEVERITIES.join(', ')}`);
+      return {
+        title: risk && isText(risk.title) ? risk.title.trim() : '',
+        severity,
+        detail: risk && isText(risk.detail) ? risk.detail.trim() : ''
+      };
+    }),
+    dataGaps: textList(output.dataGaps, 'dataGaps', errors)
+  };
+
+  value.risks.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+function validateRecommendations(output) {
+  const errors = [];
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: null };
+  }
+
+  const recommendations = Array.isArray(output.recommendations) ? output.recommendations : null;
+  if (!recommendations || recommendations.length === 0) errors.push('recommendations must be a non-empty array');
+
+  const value = {
+    summary: isText(output.summary) ? output.summary.trim() : '',
+    recommendations: (recommendations || []).map((item, index) => {
+      const urgency = normalizeEnum(item && item.urgency, URGENCIES, ALIASES.urgency);
+      const costTier = normalizeEnum(item && item.costTier, COST_TIERS, ALIASES.costTier);
+      if (!item || !isText(item.title)) errors.push(`recommendations[${index}].title must be a non-empty string`);
+      if (!item || !isText(item.action)) errors.push(`recommendations[${index}].action must be a non-empty string`);
+      if (!urgency) errors.push(`recommendations[${index}].urgency must be one of ${URGENCIES.join(', ')}`);
+      if (!costTier) errors.push(`recommendations[${index}].costTier must be one of ${COST_TIERS.join(', ')}`);
+      return {
+        title: item && isText(item.title) ? item.title.trim() : '',
+        action: item && isText(item.action) ? item.action.trim() : '',
+        urgency,
+        timeframe: item && isText(item.timeframe) ? item.timeframe.trim() : null,
+        costTier
+      };
+    }),
+    dataGaps: textList(output.dataGaps, 'dataGaps', errors)
+  };
+
+  // Stable sort keeps the engine's own ordering within one urgency
+  value.recommendations.sort((a, b) => URGENCIES.indexOf(a.urgency) - URGENCIES.indexOf(b.urgency));
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+function validateCombined(output) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: null };
+  }
+
+  const analysis = validateAnalysis(output.analysis);
+  const recommendations = validateRecommendations(output.recommendations);
+  const errors = [
+    ...analysis.errors.map(error => `analysis.${error}`),
+    ...recommendations.errors.map(error => `recommendations.${error}`)
+  ];
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? { analysis: analysis.value, recommendations: recommendations.value } : null
+  };
+}
+
+function filterRecommendations(recommendations, { maxUrgency = null, maxCostTier = null, limit = null } = {}) {
+  const filtered = recommendations.filter(item =>
+    (!maxUrgency || URGENCIES.indexOf(item.urgency) <= URGENCIES.indexOf(maxUrgency)) &&
+    (!maxCostTier || COST_TIERS.indexOf(item.costTier) <= COST_TIERS.indexOf(maxCostTier))
+  );
+  return limit ? filtered.slice(0, limit) : filtered;
+}
+
+function label(kind, value) {
+  return (LABELS[kind] && LABELS[kind][value]) || value;
+}
+
+module.exports = {
+  SEVERITIES,
+  URGENCIES,
+  COST_TIERS,
+  ANALYSIS_FORMAT,
+  RECOMMENDATIONS_FORMAT,
+  COMBINED_FORMAT,
+  parseEngineJson,
+  validateAnalysis,
+  validateRecommendations,
+  validateCombined,
+  filterRecommendations,
+  label
+};
@@ -0,0 +1,18 @@
+// Numeric settings from the environment. An unset, empty or non-numeric
+// variable (or one outside `min`..`max`) falls back to the default; 0 is a
+// valid setting and is kept.
+
+function envNumber(name, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+}
+
+function envInteger(name, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+}
+
+module.exports = {
+  envNumber,
+  envInteger
+};
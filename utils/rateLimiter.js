@@ -0,0 +1,59 @@
+// Spaces calls to an external provider so they stay under a requests-per-minute
+// quota, and caps how many of them are in flight at once.
+class RateLimiter {
+  constructor({ name, requestsPerMinute = 0, maxConcurrent = Infinity }) {
+    this.name = name;
+    this.minInterval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.queue = [];
+    this.active = 0;
+    this.nextSlot = 0;
+    this.timer = null;
+  }
+
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const wait = this.nextSlot - Date.now();
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+
+      const { task, resolve, reject } = this.queue.shift();
+      this.nextSlot = Date.now() + this.minInterval;
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      queued: this.queue.length,
+      active: this.active,
+      requestsPerMinute: this.minInterval > 0 ? Math.round(60000 / this.minInterval) : null,
+      maxConcurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null
+    };
+  }
+}
+
+module.exports = RateLimiter;
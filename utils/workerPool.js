@@ -0,0 +1,30 @@
+// Runs a handler over a list of items with at most `size` handlers in flight.
+// Results are returned in input order in the same shape as Promise.allSettled.
+class WorkerPool {
+  constructor(size = 1) {
+    this.size = Math.max(parseInt(size) || 1, 1);
+  }
+
+  async run(items, handler) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = { status: 'fulfilled', value: await handler(items[index], index) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.size, items.length) }, () => worker());
+    await Promise.all(workers);
+
+    return results;
+  }
+}
+
+module.exports = WorkerPool;